@@ -47,7 +47,9 @@ let systemState = {
         connected: false,
         port: null,
         board: null,
-        firmwareVersion: null
+        firmwareVersion: null,
+        protocolVersion: null,
+        capabilities: null
     },
     cloud: {
         connected: false,
@@ -230,6 +232,19 @@ function handleArduinoResponse(data) {
     
     systemState.stats.lastActivity = new Date().toISOString();
     
+    // The HELLO handshake reply describes the firmware
+    try {
+        const parsed = JSON.parse(response);
+        if (parsed.type === 'hello' && parsed.data) {
+            systemState.arduino.firmwareVersion = parsed.data.firmware;
+            systemState.arduino.protocolVersion = parsed.data.protocol;
+            systemState.arduino.capabilities = parsed.data.commands;
+            console.log(`🤝 Arduino firmware ${parsed.data.firmware} (protocol ${parsed.data.protocol})`);
+        }
+    } catch (error) {
+        // Not JSON, e.g. a debug line
+    }
+    
     // Forward to cloud if connected
     if (cloudConnection && cloudConnection.readyState === WebSocket.OPEN) {
         cloudConnection.send(JSON.stringify({
@@ -244,9 +259,10 @@ function handleArduinoResponse(data) {
 // Test Arduino communication
 async function testArduinoCommunication() {
     try {
-        const result = await sendArduinoCommand('PING', {});
+        await sendArduinoCommand('PING', {});
         console.log('✅ Arduino communication test successful');
-        systemState.arduino.firmwareVersion = 'detected';
+        // Firmware from before the handshake ignores HELLO and the version stays unknown
+        await sendArduinoCommand('HELLO', {});
     } catch (error) {
         console.log('⚠️  Arduino communication test failed - firmware may need upload');
     }
@@ -21,18 +21,56 @@
  * Responses are JSON objects:
  * {"id":"123","success":true,"data":{},"timestamp":1234567890}
  *
+ * HELLO answers with the firmware version, protocol version, board and
+ * supported commands, so the server can tell an outdated sketch:
+ * {"id":"123","success":true,"type":"hello","data":{"firmware":"2.1.0",
+ *  "protocol":2,"board":"uno","commands":["PING",...]},"timestamp":...}
+ * Bump FIRMWARE_VERSION with every change, and PROTOCOL_VERSION when
+ * existing commands or responses change (the server checks both; new
+ * commands only need to be listed in SUPPORTED_COMMANDS).
+ *
  * Upload this sketch to your Arduino before using the AI control system.
  */
 
 #include <Arduino.h>
 #include <Servo.h>
 
+#define FIRMWARE_VERSION "2.1.0"
+#define PROTOCOL_VERSION 2
+#define SUPPORTED_COMMANDS "\"HELLO\",\"PING\",\"LED_ON\",\"LED_OFF\",\"LED_BLINK\",\"LED_FADE\",\"LED_MORSE\"," \
+  "\"LED_PATTERN\",\"PIN_MODE\",\"DIGITAL_WRITE\",\"DIGITAL_READ\",\"ANALOG_WRITE\",\"ANALOG_READ\"," \
+  "\"SERVO_WRITE\",\"SERVO_DETACH\",\"STOP_EFFECTS\",\"RESET\",\"STATUS\""
+
+// Pin limits come from the board's core (pins_arduino.h), so the same sketch
+// serves the Uno, Nano, Mega, Leonardo and Micro. The server's board
+// profiles (lib/board-profiles.js) mirror these ranges.
+#if defined(ARDUINO_AVR_MEGA2560) || defined(ARDUINO_AVR_MEGA)
+#define SERVO_PIN_MAX 53
+#else
+#define SERVO_PIN_MAX 13
+#endif
+
+// Board reported by HELLO; the IDs match the server's board profiles
+#if defined(ARDUINO_AVR_MEGA2560) || defined(ARDUINO_AVR_MEGA)
+#define FIRMWARE_BOARD "mega"
+#elif defined(ARDUINO_AVR_NANO)
+#define FIRMWARE_BOARD "nano"
+#elif defined(ARDUINO_AVR_LEONARDO)
+#define FIRMWARE_BOARD "leonardo"
+#elif defined(ARDUINO_AVR_MICRO)
+#define FIRMWARE_BOARD "micro"
+#elif defined(ARDUINO_AVR_UNO)
+#define FIRMWARE_BOARD "uno"
+#else
+#define FIRMWARE_BOARD "unknown"
+#endif
+
 // System state
 struct SystemState {
   bool ledState;
-  int pinModes[20];
-  int digitalValues[20];
-  int analogValues[6];
+  int pinModes[NUM_DIGITAL_PINS];
+  int digitalValues[NUM_DIGITAL_PINS];
+  int analogValues[NUM_ANALOG_INPUTS];
   bool effectsActive[5]; // blink, fade, morse, pattern, rainbow
   unsigned long lastHeartbeat;
   String currentEffect;
@@ -53,8 +91,8 @@ int fadeValue = 0;
 int fadeDirection = 1;
 
 // Servo objects
-Servo servos[14];
-bool servoAttached[14] = {false};
+Servo servos[SERVO_PIN_MAX + 1];
+bool servoAttached[SERVO_PIN_MAX + 1] = {false};
 
 // Morse code lookup table
 const char* morseCode[] = {
@@ -72,12 +110,12 @@ void setup() {
   systemState.currentEffect = "none";
 
   // Initialize pin arrays
-  for (int i = 0; i < 20; i++) {
+  for (int i = 0; i < NUM_DIGITAL_PINS; i++) {
     systemState.pinModes[i] = INPUT;
     systemState.digitalValues[i] = LOW;
   }
 
-  for (int i = 0; i < 6; i++) {
+  for (int i = 0; i < NUM_ANALOG_INPUTS; i++) {
     systemState.analogValues[i] = 0;
   }
 
@@ -166,7 +204,11 @@ void processCommand(String jsonCmd) {
   String message = "";
   String dataType = "result";
 
-  if (command == "PING") {
+  if (command == "HELLO") {
+    sendHello(commandId);
+    return; // Hello sends its own response
+  }
+  else if (command == "PING") {
     success = true;
     message = "Pong";
   }
@@ -236,6 +278,11 @@ void processCommand(String jsonCmd) {
     success = executeCommand_SERVO_WRITE(pin, angle);
     message = success ? "Servo positioned" : "Failed to position servo";
   }
+  else if (command == "SERVO_DETACH") {
+    int pin = extractIntParam(jsonCmd, "pin", -1);
+    success = executeCommand_SERVO_DETACH(pin);
+    message = success ? "Servo detached" : "Failed to detach servo";
+  }
   else if (command == "STOP_EFFECTS") {
     success = executeCommand_STOP_EFFECTS();
     message = "All effects stopped";
@@ -311,6 +358,23 @@ void sendResponse(String commandId, bool success, String message, String type) {
   Serial.println("}");
 }
 
+// Send the handshake: versions, board and supported commands
+void sendHello(String commandId) {
+  Serial.print("{\"id\":\"");
+  Serial.print(commandId);
+  Serial.print("\",\"success\":true,\"message\":\"Hello\",\"type\":\"hello\",\"data\":{\"firmware\":\"");
+  Serial.print(FIRMWARE_VERSION);
+  Serial.print("\",\"protocol\":");
+  Serial.print(PROTOCOL_VERSION);
+  Serial.print(",\"board\":\"");
+  Serial.print(FIRMWARE_BOARD);
+  Serial.print("\",\"commands\":[");
+  Serial.print(F(SUPPORTED_COMMANDS));
+  Serial.print("]},\"timestamp\":");
+  Serial.print(millis());
+  Serial.println("}");
+}
+
 // Send status update
 void sendStatusUpdate() {
   Serial.print("{\"type\":\"status\",\"data\":{");
@@ -319,7 +383,7 @@ void sendStatusUpdate() {
   Serial.print(",\"pins\":{");
 
   bool first = true;
-  for (int i = 0; i < 20; i++) {
+  for (int i = 0; i < NUM_DIGITAL_PINS; i++) {
     if (systemState.pinModes[i] != INPUT || systemState.digitalValues[i] != LOW) {
       if (!first) Serial.print(",");
       Serial.print("\"");
@@ -419,7 +483,7 @@ bool executeCommand_LED_PATTERN(String pattern) {
 }
 
 bool executeCommand_PIN_MODE(int pin, String mode) {
-  if (pin < 0 || pin > 19) return false;
+  if (pin < 0 || pin >= NUM_DIGITAL_PINS) return false;
 
   if (mode == "OUTPUT") {
     pinMode(pin, OUTPUT);
@@ -438,7 +502,7 @@ bool executeCommand_PIN_MODE(int pin, String mode) {
 }
 
 bool executeCommand_DIGITAL_WRITE(int pin, int value) {
-  if (pin < 0 || pin > 19 || (value != 0 && value != 1)) return false;
+  if (pin < 0 || pin >= NUM_DIGITAL_PINS || (value != 0 && value != 1)) return false;
 
   digitalWrite(pin, value ? HIGH : LOW);
   systemState.digitalValues[pin] = value;
@@ -446,7 +510,7 @@ bool executeCommand_DIGITAL_WRITE(int pin, int value) {
 }
 
 int executeCommand_DIGITAL_READ(int pin) {
-  if (pin < 0 || pin > 19) return -1;
+  if (pin < 0 || pin >= NUM_DIGITAL_PINS) return -1;
 
   int value = digitalRead(pin);
   systemState.digitalValues[pin] = value;
@@ -455,7 +519,7 @@ int executeCommand_DIGITAL_READ(int pin) {
 
 bool executeCommand_ANALOG_WRITE(int pin, int value) {
   // Check if pin supports PWM
-  if ((pin != 3 && pin != 5 && pin != 6 && pin != 9 && pin != 10 && pin != 11) ||
+  if (pin < 0 || pin >= NUM_DIGITAL_PINS || !digitalPinHasPWM(pin) ||
       value < 0 || value > 255) {
     return false;
   }
@@ -465,7 +529,7 @@ bool executeCommand_ANALOG_WRITE(int pin, int value) {
 }
 
 int executeCommand_ANALOG_READ(int pin) {
-  if (pin < 0 || pin > 5) return -1;
+  if (pin < 0 || pin >= NUM_ANALOG_INPUTS) return -1;
 
   int value = analogRead(pin);
   systemState.analogValues[pin] = value;
@@ -473,7 +537,7 @@ int executeCommand_ANALOG_READ(int pin) {
 }
 
 bool executeCommand_SERVO_WRITE(int pin, int angle) {
-  if (pin < 2 || pin > 13 || angle < 0 || angle > 180) return false;
+  if (pin < 2 || pin > SERVO_PIN_MAX || angle < 0 || angle > 180) return false;
 
   if (!servoAttached[pin]) {
     servos[pin].attach(pin);
@@ -484,6 +548,17 @@ bool executeCommand_SERVO_WRITE(int pin, int angle) {
   return true;
 }
 
+// Stop driving the servo so the pin can be used for something else
+bool executeCommand_SERVO_DETACH(int pin) {
+  if (pin < 2 || pin > SERVO_PIN_MAX) return false;
+
+  if (servoAttached[pin]) {
+    servos[pin].detach();
+    servoAttached[pin] = false;
+  }
+  return true;
+}
+
 bool executeCommand_STOP_EFFECTS() {
   stopAllEffects();
   return true;
@@ -498,14 +573,14 @@ bool executeCommand_RESET() {
   systemState.ledState = false;
 
   // Reset all pins to INPUT
-  for (int i = 0; i < 20; i++) {
+  for (int i = 0; i < NUM_DIGITAL_PINS; i++) {
     pinMode(i, INPUT);
     systemState.pinModes[i] = INPUT;
     systemState.digitalValues[i] = LOW;
   }
 
   // Detach servos
-  for (int i = 0; i < 14; i++) {
+  for (int i = 0; i <= SERVO_PIN_MAX; i++) {
     if (servoAttached[i]) {
       servos[i].detach();
       servoAttached[i] = false;
@@ -0,0 +1,232 @@
+/**
+ * Approvals
+ *
+ * Per-function policy for calls the AI makes: "auto" runs them, "deny"
+ * refuses them, and "confirm" pauses the chat turn until someone approves
+ * or denies the exact call from a WebSocket client. A request nobody
+ * answers within the timeout is denied. Policies are stored in
+ * data/approvals.json.
+ *
+ * Functions that run other functions later (rules, schedules, macros) are
+ * checked against the strictest policy among the calls they wrap, so
+ * scheduling a servoWrite needs the same approval as calling it.
+ *
+ * Events: 'requested' (approval), 'resolved' (approval with its outcome),
+ * 'changed' (policies).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const APPROVALS_FILE = path.join(__dirname, '..', 'data', 'approvals.json');
+
+const POLICIES = ['auto', 'confirm', 'deny'];
+const DEFAULT_TIMEOUT = 60000;
+const MIN_TIMEOUT = 5000;
+const MAX_TIMEOUT = 600000;
+// How deep wrapped calls are followed (a schedule running a macro, ...)
+const MAX_WRAP_DEPTH = 3;
+
+function denied(message) {
+  return Object.assign(new Error(message), { code: 'APPROVAL_DENIED' });
+}
+
+class Approvals extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.functionNames - functions a policy can be set for
+   * @param {Function} [options.hasApprovers] - () => whether anyone is connected to answer a request
+   * @param {Function} [options.wrappedCalls] - (name, args, context) => [{ name, args }] the call would run later
+   * @param {string} [options.file] - where policies are stored
+   */
+  constructor({ functionNames, hasApprovers = () => true, wrappedCalls = () => [], file = APPROVALS_FILE }) {
+    super();
+
+    this.functionNames = functionNames;
+    this.hasApprovers = hasApprovers;
+    this.wrappedCalls = wrappedCalls;
+    this.file = file;
+
+    this.defaultPolicy = 'auto';
+    this.policies = {};
+    this.timeout = DEFAULT_TIMEOUT;
+
+    this.pending = new Map();
+    this.approvalCounter = 0;
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      this.applyPolicies(stored);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.listPolicies();
+  }
+
+  save() {
+    const stored = { default: this.defaultPolicy, timeout: this.timeout, functions: this.policies };
+    return writeFileAtomic(this.file, JSON.stringify(stored, null, 2));
+  }
+
+  getPolicy(name) {
+    return this.policies[name] || this.defaultPolicy;
+  }
+
+  /**
+   * The strictest policy among a call and the calls it wraps.
+   * @returns {Object} { policy, from } - from names the function the policy comes from
+   */
+  resolvePolicy(name, args = {}, context = {}, depth = 0) {
+    let strictest = { policy: this.getPolicy(name), from: name };
+    if (depth >= MAX_WRAP_DEPTH) return strictest;
+
+    let wrapped = [];
+    try {
+      wrapped = this.wrappedCalls(name, args, context) || [];
+    } catch (error) {
+      // e.g. an unknown macro; the call itself will fail
+    }
+    wrapped.forEach(call => {
+      const inner = this.resolvePolicy(call.name, call.args || {}, context, depth + 1);
+      if (POLICIES.indexOf(inner.policy) > POLICIES.indexOf(strictest.policy)) strictest = inner;
+    });
+    return strictest;
+  }
+
+  listPolicies() {
+    const functions = {};
+    this.functionNames.forEach(name => {
+      functions[name] = this.getPolicy(name);
+    });
+    return { default: this.defaultPolicy, timeout: this.timeout, functions };
+  }
+
+  // Check and apply { default, timeout, functions: { name: policy } }; throws with a readable message
+  applyPolicies({ default: defaultPolicy, timeout, functions = {} }) {
+    if (defaultPolicy !== undefined && !POLICIES.includes(defaultPolicy)) {
+      throw new Error(`Default policy must be one of: ${POLICIES.join(', ')}`);
+    }
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < MIN_TIMEOUT || timeout > MAX_TIMEOUT)) {
+      throw new Error(`Timeout must be ${MIN_TIMEOUT}-${MAX_TIMEOUT} ms`);
+    }
+    Object.entries(functions).forEach(([name, policy]) => {
+      if (!this.functionNames.includes(name)) throw new Error(`Unknown function: ${name}`);
+      if (policy !== null && !POLICIES.includes(policy)) {
+        throw new Error(`Policy for ${name} must be one of: ${POLICIES.join(', ')} (or null for the default)`);
+      }
+    });
+
+    if (defaultPolicy !== undefined) this.defaultPolicy = defaultPolicy;
+    if (timeout !== undefined) this.timeout = timeout;
+    Object.entries(functions).forEach(([name, policy]) => {
+      if (policy === null) {
+        delete this.policies[name];
+      } else {
+        this.policies[name] = policy;
+      }
+    });
+  }
+
+  async setPolicies(changes = {}) {
+    this.applyPolicies(changes);
+    await this.save();
+    const policies = this.listPolicies();
+    this.emit('changed', policies);
+    return policies;
+  }
+
+  listPending() {
+    return Array.from(this.pending.values()).map(entry => entry.approval);
+  }
+
+  /**
+   * Resolves when the call may run; throws APPROVAL_DENIED when the policy
+   * denies it, someone denies it, nobody answers in time, or the turn is
+   * cancelled while waiting.
+   * @param {string} name
+   * @param {Object} args
+   * @param {Object} [context] - { sessionId, turnId, signal }
+   */
+  check(name, args, { sessionId, turnId, signal } = {}) {
+    const { policy, from } = this.resolvePolicy(name, args, { sessionId });
+    const subject = from === name ? name : `${name} (it runs ${from})`;
+    if (policy === 'auto') return Promise.resolve();
+    if (policy === 'deny') {
+      return Promise.reject(denied(`${subject} is disabled by the approval policy; tell the user it needs to be allowed first`));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(denied(`The user did not approve ${name}: Chat turn cancelled`));
+    }
+    if (!this.hasApprovers()) {
+      return Promise.reject(denied(`${subject} needs approval, but nobody is connected to approve it`));
+    }
+
+    const approval = {
+      id: `approval${++this.approvalCounter}`,
+      function: name,
+      args,
+      // The wrapped function whose policy asks for the approval
+      wraps: from === name ? null : from,
+      sessionId: sessionId || null,
+      turnId: turnId || null,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.timeout).toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.finish(approval.id, false, { reason: 'Chat turn cancelled' });
+      const timer = setTimeout(() => this.finish(approval.id, false, { reason: `No answer within ${this.timeout / 1000}s` }), this.timeout);
+
+      this.pending.set(approval.id, {
+        approval,
+        settle: (approved, reason) => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          if (approved) {
+            resolve();
+          } else {
+            reject(denied(`The user did not approve ${name}: ${reason}. Do not retry it unless they ask again`));
+          }
+        }
+      });
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      this.emit('requested', approval);
+    });
+  }
+
+  /**
+   * Answer a pending approval.
+   * @param {string} id
+   * @param {boolean} approved
+   * @param {Object} [details] - { by, reason }
+   */
+  respond(id, approved, details = {}) {
+    if (!this.pending.has(id)) {
+      throw Object.assign(new Error(`No pending approval ${id}; it may have timed out`), { code: 'APPROVAL_NOT_FOUND' });
+    }
+    return this.finish(id, Boolean(approved), { ...details, reason: details.reason || (approved ? 'Approved' : 'Denied') });
+  }
+
+  finish(id, approved, { by = null, reason }) {
+    const entry = this.pending.get(id);
+    if (!entry) return null;
+    this.pending.delete(id);
+
+    const resolved = { ...entry.approval, approved, reason, by, resolvedAt: new Date().toISOString() };
+    entry.settle(approved, reason);
+    this.emit('resolved', resolved);
+    return resolved;
+  }
+
+  // Deny everything still waiting, e.g. on shutdown
+  denyAll(reason) {
+    Array.from(this.pending.keys()).forEach(id => this.finish(id, false, { reason }));
+  }
+}
+
+module.exports = { Approvals, POLICIES };
@@ -0,0 +1,59 @@
+/**
+ * Atomic File Writes
+ *
+ * Every store under data/ saves through writeFileAtomic(): the content goes
+ * to `<file>.tmp` first and is renamed over the file, so a crash never
+ * leaves half a file behind.
+ *
+ * Writes to the same file run one at a time, since two of them would share
+ * the temporary file. A write waits for the one before it, and until it
+ * starts, later requests replace its content instead of queueing up, so a
+ * burst of changes ends in one write of the newest state.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// file -> the write in progress or waiting, as { data, options, started, promise }
+const writes = new Map();
+
+async function writeNow(file, data, options) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  await fs.promises.writeFile(temporary, data, options);
+  await fs.promises.rename(temporary, file);
+}
+
+/**
+ * Write `data` to `file` through a temporary file.
+ * @param {string} file
+ * @param {string|Buffer} data
+ * @param {Object} [options] - fs.writeFile options, e.g. { mode: 0o600 }
+ * @returns {Promise<void>} resolves once `data`, or newer content for the same file, is written
+ */
+function writeFileAtomic(file, data, options = {}) {
+  const key = path.resolve(file);
+  const current = writes.get(key);
+
+  if (current && !current.started) {
+    current.data = data;
+    current.options = options;
+    return current.promise;
+  }
+
+  const write = { data, options, started: false };
+  const previous = current ? current.promise.catch(() => {}) : Promise.resolve();
+  write.promise = previous.then(() => {
+    write.started = true;
+    return writeNow(key, write.data, write.options);
+  });
+
+  writes.set(key, write);
+  const done = () => {
+    if (writes.get(key) === write) writes.delete(key);
+  };
+  write.promise.then(done, done);
+  return write.promise;
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,159 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of every command sent to a board: when, on which
+ * board, what made the call (its origin), the user prompt behind it, the
+ * parameters, the firmware's response or the error, and the latency.
+ * Stored as JSON lines in data/audit.jsonl; past maxBytes the file moves to
+ * data/audit.1.jsonl (replacing the previous one) and a new file starts.
+ *
+ * The origin travels with the async call chain: wrap the work that may send
+ * commands in run(origin, fn), e.g. { type: 'chat', sessionId, prompt } or
+ * { type: 'ws', client }, and record() picks it up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { parseTime } = require('./parse-time');
+
+const AUDIT_FILE = path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class AuditLog extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - where entries are appended
+   * @param {number} [options.maxBytes] - size at which the file is rotated
+   */
+  constructor({ file = AUDIT_FILE, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    super();
+
+    this.file = file;
+    this.previousFile = file.replace(/\.jsonl$/, '.1.jsonl');
+    this.maxBytes = maxBytes;
+
+    this.storage = new AsyncLocalStorage();
+    // Appends run one after another so entries keep their order
+    this.writing = Promise.resolve();
+    this.size = null;
+  }
+
+  /**
+   * Run fn with `origin` as the origin of the commands it sends.
+   * @param {Object} origin - { type, ...details, prompt? }
+   * @param {Function} fn
+   */
+  run(origin, fn) {
+    return this.storage.run(origin, fn);
+  }
+
+  // The current origin, or null outside run()
+  origin() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Append an entry for a command; the origin and prompt come from run().
+   * @param {Object} entry - { boardId, command, params, response | error, latency }
+   */
+  record(entry) {
+    const { prompt = null, ...origin } = this.origin() || { type: 'system' };
+    const line = { timestamp: new Date().toISOString(), origin, prompt, ...entry };
+    this.emit('entry', line);
+
+    this.writing = this.writing
+      .then(() => this.append(`${JSON.stringify(line)}\n`))
+      .catch(error => console.error('❌ Failed to write the audit log:', error.message));
+    return line;
+  }
+
+  async append(text) {
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      try {
+        this.size = (await fs.promises.stat(this.file)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.size = 0;
+      }
+    }
+    if (this.size > 0 && this.size + Buffer.byteLength(text) > this.maxBytes) {
+      await fs.promises.rename(this.file, this.previousFile);
+      this.size = 0;
+    }
+    await fs.promises.appendFile(this.file, text);
+    this.size += Buffer.byteLength(text);
+  }
+
+  // Check query filters; throws with a readable message
+  parseFilters(query = {}) {
+    const filters = {
+      from: parseTime(query.from, 'from'),
+      to: parseTime(query.to, 'to'),
+      origin: query.origin || null,
+      sessionId: query.sessionId || null,
+      client: query.client || null,
+      board: query.board || null,
+      command: query.command ? String(query.command).toUpperCase() : null,
+      pin: query.pin !== undefined && query.pin !== '' ? Number(query.pin) : null,
+      success: query.success === undefined || query.success === '' ? null : String(query.success) === 'true'
+    };
+    if (filters.pin !== null && !Number.isInteger(filters.pin)) throw new Error('pin must be a pin number');
+    return filters;
+  }
+
+  matches(entry, filters) {
+    const time = Date.parse(entry.timestamp);
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time > filters.to) return false;
+    if (filters.origin && entry.origin.type !== filters.origin) return false;
+    if (filters.sessionId && entry.origin.sessionId !== filters.sessionId) return false;
+    if (filters.client && entry.origin.client !== filters.client) return false;
+    if (filters.board && entry.boardId !== filters.board) return false;
+    if (filters.command && entry.command !== filters.command) return false;
+    if (filters.pin !== null && (!entry.params || entry.params.pin !== filters.pin)) return false;
+    if (filters.success !== null && Boolean(entry.success) !== filters.success) return false;
+    return true;
+  }
+
+  /**
+   * Entries matching the filters, newest first.
+   * @param {Object} query - from, to, origin (type), sessionId, client, board, command, pin, success, limit
+   * @param {Object} [options] - unlimited: ignore limit (for exports)
+   * @returns {Promise<Object[]>}
+   */
+  async query(query = {}, { unlimited = false } = {}) {
+    const filters = this.parseFilters(query);
+    const limit = unlimited ? Infinity : Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    await this.writing;
+    const found = [];
+    for (const file of [this.previousFile, this.file]) {
+      if (!fs.existsSync(file)) continue;
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (this.matches(entry, filters)) {
+          found.push(entry);
+          // Keep the newest `limit` entries
+          if (found.length > limit) found.shift();
+        }
+      }
+    }
+    return found.reverse();
+  }
+}
+
+module.exports = { AuditLog };
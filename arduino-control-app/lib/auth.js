@@ -0,0 +1,213 @@
+/**
+ * Auth
+ *
+ * API tokens for the REST API and WebSocket connections. Each token has a
+ * name and a scope: "read" can only look, "operate" can also drive the
+ * boards and run automations, and "admin" can also manage tokens, policies,
+ * API keys and firmware. Only a SHA-256 hash of each token is stored, in
+ * data/tokens.json; the token itself is shown once, when it is created.
+ *
+ * On the first run an admin token is created and written to
+ * data/admin-token.txt (readable by the owner only).
+ *
+ * Events: 'created' (token), 'revoked' (token).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const TOKENS_FILE = path.join(__dirname, '..', 'data', 'tokens.json');
+const ADMIN_TOKEN_FILE = path.join(__dirname, '..', 'data', 'admin-token.txt');
+
+// Each scope includes the ones before it
+const SCOPES = ['read', 'operate', 'admin'];
+const MAX_NAME_LENGTH = 60;
+// lastUsedAt is written back at most this often
+const USAGE_SAVE_INTERVAL = 60000;
+
+// REST requests that need admin; other reads need read, other writes operate
+const ADMIN_ROUTES = [
+  { method: 'POST', path: /^\/api\/arduino\/upload$/ },
+  { method: 'POST', path: /^\/api\/arduino\/firmware\/verify$/ },
+  { method: 'PUT', path: /^\/api\/arduino\/scripts\/[^/]+$/ },
+  { method: 'DELETE', path: /^\/api\/arduino\/scripts\/[^/]+$/ },
+  { method: 'POST', path: /^\/api\/arduino\/scripts\/[^/]+\/run$/ },
+  { method: 'PUT', path: /^\/api\/safety$/ },
+  { method: 'PUT', path: /^\/api\/approvals\/policies$/ },
+  { method: null, path: /^\/api\/auth\/tokens(\/|$)/ }
+];
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether a token scope covers the required one.
+ * @param {string} scope - the token's scope
+ * @param {string} required - 'read', 'operate' or 'admin'
+ */
+function hasScope(scope, required) {
+  return SCOPES.indexOf(scope) >= SCOPES.indexOf(required) && SCOPES.includes(required);
+}
+
+/**
+ * The scope a REST request needs.
+ * @param {Object} req - { method, path }
+ * @returns {string} 'read', 'operate' or 'admin'
+ */
+function requiredScope(req) {
+  const admin = ADMIN_ROUTES.some(route => (!route.method || route.method === req.method) && route.path.test(req.path));
+  if (admin) return 'admin';
+  return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'operate';
+}
+
+/**
+ * The token sent with a request: "Authorization: Bearer <token>", or the
+ * token query parameter (browsers cannot set headers on WebSockets).
+ * @param {http.IncomingMessage} req
+ * @param {Object} [options] - allowQuery: also accept ?token=
+ * @returns {string|null}
+ */
+function tokenFromRequest(req, { allowQuery = false } = {}) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (allowQuery) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+  return null;
+}
+
+class TokenStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - where token hashes are stored
+   * @param {string} [options.adminTokenFile] - where the first-run admin token is written
+   */
+  constructor({ file = TOKENS_FILE, adminTokenFile = ADMIN_TOKEN_FILE } = {}) {
+    super();
+
+    this.file = file;
+    this.adminTokenFile = adminTokenFile;
+
+    this.tokens = new Map();
+    this.tokenCounter = 0;
+    this.usageTimer = null;
+  }
+
+  /**
+   * Load stored tokens; on the first run create the admin token.
+   * @returns {Promise<string|null>} the new admin token on the first run
+   */
+  async load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (stored) {
+      stored.tokens.forEach(token => this.tokens.set(token.id, token));
+      this.tokenCounter = stored.tokenCounter || this.tokens.size;
+      return null;
+    }
+
+    const { token } = await this.create({ name: 'admin', scope: 'admin' });
+    await fs.promises.writeFile(this.adminTokenFile, `${token}\n`, { mode: 0o600 });
+    return token;
+  }
+
+  save() {
+    const stored = { tokenCounter: this.tokenCounter, tokens: Array.from(this.tokens.values()) };
+    return writeFileAtomic(this.file, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  }
+
+  describe(token) {
+    const { hash: _hash, ...info } = token;
+    return info;
+  }
+
+  // Every token, revoked ones included, without hashes
+  list() {
+    return Array.from(this.tokens.values()).map(token => this.describe(token));
+  }
+
+  /**
+   * Create a token.
+   * @param {Object} options - { name, scope }
+   * @returns {Promise<Object>} the token's details plus `token`, the secret, shown only here
+   */
+  async create({ name, scope } = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      throw new Error(`Name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (!SCOPES.includes(scope)) throw new Error(`Scope must be one of: ${SCOPES.join(', ')}`);
+
+    const secret = `ard_${crypto.randomBytes(24).toString('base64url')}`;
+    const token = {
+      id: `token${++this.tokenCounter}`,
+      name: trimmed,
+      scope,
+      hash: hash(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    this.tokens.set(token.id, token);
+    await this.save();
+
+    const info = this.describe(token);
+    this.emit('created', info);
+    return { ...info, token: secret };
+  }
+
+  async revoke(id) {
+    const token = this.tokens.get(id);
+    if (!token) {
+      throw Object.assign(new Error(`Unknown token: ${id}`), { code: 'TOKEN_NOT_FOUND' });
+    }
+    if (!token.revokedAt) {
+      token.revokedAt = new Date().toISOString();
+      await this.save();
+      this.emit('revoked', this.describe(token));
+    }
+    return this.describe(token);
+  }
+
+  /**
+   * The details of a valid, unrevoked token, or null.
+   * @param {string} secret
+   * @returns {Object|null}
+   */
+  verify(secret) {
+    if (!secret) return null;
+    const digest = Buffer.from(hash(secret), 'hex');
+    const token = Array.from(this.tokens.values())
+      .find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), digest));
+    if (!token || token.revokedAt) return null;
+
+    token.lastUsedAt = new Date().toISOString();
+    if (!this.usageTimer) {
+      this.usageTimer = setTimeout(() => {
+        this.usageTimer = null;
+        this.save().catch(error => console.error('❌ Failed to save tokens:', error.message));
+      }, USAGE_SAVE_INTERVAL);
+      this.usageTimer.unref();
+    }
+    return this.describe(token);
+  }
+
+  // Whether the token is still valid (not revoked or removed)
+  isActive(id) {
+    const token = this.tokens.get(id);
+    return Boolean(token && !token.revokedAt);
+  }
+}
+
+module.exports = { TokenStore, SCOPES, hasScope, requiredScope, tokenFromRequest };
@@ -0,0 +1,227 @@
+/**
+ * Board Capability Profiles
+ *
+ * Describes what each supported board can do: digital, analog, PWM and
+ * servo pins, pins reserved for other functions, and operating voltage.
+ * analogDigitalPins maps analog input An to the digital pin it shares.
+ * Profiles are looked up by the board type detectBoardType() reports or by
+ * an arduino-cli FQBN, and drive both the controller's pin validation and
+ * the pin parameters in the Gemini function declarations.
+ */
+
+const PROFILES = {
+  uno: {
+    id: 'uno',
+    name: 'Arduino Uno',
+    fqbn: 'arduino:avr:uno',
+    boardTypes: ['Arduino Uno', 'Simulated Uno', 'Arduino Compatible'],
+    voltage: 5,
+    digitalPins: { min: 0, max: 19 },
+    analogPins: { min: 0, max: 5 },
+    analogDigitalPins: [14, 15, 16, 17, 18, 19],
+    pwmPins: [3, 5, 6, 9, 10, 11],
+    servoPins: { min: 2, max: 13 },
+    reservedPins: { 0: 'Serial RX', 1: 'Serial TX' },
+    builtinLed: 13
+  },
+  nano: {
+    id: 'nano',
+    name: 'Arduino Nano',
+    fqbn: 'arduino:avr:nano',
+    boardTypes: ['Arduino Nano'],
+    voltage: 5,
+    digitalPins: { min: 0, max: 19 },
+    analogPins: { min: 0, max: 7 },
+    analogDigitalPins: [14, 15, 16, 17, 18, 19, null, null], // A6/A7 are analog only
+    pwmPins: [3, 5, 6, 9, 10, 11],
+    servoPins: { min: 2, max: 13 },
+    reservedPins: { 0: 'Serial RX', 1: 'Serial TX' },
+    builtinLed: 13
+  },
+  mega: {
+    id: 'mega',
+    name: 'Arduino Mega 2560',
+    fqbn: 'arduino:avr:mega',
+    boardTypes: ['Arduino Mega'],
+    voltage: 5,
+    digitalPins: { min: 0, max: 69 },
+    analogPins: { min: 0, max: 15 },
+    analogDigitalPins: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    pwmPins: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 44, 45, 46],
+    servoPins: { min: 2, max: 53 },
+    reservedPins: { 0: 'Serial RX', 1: 'Serial TX' },
+    builtinLed: 13
+  },
+  // Leonardo and Micro talk USB natively, so pins 0/1 (Serial1) stay free
+  leonardo: {
+    id: 'leonardo',
+    name: 'Arduino Leonardo',
+    fqbn: 'arduino:avr:leonardo',
+    boardTypes: ['Arduino Leonardo'],
+    voltage: 5,
+    digitalPins: { min: 0, max: 23 },
+    analogPins: { min: 0, max: 11 },
+    analogDigitalPins: [18, 19, 20, 21, 22, 23, 4, 6, 8, 9, 10, 12],
+    pwmPins: [3, 5, 6, 9, 10, 11, 13],
+    servoPins: { min: 2, max: 13 },
+    reservedPins: {},
+    builtinLed: 13
+  },
+  micro: {
+    id: 'micro',
+    name: 'Arduino Micro',
+    fqbn: 'arduino:avr:micro',
+    boardTypes: ['Arduino Micro'],
+    voltage: 5,
+    digitalPins: { min: 0, max: 23 },
+    analogPins: { min: 0, max: 11 },
+    analogDigitalPins: [18, 19, 20, 21, 22, 23, 4, 6, 8, 9, 10, 12],
+    pwmPins: [3, 5, 6, 9, 10, 11, 13],
+    servoPins: { min: 2, max: 13 },
+    reservedPins: {},
+    builtinLed: 13
+  }
+};
+
+const DEFAULT_PROFILE_ID = 'uno';
+
+function listProfiles() {
+  return Object.values(PROFILES);
+}
+
+function getProfile(id) {
+  return PROFILES[String(id || '').toLowerCase()] || null;
+}
+
+// Find the profile for a board by explicit profile ID, FQBN or detected
+// board type, falling back to the Uno
+function resolveProfile({ profile, fqbn, boardType } = {}) {
+  if (profile) {
+    const explicit = getProfile(profile);
+    if (!explicit) {
+      throw new Error(`Unknown board profile: ${profile}. Available profiles: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    return explicit;
+  }
+
+  const all = listProfiles();
+  return (fqbn && all.find(candidate => candidate.fqbn === fqbn)) ||
+    (boardType && all.find(candidate => candidate.boardTypes.includes(boardType))) ||
+    PROFILES[DEFAULT_PROFILE_ID];
+}
+
+function inRange(range, pin) {
+  return Number.isInteger(pin) && pin >= range.min && pin <= range.max;
+}
+
+function isDigitalPin(profile, pin) {
+  return inRange(profile.digitalPins, pin);
+}
+
+function isAnalogPin(profile, pin) {
+  return inRange(profile.analogPins, pin);
+}
+
+function isPwmPin(profile, pin) {
+  return profile.pwmPins.includes(pin);
+}
+
+function isServoPin(profile, pin) {
+  return inRange(profile.servoPins, pin);
+}
+
+// Digital pin number behind analog input `pin`, or null if it has none
+function analogToDigitalPin(profile, pin) {
+  const digitalPin = (profile.analogDigitalPins || [])[pin];
+  return digitalPin === undefined ? null : digitalPin;
+}
+
+// Pins a board can use for each kind of operation
+function getPins(profile, kind) {
+  const expand = range => Array.from({ length: range.max - range.min + 1 }, (_, i) => range.min + i);
+
+  switch (kind) {
+    case 'digital': return expand(profile.digitalPins);
+    case 'analog': return expand(profile.analogPins);
+    case 'pwm': return [...profile.pwmPins];
+    case 'servo': return expand(profile.servoPins);
+    default: throw new Error(`Unknown pin kind: ${kind}`);
+  }
+}
+
+// Compact a sorted pin list for descriptions, e.g. [2,3,4,5,9] -> "2-5, 9"
+function formatPins(pins) {
+  const sorted = [...new Set(pins)].sort((a, b) => a - b);
+  const parts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+
+  return parts.join(', ');
+}
+
+const PIN_KIND_LABELS = {
+  digital: 'Pin number',
+  analog: 'Analog pin number',
+  pwm: 'PWM pin number',
+  servo: 'Servo pin number'
+};
+
+/**
+ * Build the JSON schema for a pin parameter. `boards` is a list of
+ * { label, profile }; with several boards the schema accepts the union of
+ * their pins and the description lists each board's range.
+ */
+function buildPinSchema(kind, boards) {
+  const entries = boards.length > 0 ? boards : [{ label: null, profile: PROFILES[DEFAULT_PROFILE_ID] }];
+  const allPins = [...new Set(entries.flatMap(entry => getPins(entry.profile, kind)))].sort((a, b) => a - b);
+
+  const ranges = entries.map(entry => {
+    const pins = formatPins(getPins(entry.profile, kind));
+    return entries.length > 1 ? `${entry.label || entry.profile.name}: ${pins}` : pins;
+  });
+
+  // Reserved pins are digital pin numbers, so they only matter where they overlap
+  const reserved = entries
+    .map(entry => {
+      const kindPins = kind === 'analog' ? [] : getPins(entry.profile, kind);
+      const pins = Object.entries(entry.profile.reservedPins)
+        .filter(([pin]) => kindPins.includes(Number(pin)))
+        .map(([pin, use]) => `${pin} (${use})`)
+        .join(', ');
+      return pins && (entries.length > 1 ? `${entry.label || entry.profile.name}: ${pins}` : pins);
+    })
+    .filter(Boolean);
+
+  const schema = {
+    type: 'number',
+    description: `${PIN_KIND_LABELS[kind]} (${ranges.join('; ')})` +
+      (reserved.length > 0 ? `. Reserved, do not drive: ${reserved.join('; ')}` : '')
+  };
+
+  if (kind === 'pwm') {
+    schema.enum = allPins;
+  } else {
+    schema.minimum = allPins[0];
+    schema.maximum = allPins[allPins.length - 1];
+  }
+
+  return schema;
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  isDigitalPin,
+  isAnalogPin,
+  isPwmPin,
+  isServoPin,
+  analogToDigitalPin,
+  getPins,
+  formatPins,
+  buildPinSchema
+};
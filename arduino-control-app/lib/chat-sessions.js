@@ -0,0 +1,311 @@
+/**
+ * Chat Sessions
+ *
+ * Keeps each chat session's model history and a full transcript on disk, one
+ * file per session in data/chat-sessions/, so conversations survive
+ * restarts. Sessions idle for longer than the TTL are deleted, and the least
+ * recently used ones are dropped once there are more than maxSessions.
+ *
+ * The model history is compacted when it grows past maxHistoryChars: older
+ * turns are replaced by a summary (written by the injected summarize
+ * function, or a plain outline without one) while the transcript keeps
+ * every message and function call for export.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const SESSIONS_DIR = path.join(__dirname, '..', 'data', 'chat-sessions');
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 50;
+const DEFAULT_MAX_HISTORY_CHARS = 40000;
+const MAX_TRANSCRIPT_ENTRIES = 1000;
+const MAX_TITLE_LENGTH = 100;
+
+const SUMMARY_PREFIX = 'Summary of the conversation so far:';
+
+// File name for a session; IDs come from clients, so they are hashed
+function fileName(id) {
+  return `${crypto.createHash('sha1').update(String(id)).digest('hex')}.json`;
+}
+
+function short(text, length) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function formatResult(response) {
+  if (response.error) return `error: ${response.error}`;
+  const result = response.result;
+  if (result && typeof result.message === 'string') return result.message;
+  return JSON.stringify(result);
+}
+
+/**
+ * Render history or transcript entries as Markdown.
+ * @param {Object[]} entries - neutral chat history entries, optionally with `at` timestamps
+ * @returns {string}
+ */
+function renderTranscript(entries) {
+  const lines = [];
+  entries.forEach(entry => {
+    const time = entry.at ? ` _(${entry.at})_` : '';
+    if (entry.role === 'user') {
+      lines.push(`**User**${time}: ${entry.text}`, '');
+    } else if (entry.role === 'model') {
+      if (entry.text) lines.push(`**Assistant**${time}: ${entry.text}`, '');
+      (entry.functionCalls || []).forEach(call => lines.push(`- 🔧 \`${call.name}(${JSON.stringify(call.args || {})})\``));
+      if ((entry.functionCalls || []).length > 0) lines.push('');
+    } else if (entry.role === 'function') {
+      entry.results.forEach(result => lines.push(`- ↩️ \`${result.name}\`: ${formatResult(result.response)}`));
+      lines.push('');
+    }
+  });
+  return lines.join('\n').trim();
+}
+
+// Summary used when no model can write one
+function outline(entries) {
+  const users = entries.filter(entry => entry.role === 'user');
+  const previous = users
+    .filter(entry => entry.text.startsWith(SUMMARY_PREFIX))
+    .map(entry => entry.text.slice(SUMMARY_PREFIX.length).trim());
+  const requests = users
+    .filter(entry => !entry.text.startsWith(SUMMARY_PREFIX))
+    .map(entry => `"${short(entry.text, 200)}"`);
+  const calls = entries
+    .filter(entry => entry.role === 'model')
+    .reduce((names, entry) => names.concat((entry.functionCalls || []).map(call => call.name)), []);
+  const lines = previous.concat(`The user asked: ${requests.slice(-20).join('; ')}`);
+  if (calls.length > 0) lines.push(`Functions called: ${Array.from(new Set(calls)).join(', ')}`);
+  return lines.join('\n');
+}
+
+class ChatSessions extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.summarize] - async (transcriptMarkdown, sessionId) => summary text
+   * @param {number} [options.ttl] - ms a session may stay idle before it is deleted
+   * @param {number} [options.maxSessions] - most sessions kept; the least recently used go first
+   * @param {number} [options.maxHistoryChars] - history size that triggers summarising
+   * @param {string} [options.dir] - where sessions are stored
+   */
+  constructor({
+    summarize = null,
+    ttl = DEFAULT_TTL,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    maxHistoryChars = DEFAULT_MAX_HISTORY_CHARS,
+    dir = SESSIONS_DIR
+  } = {}) {
+    super();
+
+    this.summarize = summarize;
+    this.ttl = ttl;
+    this.maxSessions = maxSessions;
+    this.maxHistoryChars = maxHistoryChars;
+    this.dir = dir;
+
+    // Least recently used first
+    this.sessions = new Map();
+  }
+
+  async load() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const loaded = [];
+    for (const file of files.filter(entry => entry.endsWith('.json'))) {
+      try {
+        loaded.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+      } catch (error) {
+        console.error(`⚠️ Skipping unreadable chat session ${file}:`, error.message);
+      }
+    }
+    loaded
+      .sort((a, b) => a.lastActiveAt.localeCompare(b.lastActiveAt))
+      .forEach(session => this.sessions.set(session.id, session));
+
+    await this.prune();
+    return this.list();
+  }
+
+  save(session) {
+    return writeFileAtomic(path.join(this.dir, fileName(session.id)), JSON.stringify(session, null, 2));
+  }
+
+  async discard(id, reason) {
+    this.sessions.delete(id);
+    try {
+      await fs.promises.unlink(path.join(this.dir, fileName(id)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.emit('removed', { id, reason });
+  }
+
+  // Delete idle sessions, then the least recently used ones over the cap
+  async prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const session of Array.from(this.sessions.values())) {
+      if (Date.parse(session.lastActiveAt) < cutoff) await this.discard(session.id, 'expired');
+    }
+    while (this.sessions.size > this.maxSessions) {
+      await this.discard(this.sessions.keys().next().value, 'evicted');
+    }
+  }
+
+  describe(session) {
+    return {
+      id: session.id,
+      title: session.title,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      messages: session.transcript.filter(entry => entry.role === 'user').length,
+      summarized: Boolean(session.summary)
+    };
+  }
+
+  // Most recently used first
+  list() {
+    return Array.from(this.sessions.values()).reverse().map(session => this.describe(session));
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw Object.assign(new Error(`Unknown chat session: ${id}`), { code: 'SESSION_NOT_FOUND' });
+    }
+    return session;
+  }
+
+  /**
+   * The session to continue, created when it does not exist yet. Its
+   * history array is handed to ChatSession, which appends to it.
+   */
+  async open(id) {
+    let session = this.sessions.get(id);
+    const now = new Date().toISOString();
+    if (session) {
+      this.sessions.delete(id);
+    } else {
+      session = { id, title: null, createdAt: now, lastActiveAt: now, summary: null, history: [], transcript: [] };
+    }
+    session.lastActiveAt = now;
+    this.sessions.set(id, session);
+    await this.prune();
+    return session;
+  }
+
+  /**
+   * Store a finished turn: copy the new history entries to the transcript,
+   * summarise the history if it grew too long, and save.
+   * @param {string} id
+   * @param {number} from - history length before the turn
+   */
+  async recordTurn(id, from) {
+    const session = this.get(id);
+    const at = new Date().toISOString();
+    const added = session.history.slice(from);
+
+    session.transcript.push(...added.map(entry => ({ at, ...entry })));
+    if (session.transcript.length > MAX_TRANSCRIPT_ENTRIES) {
+      session.transcript.splice(0, session.transcript.length - MAX_TRANSCRIPT_ENTRIES);
+    }
+    if (!session.title) {
+      const first = added.find(entry => entry.role === 'user');
+      if (first) session.title = short(first.text, 60);
+    }
+    session.lastActiveAt = at;
+
+    await this.compact(session);
+    await this.save(session);
+  }
+
+  /**
+   * Replace the older part of a long history with a summary. The recent
+   * part keeps about half the budget and starts at a user message, so
+   * function calls stay next to their results.
+   */
+  async compact(session) {
+    const { history } = session;
+    if (JSON.stringify(history).length <= this.maxHistoryChars) return false;
+
+    let cut = -1;
+    let size = 0;
+    for (let index = history.length - 1; index > 0; index--) {
+      size += JSON.stringify(history[index]).length;
+      if (history[index].role !== 'user') continue;
+      if (cut !== -1 && size > this.maxHistoryChars / 2) break;
+      cut = index;
+    }
+    if (cut <= 0) return false;
+
+    const older = history.slice(0, cut);
+    let summary = null;
+    if (this.summarize) {
+      try {
+        summary = await this.summarize(renderTranscript(older), session.id);
+      } catch (error) {
+        console.error(`⚠️ Could not summarise chat session ${session.id}:`, error.message);
+      }
+    }
+    if (!summary || !summary.trim()) summary = outline(older);
+
+    history.splice(0, cut,
+      { role: 'user', text: `${SUMMARY_PREFIX}\n${summary.trim()}` },
+      { role: 'model', text: 'Understood, I will continue from there.', functionCalls: [] }
+    );
+    session.summary = summary.trim();
+    session.summarizedAt = new Date().toISOString();
+    this.emit('summarized', { id: session.id, entries: older.length });
+    return true;
+  }
+
+  async rename(id, title) {
+    const session = this.get(id);
+    const trimmed = String(title || '').trim();
+    if (!trimmed || trimmed.length > MAX_TITLE_LENGTH) {
+      throw new Error(`Title must be 1-${MAX_TITLE_LENGTH} characters`);
+    }
+    session.title = trimmed;
+    await this.save(session);
+    return this.describe(session);
+  }
+
+  async remove(id) {
+    const session = this.get(id);
+    await this.discard(id, 'deleted');
+    return this.describe(session);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} [format] - 'json' (default) or 'markdown'
+   * @returns {Object|string}
+   */
+  exportSession(id, format = 'json') {
+    const session = this.get(id);
+    if (format === 'markdown') {
+      const header = [
+        `# ${session.title || session.id}`,
+        '',
+        `Session \`${session.id}\`, started ${session.createdAt}, last active ${session.lastActiveAt}`,
+        ''
+      ];
+      if (session.summary) header.push('## Summary of earlier messages', '', session.summary, '');
+      return `${header.concat('## Transcript', '', renderTranscript(session.transcript)).join('\n')}\n`;
+    }
+    if (format !== 'json') throw new Error('Format must be "json" or "markdown"');
+    return { ...this.describe(session), summary: session.summary, transcript: session.transcript };
+  }
+}
+
+module.exports = { ChatSessions, renderTranscript };
@@ -0,0 +1,209 @@
+/**
+ * Command Queue
+ *
+ * Serialises the commands sent to one board. Commands wait in priority lanes
+ * and only `maxInFlight` of them are on the wire at a time, so a burst of
+ * function calls cannot overflow the firmware's serial buffers or interleave
+ * with commands from the UI. Every command gets its own response timeout.
+ *
+ * Lanes are served in order: high (STOP_EFFECTS, RESET), normal, low (STATUS).
+ */
+
+const LANES = ['high', 'normal', 'low'];
+
+const DEFAULT_PRIORITIES = {
+  STOP_EFFECTS: 'high',
+  RESET: 'high',
+  STATUS: 'low'
+};
+
+const DEFAULT_TIMEOUTS = {
+  PING: 3000,
+  RESET: 8000
+};
+
+// arduino-serial.ino drops lines longer than its 500 character input buffer
+const MAX_FRAME_LENGTH = 500;
+const WAIT_SAMPLE_SIZE = 100;
+
+class CommandQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.write - async (message) => resolves once the frame is written to the port
+   * @param {number} [options.maxInFlight] - commands awaiting a response at the same time
+   * @param {number} [options.maxDepth] - queued commands before new ones are rejected
+   * @param {number} [options.defaultTimeout] - response timeout in ms for commands without their own
+   */
+  constructor({ write, maxInFlight = 1, maxDepth = 100, defaultTimeout = 5000 }) {
+    this.write = write;
+    this.maxInFlight = maxInFlight;
+    this.maxDepth = maxDepth;
+    this.defaultTimeout = defaultTimeout;
+
+    this.lanes = { high: [], normal: [], low: [] };
+    this.inFlight = new Map();
+    this.waitTimes = [];
+    this.counters = { completed: 0, failed: 0, timedOut: 0, rejected: 0 };
+    this.maxWait = 0;
+  }
+
+  get depth() {
+    return LANES.reduce((total, lane) => total + this.lanes[lane].length, 0);
+  }
+
+  /**
+   * Queue a command. Resolves with the firmware's response (or a synthetic
+   * success once written when expectResponse is false).
+   */
+  enqueue(command, params = {}, { expectResponse = true, priority, timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const lane = LANES.includes(priority) ? priority : (DEFAULT_PRIORITIES[command] || 'normal');
+
+      if (this.depth >= this.maxDepth) {
+        this.counters.rejected++;
+        reject(new Error(`Command queue full (${this.maxDepth} commands waiting)`));
+        return;
+      }
+
+      this.lanes[lane].push({
+        id: Date.now().toString() + Math.random().toString(36).substring(2, 11),
+        command,
+        params,
+        lane,
+        expectResponse,
+        timeout: timeout || DEFAULT_TIMEOUTS[command] || this.defaultTimeout,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      });
+
+      this.pump();
+    });
+  }
+
+  // Start as many queued commands as the in-flight limit allows
+  pump() {
+    while (this.inFlight.size < this.maxInFlight) {
+      const lane = LANES.find(name => this.lanes[name].length > 0);
+      if (!lane) return;
+      this.dispatch(this.lanes[lane].shift());
+    }
+  }
+
+  dispatch(entry) {
+    entry.dispatchedAt = Date.now();
+    this.recordWait(entry.dispatchedAt - entry.enqueuedAt);
+
+    const message = JSON.stringify({
+      id: entry.id,
+      command: entry.command,
+      params: entry.params,
+      timestamp: entry.dispatchedAt
+    });
+
+    if (message.length > MAX_FRAME_LENGTH) {
+      this.counters.failed++;
+      entry.reject(new Error(`Command too long for the firmware input buffer (${message.length}/${MAX_FRAME_LENGTH} characters)`));
+      return;
+    }
+
+    this.inFlight.set(entry.id, entry);
+
+    if (entry.expectResponse) {
+      entry.timer = setTimeout(() => {
+        if (this.inFlight.get(entry.id) !== entry) return;
+        this.counters.timedOut++;
+        this.settle(entry, null, new Error(`Command timeout: ${entry.command}`));
+      }, entry.timeout);
+    }
+
+    this.write(message).then(() => {
+      if (!entry.expectResponse) {
+        this.settle(entry, { success: true, command: entry.command, params: entry.params });
+      }
+    }, error => {
+      if (this.inFlight.get(entry.id) !== entry) return;
+      this.settle(entry, null, new Error(`Failed to send command: ${error.message}`));
+    });
+  }
+
+  /**
+   * Match a frame from the firmware to an in-flight command. STATUS is
+   * answered by an untagged status update rather than a response with its id.
+   * Returns whether the frame completed a command.
+   */
+  handleResponse(frame) {
+    let entry = frame.id ? this.inFlight.get(frame.id) : null;
+
+    if (!entry && frame.type === 'status') {
+      entry = Array.from(this.inFlight.values()).find(candidate => candidate.command === 'STATUS');
+    }
+
+    if (!entry) return false;
+
+    this.settle(entry, frame);
+    return true;
+  }
+
+  settle(entry, response, error = null) {
+    clearTimeout(entry.timer);
+    this.inFlight.delete(entry.id);
+
+    if (error) {
+      if (!error.message.startsWith('Command timeout')) this.counters.failed++;
+      entry.reject(error);
+    } else {
+      this.counters.completed++;
+      entry.resolve(response);
+    }
+
+    this.pump();
+  }
+
+  // Fail everything queued or in flight, e.g. when the port closes
+  rejectAll(error) {
+    const pending = [...Array.from(this.inFlight.values()), ...LANES.flatMap(lane => this.lanes[lane])];
+    LANES.forEach(lane => { this.lanes[lane] = []; });
+    this.inFlight.clear();
+
+    pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      this.counters.failed++;
+      entry.reject(error);
+    });
+  }
+
+  recordWait(waitMs) {
+    this.waitTimes.push(waitMs);
+    if (this.waitTimes.length > WAIT_SAMPLE_SIZE) this.waitTimes.shift();
+    this.maxWait = Math.max(this.maxWait, waitMs);
+  }
+
+  getStats() {
+    const now = Date.now();
+    const queued = LANES.flatMap(lane => this.lanes[lane]);
+    const average = this.waitTimes.length
+      ? Math.round(this.waitTimes.reduce((sum, value) => sum + value, 0) / this.waitTimes.length)
+      : 0;
+
+    return {
+      depth: queued.length,
+      lanes: LANES.reduce((lanes, lane) => ({ ...lanes, [lane]: this.lanes[lane].length }), {}),
+      inFlight: Array.from(this.inFlight.values()).map(entry => ({
+        command: entry.command,
+        lane: entry.lane,
+        elapsed: now - entry.dispatchedAt
+      })),
+      maxInFlight: this.maxInFlight,
+      waitTime: {
+        oldest: queued.length ? Math.max(...queued.map(entry => now - entry.enqueuedAt)) : 0,
+        last: this.waitTimes.length ? this.waitTimes[this.waitTimes.length - 1] : 0,
+        average,
+        max: this.maxWait
+      },
+      ...this.counters
+    };
+  }
+}
+
+module.exports = { CommandQueue, MAX_FRAME_LENGTH };
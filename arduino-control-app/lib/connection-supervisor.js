@@ -0,0 +1,172 @@
+/**
+ * Connection Supervisor
+ *
+ * Watches boards whose serial port closed unexpectedly (USB cable bumped,
+ * board unplugged) and brings them back: it polls the port list until the
+ * same board shows up again, reconnects with exponential backoff and lets
+ * the server restore the board's last known state.
+ *
+ * Every transition is emitted as a 'state' event:
+ *   disconnected -> waiting -> reconnecting -> connected
+ *                      ^            |
+ *                      +-- retry ---+            (or failed / stopped)
+ */
+
+const { EventEmitter } = require('events');
+
+class ConnectionSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.listPorts - async (boardId) => candidate ports in detectArduinoBoards() shape
+   * @param {Function} options.reconnect - async (boardId, portPath) => resolves once the board is usable again
+   * @param {number} [options.pollInterval] - ms between port list scans while the board is absent
+   * @param {number} [options.initialDelay] - first retry delay after a failed reconnect
+   * @param {number} [options.maxDelay] - upper bound for the retry delay
+   */
+  constructor({ listPorts, reconnect, pollInterval = 2000, initialDelay = 1000, maxDelay = 30000 }) {
+    super();
+
+    this.listPorts = listPorts;
+    this.reconnect = reconnect;
+    this.pollInterval = pollInterval;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+
+    this.watched = new Map();
+  }
+
+  isRecovering(boardId) {
+    return this.watched.has(boardId);
+  }
+
+  getStatus(boardId) {
+    const entry = this.watched.get(boardId);
+    if (!entry) return null;
+    return { state: entry.state, attempt: entry.attempt, since: entry.since };
+  }
+
+  /**
+   * Start recovering a board.
+   * @param {string} boardId
+   * @param {Object} identity - { path, serialNumber, vendorId, productId, simulated }
+   */
+  watch(boardId, identity) {
+    if (this.watched.has(boardId)) return;
+
+    const entry = {
+      identity,
+      attempt: 0,
+      delay: this.initialDelay,
+      state: null,
+      since: null,
+      timer: null
+    };
+    this.watched.set(boardId, entry);
+
+    this.transition(boardId, 'disconnected', { port: identity.path });
+    this.schedule(boardId, 0);
+  }
+
+  unwatch(boardId, reason = 'stopped') {
+    const entry = this.watched.get(boardId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.watched.delete(boardId);
+    this.emit('state', { boardId, state: reason, attempt: entry.attempt });
+  }
+
+  stopAll() {
+    Array.from(this.watched.keys()).forEach(boardId => this.unwatch(boardId));
+  }
+
+  transition(boardId, state, details = {}) {
+    const entry = this.watched.get(boardId);
+    if (!entry) return;
+
+    entry.state = state;
+    entry.since = new Date().toISOString();
+    this.emit('state', { boardId, state, attempt: entry.attempt, ...details });
+  }
+
+  schedule(boardId, delay) {
+    const entry = this.watched.get(boardId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.check(boardId), delay);
+  }
+
+  // Find the port the board re-appeared on. A matching serial number wins,
+  // then the original path, then a unique vendor/product ID match (the OS
+  // may enumerate the board under a new path after a replug).
+  findPort(identity, ports) {
+    if (identity.simulated) {
+      return identity.path;
+    }
+
+    if (identity.serialNumber) {
+      const bySerial = ports.find(port => port.serialNumber === identity.serialNumber);
+      if (bySerial) return bySerial.path;
+    }
+
+    const byPath = ports.find(port => port.path === identity.path);
+    if (byPath) return byPath.path;
+
+    if (identity.vendorId && identity.productId) {
+      const byIds = ports.filter(port =>
+        port.vendorId === identity.vendorId && port.productId === identity.productId);
+      if (byIds.length === 1) return byIds[0].path;
+    }
+
+    return null;
+  }
+
+  async check(boardId) {
+    const entry = this.watched.get(boardId);
+    if (!entry) return;
+
+    let portPath = null;
+    try {
+      portPath = this.findPort(entry.identity, await this.listPorts(boardId));
+    } catch (error) {
+      portPath = null;
+    }
+
+    if (!this.watched.has(boardId)) return;
+
+    if (!portPath) {
+      if (entry.state !== 'waiting') {
+        this.transition(boardId, 'waiting', { port: entry.identity.path });
+      }
+      this.schedule(boardId, this.pollInterval);
+      return;
+    }
+
+    entry.attempt++;
+    this.transition(boardId, 'reconnecting', { port: portPath });
+
+    try {
+      await this.reconnect(boardId, portPath);
+      if (!this.watched.has(boardId)) return;
+
+      this.transition(boardId, 'connected', { port: portPath });
+      this.watched.delete(boardId);
+    } catch (error) {
+      if (!this.watched.has(boardId)) return;
+
+      if (error.retry === false) {
+        this.transition(boardId, 'failed', { port: portPath, error: error.message });
+        this.watched.delete(boardId);
+        return;
+      }
+
+      const nextRetryIn = entry.delay;
+      entry.delay = Math.min(entry.delay * 2, this.maxDelay);
+      this.transition(boardId, 'retry_scheduled', { port: portPath, error: error.message, nextRetryIn });
+      this.schedule(boardId, nextRetryIn);
+    }
+  }
+}
+
+module.exports = { ConnectionSupervisor };
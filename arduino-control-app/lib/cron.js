@@ -0,0 +1,136 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard five-field cron expressions (minute hour day-of-month
+ * month day-of-week) and finds the next matching time in server local time.
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/10).
+ * Day-of-week runs 0-7 with 0 and 7 both Sunday. As in cron, when both
+ * day-of-month and day-of-week are restricted a day matching either runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const bounds = range.split('-').map(Number);
+      if (bounds.length > 2 || bounds.some(bound => !Number.isInteger(bound))) {
+        throw new Error(`Invalid ${field.name} "${range}"`);
+      }
+      [start, end = stepText === undefined ? start : field.max] = bounds;
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`Value "${range}" in ${field.name} field is outside ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message when invalid.
+ * @returns {{ expression: string, minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean }}
+ */
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const fields = (ALIASES[source] || source).split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${source}" needs 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.days.has(date.getDate());
+  const dayOfWeek = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dayOfWeek;
+  if (cron.anyWeekday) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next time after `from` the expression matches, or null if it never does.
+ * @param {Object|string} cron - parsed expression or expression string
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+function nextCronTime(cron, from = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getFullYear() + SEARCH_YEARS;
+
+  while (date.getFullYear() <= limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextCronTime };
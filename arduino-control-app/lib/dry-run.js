@@ -0,0 +1,186 @@
+/**
+ * Dry Run
+ *
+ * Answers a chat turn's function calls without touching the hardware: each
+ * hardware call is checked like the controller would (pin ranges, values,
+ * the safety policy) and applied to a copy of the boards' hardware state.
+ * The calls form a plan that can be executed later, and diff() shows how
+ * the state would change.
+ *
+ * Read-only functions (lists of rules, boards, ...) run for real; other
+ * automation functions are only recorded.
+ */
+
+const { isDigitalPin, isAnalogPin, isPwmPin, isServoPin } = require('./board-profiles');
+
+const PIN_MODES = ['INPUT', 'OUTPUT', 'INPUT_PULLUP'];
+
+function idleEffects() {
+  return { blinking: false, fading: false, pattern: false, morse: false, rainbow: false };
+}
+
+// Flatten nested state into { 'pins.7.digitalValue': 1, ... } for diffing
+function flatten(value, prefix = '', into = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, into));
+  } else if (prefix) {
+    into[prefix] = value;
+  }
+  return into;
+}
+
+function pinState(board, pin) {
+  if (!board.hardware.pins[pin]) board.hardware.pins[pin] = {};
+  return board.hardware.pins[pin];
+}
+
+function ledEffect(effect) {
+  return (board) => {
+    board.hardware.effects[effect] = true;
+    return `LED ${effect} would start`;
+  };
+}
+
+// Readings cannot be predicted; the last known value is the best guess
+function lastReading(board, label) {
+  const reading = board.hardware.sensors[label];
+  return reading ? `${reading.value} (last reading, not measured in a dry run)` : 'unknown (not measured in a dry run)';
+}
+
+// Hardware functions: (board, args, checkSafety) => predicted message; throw
+// what the real call would
+const SIMULATORS = {
+  ledOn: (board) => {
+    board.hardware.led = true;
+    return 'LED would turn on';
+  },
+  ledOff: (board) => {
+    board.hardware.led = false;
+    board.hardware.effects.blinking = false;
+    board.hardware.effects.fading = false;
+    return 'LED would turn off';
+  },
+  ledBlink: ledEffect('blinking'),
+  ledFade: ledEffect('fading'),
+  ledMorse: ledEffect('morse'),
+  ledPattern: ledEffect('pattern'),
+  setPinMode: (board, { pin, mode }, checkSafety) => {
+    if (!isDigitalPin(board.profile, pin) || !PIN_MODES.includes(mode)) throw new Error(`Invalid pin or mode: pin ${pin}, ${mode}`);
+    checkSafety('PIN_MODE', { pin, mode });
+    pinState(board, pin).mode = mode;
+    return `Pin ${pin} would be set to ${mode}`;
+  },
+  digitalWrite: (board, { pin, value }, checkSafety) => {
+    if (!isDigitalPin(board.profile, pin) || (value !== 0 && value !== 1)) throw new Error(`Invalid pin or value: pin ${pin}, ${value}`);
+    checkSafety('DIGITAL_WRITE', { pin, value });
+    pinState(board, pin).digitalValue = value;
+    return `Pin ${pin} would go ${value ? 'HIGH' : 'LOW'}`;
+  },
+  analogWrite: (board, { pin, value }, checkSafety) => {
+    if (!isPwmPin(board.profile, pin) || !(value >= 0 && value <= 255)) throw new Error(`Invalid PWM pin or value: pin ${pin}, ${value}`);
+    checkSafety('ANALOG_WRITE', { pin, value });
+    pinState(board, pin).analogValue = value;
+    return `PWM on pin ${pin} would be set to ${value}`;
+  },
+  servoWrite: (board, { pin, angle }, checkSafety) => {
+    if (!isServoPin(board.profile, pin) || !(angle >= 0 && angle <= 180)) throw new Error(`Invalid servo pin or angle: pin ${pin}, ${angle}`);
+    checkSafety('SERVO_WRITE', { pin, angle });
+    pinState(board, pin).servoAngle = angle;
+    return `Servo on pin ${pin} would move to ${angle}°`;
+  },
+  digitalRead: (board, { pin }) => {
+    if (!isDigitalPin(board.profile, pin)) throw new Error(`Invalid pin: ${pin}`);
+    return lastReading(board, `D${pin}`);
+  },
+  analogRead: (board, { pin }) => {
+    if (!isAnalogPin(board.profile, pin)) throw new Error(`Invalid analog pin: ${pin}`);
+    return lastReading(board, `A${pin}`);
+  },
+  stopEffects: (board) => {
+    board.hardware.effects = idleEffects();
+    return 'All effects would stop';
+  },
+  resetArduino: (board) => {
+    board.hardware = { led: false, pins: {}, sensors: {}, effects: idleEffects() };
+    return 'The board would reset';
+  },
+  getStatus: (board) => JSON.stringify(board.hardware)
+};
+
+class DryRun {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.boards - { id, profile, hardware } per connected board; hardware is copied
+   * @param {Function} options.resolveBoardId - (reference) => board ID; throws for unknown boards
+   * @param {Function} [options.checkSafety] - (boardId, command, params) => void; throws on a violation
+   * @param {Object} [options.readOnly] - functions safe to run for real: name => (args) => result
+   */
+  constructor({ boards, resolveBoardId, checkSafety = () => {}, readOnly = {} }) {
+    this.resolveBoardId = resolveBoardId;
+    this.checkSafety = checkSafety;
+    this.readOnly = readOnly;
+
+    this.boards = new Map(boards.map(board => [board.id, {
+      profile: board.profile,
+      before: JSON.parse(JSON.stringify(board.hardware)),
+      hardware: JSON.parse(JSON.stringify(board.hardware))
+    }]));
+    this.plan = [];
+  }
+
+  /**
+   * Simulate one function call and add it to the plan.
+   * @returns {Object} the predicted result; throws the error the real call would
+   */
+  async execute(name, args = {}) {
+    const step = { step: this.plan.length + 1, function: name, args };
+    this.plan.push(step);
+    try {
+      const result = await this.simulate(name, args);
+      step.result = result;
+      return result;
+    } catch (error) {
+      step.error = error.message;
+      throw error;
+    }
+  }
+
+  async simulate(name, args) {
+    if (this.readOnly[name]) return this.readOnly[name](args);
+
+    if (!SIMULATORS[name]) {
+      return { success: true, predicted: true, message: `${name} would run when the plan is executed` };
+    }
+
+    const boardId = this.resolveBoardId(args.board);
+    const board = this.boards.get(boardId);
+    if (!board) throw new Error(`Board ${boardId} is not connected`);
+    const message = SIMULATORS[name](board, args, (command, params) => this.checkSafety(boardId, command, params));
+    return { success: true, predicted: true, boardId, message };
+  }
+
+  /**
+   * Predicted changes per board.
+   * @returns {Object[]} { boardId, path, before, after }
+   */
+  diff() {
+    const changes = [];
+    this.boards.forEach((board, boardId) => {
+      const before = flatten(board.before);
+      const after = flatten(board.hardware);
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(path => {
+        if (before[path] !== after[path]) {
+          changes.push({ boardId, path, before: path in before ? before[path] : null, after: path in after ? after[path] : null });
+        }
+      });
+    });
+    return changes;
+  }
+
+  // The calls to replay for real: every step whose simulation succeeded
+  calls() {
+    return this.plan.filter(step => !step.error).map(step => ({ name: step.function, args: step.args }));
+  }
+}
+
+module.exports = { DryRun };
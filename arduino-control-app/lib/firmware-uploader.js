@@ -0,0 +1,285 @@
+/**
+ * Firmware Uploader
+ *
+ * Compiles the arduino-serial sketch with arduino-cli and flashes it, for
+ * the board's own FQBN instead of always the Uno's. A run goes through
+ * phases, each reported as a 'progress' event with an overall percentage:
+ *
+ *   preparing -> compiling -> uploading -> writing -> verifying -> handshake
+ *
+ * verify() stops after compiling, so a sketch or core problem shows up
+ * without touching the board. Writing and verifying follow avrdude's
+ * progress bars. After writing, the injected handshake callback talks to
+ * the new firmware; a run only succeeds once it answers.
+ *
+ * Only one run per port at a time (and one verify per FQBN); another one is
+ * rejected with code UPLOAD_IN_PROGRESS.
+ *
+ * Events: 'started' (job), 'progress' (job + message), 'finished' (job + result | error).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { resolveProfile } = require('./board-profiles');
+
+const SKETCH_PATH = path.join(__dirname, '..', 'arduino-serial');
+const FQBN_PATTERN = /^[\w.-]+:[\w.-]+:[\w.-]+(:[\w.=,-]+)?$/;
+
+// Where each phase starts, in percent of the whole run
+const PHASE_START = {
+  preparing: 0,
+  compiling: 5,
+  uploading: 40,
+  writing: 45,
+  verifying: 80,
+  handshake: 95,
+  done: 100
+};
+const PHASE_ORDER = Object.keys(PHASE_START);
+
+// avrdude draws 50 #s for a full progress bar
+const PROGRESS_BAR_WIDTH = 50;
+// Lines of output kept per run, for error messages
+const OUTPUT_LIMIT = 200;
+
+function phaseEnd(phase) {
+  return PHASE_START[PHASE_ORDER[PHASE_ORDER.indexOf(phase) + 1]];
+}
+
+// "Sketch uses 7044 bytes (21%) of program storage space. Maximum is 32256 bytes."
+function parseSketchSize(output) {
+  const program = /Sketch uses (\d+) bytes \((\d+)%\).*Maximum is (\d+) bytes/.exec(output);
+  const memory = /Global variables use (\d+) bytes \((\d+)%\).*Maximum is (\d+) bytes/.exec(output);
+  return {
+    program: program ? { bytes: Number(program[1]), percent: Number(program[2]), max: Number(program[3]) } : null,
+    memory: memory ? { bytes: Number(memory[1]), percent: Number(memory[2]), max: Number(memory[3]) } : null
+  };
+}
+
+class FirmwareUploader extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.cli] - the arduino-cli executable
+   * @param {string} [options.sketchPath] - the sketch directory
+   * @param {Function} [options.handshake] - async ({ port, fqbn, ...context }) => firmware details, throws if the firmware did not take
+   */
+  constructor({ cli = 'arduino-cli', sketchPath = SKETCH_PATH, handshake = null } = {}) {
+    super();
+
+    this.cli = cli;
+    this.sketchPath = sketchPath;
+    this.handshake = handshake;
+
+    // Running jobs keyed by port (uploads) or verify:<fqbn>
+    this.jobs = new Map();
+    this.jobCounter = 0;
+  }
+
+  /**
+   * The FQBN to build for: an explicit one, else the one of the board's
+   * profile or detected board type.
+   * @param {Object} board - { fqbn?, profile?, boardType? }
+   * @returns {string}
+   */
+  resolveFqbn({ fqbn, profile, boardType } = {}) {
+    if (fqbn) {
+      if (!FQBN_PATTERN.test(fqbn)) throw new Error(`Invalid FQBN: ${fqbn} (expected e.g. arduino:avr:uno)`);
+      return fqbn;
+    }
+    return resolveProfile({ profile, boardType }).fqbn;
+  }
+
+  // Running jobs, for status endpoints
+  list() {
+    return Array.from(this.jobs.values()).map(job => this.describe(job));
+  }
+
+  describe(job) {
+    const { output: _output, progressBar: _progressBar, wrote: _wrote, ...info } = job;
+    return info;
+  }
+
+  /**
+   * Compile the sketch for a board without uploading it.
+   * @param {Object} options - { fqbn }
+   * @returns {Promise<Object>} { fqbn, sketch: { program, memory }, duration }
+   */
+  verify({ fqbn }) {
+    return this.run({ kind: 'verify', key: `verify:${fqbn}`, fqbn, port: null });
+  }
+
+  /**
+   * Compile, upload and confirm the firmware on a port.
+   * @param {Object} options - { port, fqbn, context? } (context is passed to the handshake)
+   * @returns {Promise<Object>} { port, fqbn, sketch, firmware, duration }
+   */
+  upload({ port, fqbn, context = {} }) {
+    if (!port) return Promise.reject(new Error('Port is required'));
+    return this.run({ kind: 'upload', key: port, fqbn, port, context });
+  }
+
+  async run({ kind, key, fqbn, port, context }) {
+    if (this.jobs.has(key)) {
+      const running = this.jobs.get(key);
+      throw Object.assign(
+        new Error(port ? `An upload to ${port} is already running (${running.phase})` : `A verify for ${fqbn} is already running`),
+        { code: 'UPLOAD_IN_PROGRESS' }
+      );
+    }
+
+    const job = {
+      id: `upload${++this.jobCounter}`,
+      kind,
+      port,
+      fqbn,
+      phase: 'preparing',
+      percent: 0,
+      startedAt: new Date().toISOString(),
+      output: []
+    };
+    this.jobs.set(key, job);
+    this.emit('started', this.describe(job));
+
+    const started = Date.now();
+    let buildPath = null;
+    try {
+      this.progress(job, 'preparing', `Checking the ${fqbn.split(':').slice(0, 2).join(':')} core`);
+      await this.ensureCore(job, fqbn);
+
+      buildPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'arduino-build-'));
+      this.progress(job, 'compiling', `Compiling for ${fqbn}`);
+      const compiled = await this.exec(job, ['compile', '--fqbn', fqbn, '--build-path', buildPath, this.sketchPath], 'COMPILE_FAILED');
+      const result = { kind, port, fqbn, sketch: parseSketchSize(compiled) };
+
+      if (kind === 'upload') {
+        this.progress(job, 'uploading', `Uploading to ${port}`);
+        await this.exec(job, ['upload', '-p', port, '--fqbn', fqbn, '--input-dir', buildPath], 'UPLOAD_FAILED');
+
+        if (this.handshake) {
+          this.progress(job, 'handshake', 'Waiting for the new firmware to answer');
+          try {
+            result.firmware = await this.handshake({ port, fqbn, ...context });
+          } catch (error) {
+            throw Object.assign(new Error(`Upload finished, but ${error.message}`), { code: 'HANDSHAKE_FAILED' });
+          }
+        }
+      }
+
+      result.duration = Date.now() - started;
+      this.progress(job, 'done', kind === 'verify' ? 'Sketch compiled' : 'Firmware uploaded and confirmed');
+      this.emit('finished', { ...this.describe(job), result });
+      return result;
+    } catch (error) {
+      error.phase = job.phase;
+      if (!error.output) error.output = job.output.join('\n');
+      this.emit('finished', { ...this.describe(job), error: { message: error.message, code: error.code || null, phase: job.phase } });
+      throw error;
+    } finally {
+      this.jobs.delete(key);
+      if (buildPath) {
+        fs.promises.rm(buildPath, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  // Install the board's core (e.g. arduino:avr) when it is missing
+  async ensureCore(job, fqbn) {
+    const platform = fqbn.split(':').slice(0, 2).join(':');
+    const installed = await this.exec(job, ['core', 'list'], 'CORE_FAILED', { quiet: true });
+    if (installed.split('\n').some(line => line.split(/\s+/)[0] === platform)) return;
+
+    this.progress(job, 'preparing', `Installing the ${platform} core`);
+    await this.exec(job, ['core', 'update-index'], 'CORE_FAILED');
+    await this.exec(job, ['core', 'install', platform], 'CORE_FAILED');
+  }
+
+  /**
+   * Run arduino-cli, streaming its output as progress.
+   * @returns {Promise<string>} everything it printed
+   */
+  exec(job, args, failureCode, { quiet = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.cli, args);
+      let printed = '';
+
+      const onData = data => {
+        const text = data.toString();
+        printed += text;
+        if (!quiet) this.handleOutput(job, text);
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+
+      child.on('error', error => {
+        if (error.code === 'ENOENT') {
+          reject(Object.assign(new Error(`${this.cli} is not installed or not in PATH`), { code: 'ARDUINO_CLI_MISSING' }));
+        } else {
+          reject(error);
+        }
+      });
+
+      child.on('close', code => {
+        if (code === 0) {
+          resolve(printed);
+          return;
+        }
+        // arduino-cli and avrdude put the cause on lines mentioning an error
+        const lines = printed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const cause = lines.find(line => /error|not found|can't open|not in sync/i.test(line)) || lines[lines.length - 1];
+        reject(Object.assign(
+          new Error(`${job.phase[0].toUpperCase()}${job.phase.slice(1)} failed: ${cause || `arduino-cli exited with code ${code}`}`),
+          { code: failureCode, output: printed }
+        ));
+      });
+    });
+  }
+
+  // Turn arduino-cli/avrdude output into progress: whole lines become
+  // messages, "Writing | ####" and "Reading | ####" bars become percentages
+  handleOutput(job, text) {
+    text.split(/(Writing \||Reading \|)/).forEach(part => {
+      if (part === 'Writing |') {
+        job.progressBar = { phase: 'writing', hashes: 0 };
+        job.wrote = true;
+        return;
+      }
+      if (part === 'Reading |') {
+        // avrdude reads the signature before writing and the flash after
+        job.progressBar = { phase: job.wrote ? 'verifying' : 'uploading', hashes: 0 };
+        return;
+      }
+
+      let rest = part;
+      if (job.progressBar) {
+        const closing = part.indexOf('|');
+        const bar = closing === -1 ? part : part.slice(0, closing);
+        job.progressBar.hashes += (bar.match(/#/g) || []).length;
+        const fraction = Math.min(job.progressBar.hashes / PROGRESS_BAR_WIDTH, 1);
+        const { phase } = job.progressBar;
+        const start = phase === 'uploading' ? PHASE_START.uploading : PHASE_START[phase];
+        const end = phase === 'uploading' ? PHASE_START.writing : phaseEnd(phase);
+        this.progress(job, phase, null, Math.round(start + (end - start) * fraction));
+        if (closing === -1) return;
+        job.progressBar = null;
+        rest = part.slice(closing + 1);
+      }
+
+      rest.split(/\r?\n|\r/).map(line => line.trim()).filter(line => line && !/^[\d.]+%\s/.test(line)).forEach(line => {
+        job.output.push(line);
+        if (job.output.length > OUTPUT_LIMIT) job.output.shift();
+        this.progress(job, job.phase, line);
+      });
+    });
+  }
+
+  progress(job, phase, message, percent = PHASE_START[phase]) {
+    job.phase = phase;
+    job.percent = Math.max(job.percent, percent);
+    this.emit('progress', { ...this.describe(job), message });
+  }
+}
+
+module.exports = { FirmwareUploader };
@@ -0,0 +1,232 @@
+/**
+ * Offline Intent Parser
+ *
+ * Understands common phrasings of the basic commands without a language
+ * model, for classrooms without internet or when the LLM call fails:
+ *
+ *   "turn on the led", "blink fast", "fade slowly", "stop", "reset",
+ *   "set pin 7 high", "set pin 9 to output", "set PWM on pin 9 to 128",
+ *   "servo on 9 to 45 degrees", "morse SOS", "pattern 1010", "read A0",
+ *   "read pin 7", "release pin 9", "status"
+ *
+ * Several commands can be chained with "and", "then" or ";", and
+ * "on the left board" picks a board. The parser plugs into ChatSession
+ * like an LLM provider: it answers a user message with function calls and
+ * the function results with a short summary.
+ */
+
+const BLINK_RATES = { fast: 150, slow: 1000, default: 500 };
+const FADE_SPEEDS = { fast: 9, slow: 2, default: 5 };
+
+const EXAMPLES = ['"turn on the led"', '"blink fast"', '"set pin 7 high"', '"servo on 9 to 45 degrees"', '"morse SOS"', '"read A0"'];
+
+const CLAUSE_SEPARATOR = /\s*(?:;|,?\s+and then\s+|,?\s+then\s+|,?\s+and\s+)\s*/i;
+// Quoted text; single quotes only around whole words so "what's" is no quote
+const QUOTED = /"([^"]+)"|“([^”]+)”|(?<![\w])['‘]([^'’]+)['’](?![\w])/g;
+
+function speedWord(text) {
+  if (/\b(?:fast|quick(?:ly)?|rapid(?:ly)?)\b/.test(text)) return 'fast';
+  if (/\bslow(?:ly)?\b/.test(text)) return 'slow';
+  return 'default';
+}
+
+function number(match) {
+  return match ? Number(match[1]) : undefined;
+}
+
+// "pin 7", "on 7", "D7"; falls back to the first number not used otherwise
+function findPin(text, exclude) {
+  const explicit = number(/\b(?:pin|on|d)\s*(\d+)\b/.exec(text));
+  if (explicit !== undefined) return explicit;
+  const numbers = (text.match(/\d+/g) || []).map(Number).filter(value => value !== exclude);
+  return numbers[0];
+}
+
+// Parsers tried in order on one lower-cased clause; `original` keeps the
+// user's spelling for morse text. Each returns a call or null.
+const INTENTS = [
+  (text) => /^(?:stop|halt|cancel)\b|\bstop (?:the |all )?(?:effects?|blinking|fading|animations?)\b/.test(text)
+    ? { name: 'stopEffects', args: {} } : null,
+
+  (text) => /\breset\b/.test(text) ? { name: 'resetArduino', args: {} } : null,
+
+  (text) => /\b(?:status|state)\b/.test(text) ? { name: 'getStatus', args: {} } : null,
+
+  (text) => {
+    const pin = number(/\brelease (?:pin )?(\d+)\b/.exec(text));
+    return pin !== undefined ? { name: 'releasePin', args: { pin } } : null;
+  },
+
+  (text, original) => {
+    if (!/\bmorse\b/.test(text)) return null;
+    const quoted = new RegExp(QUOTED.source).exec(original);
+    const after = /\bmorse(?: code)?(?: for| of)?\s+(.+)$/i.exec(original);
+    const before = /^(?:show|send|blink|flash|spell)\s+(.+?)\s+(?:in|as) morse/i.exec(original);
+    const morseText = quoted ? (quoted[1] || quoted[2] || quoted[3]) : (before ? before[1] : (after ? after[1] : null));
+    return morseText && morseText.trim() ? { name: 'ledMorse', args: { text: morseText.trim() } } : null;
+  },
+
+  (text) => {
+    const pattern = /\bpattern\s+([01]+)\b/.exec(text);
+    return pattern ? { name: 'ledPattern', args: { pattern: pattern[1] } } : null;
+  },
+
+  (text) => {
+    if (!/\b(?:blink|flash)/.test(text)) return null;
+    const ms = number(/(\d+)\s*(?:ms|milliseconds?)\b/.exec(text));
+    const seconds = /(\d+(?:\.\d+)?)\s*(?:s|secs?|seconds?)\b/.exec(text);
+    const rate = ms !== undefined ? ms : (seconds ? Math.round(Number(seconds[1]) * 1000) : BLINK_RATES[speedWord(text)]);
+    return { name: 'ledBlink', args: { rate } };
+  },
+
+  (text) => {
+    if (!/\b(?:fade|fading|breath|pulse)/.test(text)) return null;
+    const speed = number(/\bspeed\s*(\d+)\b/.exec(text));
+    return { name: 'ledFade', args: { speed: speed !== undefined ? speed : FADE_SPEEDS[speedWord(text)] } };
+  },
+
+  (text) => {
+    if (!/\bservo\b/.test(text)) return null;
+    let angle = number(/(\d+)\s*(?:°|deg\b|degrees?\b)/.exec(text));
+    if (angle === undefined) angle = number(/\bto\s+(\d+)\b/.exec(text));
+    const numbers = (text.match(/\d+/g) || []).map(Number);
+    if (angle === undefined && numbers.length >= 2) angle = numbers[numbers.length - 1];
+    const pin = findPin(text, angle);
+    return pin !== undefined && angle !== undefined ? { name: 'servoWrite', args: { pin, angle } } : null;
+  },
+
+  (text) => {
+    if (!/\b(?:read|get|check|measure|value of|what(?:'s| is))\b/.test(text)) return null;
+    const analog = number(/\ba(\d+)\b/.exec(text) || /\banalog (?:pin |input )?(\d+)\b/.exec(text));
+    if (analog !== undefined) return { name: 'analogRead', args: { pin: analog } };
+    const digital = number(/\b(?:pin |d)(\d+)\b/.exec(text));
+    return digital !== undefined ? { name: 'digitalRead', args: { pin: digital } } : null;
+  },
+
+  (text) => {
+    const mode = /\b(input[_ ]pull-?up|pull-?up|input|output)\b/.exec(text);
+    const pin = number(/\bpin\s*(\d+)\b/.exec(text));
+    if (!mode || pin === undefined) return null;
+    const modes = { input: 'INPUT', output: 'OUTPUT' };
+    return { name: 'setPinMode', args: { pin, mode: modes[mode[1]] || 'INPUT_PULLUP' } };
+  },
+
+  (text) => {
+    if (!/\b(?:pwm|analog ?write|dim|brightness)\b/.test(text)) return null;
+    const pin = number(/\bpin\s*(\d+)\b/.exec(text));
+    const percent = number(/(\d+)\s*%/.exec(text));
+    let value = percent !== undefined ? Math.round(Math.min(percent, 100) * 2.55) : number(/\bto\s+(\d+)\b/.exec(text));
+    if (value === undefined) {
+      const numbers = (text.match(/\d+/g) || []).map(Number).filter(entry => entry !== pin);
+      value = numbers[0];
+    }
+    return pin !== undefined && value !== undefined ? { name: 'analogWrite', args: { pin, value } } : null;
+  },
+
+  (text) => {
+    const pin = number(/\bpin\s*(\d+)\b/.exec(text));
+    const level = /\b(high|low|on|off)\b/.exec(text);
+    if (pin === undefined || !level) return null;
+    return { name: 'digitalWrite', args: { pin, value: level[1] === 'high' || level[1] === 'on' ? 1 : 0 } };
+  },
+
+  (text) => {
+    if (!/\b(?:led|light|lamp)s?\b/.test(text)) return null;
+    if (/\boff\b/.test(text)) return { name: 'ledOff', args: {} };
+    if (/\bon\b/.test(text)) return { name: 'ledOn', args: {} };
+    return null;
+  }
+];
+
+// Split on separators outside quotes, so "morse 'SOS and help'" stays whole
+function splitClauses(message) {
+  const quoted = [];
+  const masked = message.replace(QUOTED, match => `\u0000${quoted.push(match) - 1}\u0000`);
+  return masked
+    .split(CLAUSE_SEPARATOR)
+    .map(clause => clause.replace(/\u0000(\d+)\u0000/g, (_, index) => quoted[index]).trim())
+    .filter(Boolean);
+}
+
+function parseClause(clause) {
+  let original = clause.replace(/^(?:please|can you|could you|would you)\s+/i, '').replace(/[.!?]+$/, '').trim();
+
+  let board;
+  const boardMatch = /\s*\b(?:on|for) (?:the )?([\w-]+) board\b|\s*\bon board ([\w-]+)\b/i.exec(original);
+  if (boardMatch) {
+    board = boardMatch[1] || boardMatch[2];
+    original = (original.slice(0, boardMatch.index) + original.slice(boardMatch.index + boardMatch[0].length)).trim();
+  }
+
+  const text = original.toLowerCase();
+  for (const intent of INTENTS) {
+    const call = intent(text, original);
+    if (call) {
+      if (board) call.args.board = board;
+      return call;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a chat message onto controller function calls.
+ * @param {string} message
+ * @returns {{ calls: Object[], unknown: string[] }} calls as { name, args }; clauses that matched nothing
+ */
+function parseCommand(message) {
+  const calls = [];
+  const unknown = [];
+  splitClauses(String(message || '')).forEach(clause => {
+    const call = parseClause(clause);
+    if (call) {
+      calls.push(call);
+    } else {
+      unknown.push(clause);
+    }
+  });
+  return { calls, unknown };
+}
+
+function describeResult(call, response) {
+  if (response.error) return `${call.name} failed: ${response.error}`;
+
+  const result = response.result || {};
+  if (call.name === 'analogRead' || call.name === 'digitalRead') {
+    const label = call.name === 'analogRead' ? `A${call.args.pin}` : `Pin ${call.args.pin}`;
+    return `${label} reads ${result.message}`;
+  }
+  if (call.name === 'getStatus') return 'Status updated';
+  const message = typeof result.message === 'string' ? result.message : 'Done';
+  return result.warning ? `${message} (${result.warning})` : message;
+}
+
+class OfflineIntentParser {
+  async generate({ history }) {
+    const last = history[history.length - 1];
+    const lastUser = [...history].reverse().find(entry => entry.role === 'user');
+    const { calls, unknown } = parseCommand(lastUser ? lastUser.text : '');
+
+    // First round: the calls to make
+    if (last && last.role === 'user') {
+      if (calls.length > 0) return { text: '', functionCalls: calls.map((call, index) => ({ id: `offline_${index}`, ...call })) };
+      return {
+        text: `I can only understand simple commands without an AI model, for example ${EXAMPLES.join(', ')}.`,
+        functionCalls: []
+      };
+    }
+
+    // Second round: summarise the results
+    const model = [...history].reverse().find(entry => entry.role === 'model');
+    const lines = last.results.map(result => {
+      const call = model.functionCalls.find(entry => entry.id === result.id) || { name: result.name, args: {} };
+      return describeResult(call, result.response);
+    });
+    if (unknown.length > 0) {
+      lines.push(`I did not understand: ${unknown.map(clause => `"${clause}"`).join(', ')}`);
+    }
+    return { text: lines.join('\n'), functionCalls: [] };
+  }
+}
+
+module.exports = { OfflineIntentParser, parseCommand };
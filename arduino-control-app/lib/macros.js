@@ -0,0 +1,312 @@
+/**
+ * Macros
+ *
+ * Named sequences of controller calls and waits ("scenes") that run as one
+ * unit. Steps can use {{parameter}} placeholders that are filled in when
+ * the macro runs. Macros are stored in data/macros.json.
+ *
+ * Macro format:
+ *   {
+ *     "name": "demo mode",
+ *     "description": "Servo home, slow fade, pin 7 on",
+ *     "parameters": [{ "name": "angle", "default": 0 }],
+ *     "steps": [
+ *       { "function": "servoWrite", "args": { "pin": 9, "angle": "{{angle}}" } },
+ *       { "wait": 500 },
+ *       { "function": "ledFade", "args": { "speed": 3 } },
+ *       { "function": "digitalWrite", "args": { "pin": 7, "value": 1 } }
+ *     ]
+ *   }
+ *
+ * Every run reports 'progress' events (started, step, completed, failed,
+ * aborted) and can be aborted between steps or during a wait.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const MACROS_FILE = path.join(__dirname, '..', 'data', 'macros.json');
+
+const MAX_STEPS = 100;
+const MAX_WAIT = 3600000;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*(\w+)\s*\}\}$/;
+
+function macroKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Placeholder names used anywhere in the steps
+function findPlaceholders(steps) {
+  const names = new Set();
+  JSON.stringify(steps).replace(PLACEHOLDER, (_, name) => names.add(name));
+  return Array.from(names);
+}
+
+// Numeric strings become numbers, so "90" can fill an angle
+function coerce(value) {
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(value);
+    if (whole) return coerce(values[whole[1]]);
+    return value.replace(PLACEHOLDER, (_, name) => String(values[name]));
+  }
+  if (Array.isArray(value)) return value.map(item => substitute(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, values)]));
+  }
+  return value;
+}
+
+class Macros extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.execute - async (functionName, args, origin) => result of the controller call; origin says what made the call
+   * @param {string[]} options.stepNames - functions macro steps may call
+   * @param {string} [options.file] - where macros are stored
+   */
+  constructor({ execute, stepNames, file = MACROS_FILE }) {
+    super();
+
+    this.execute = execute;
+    this.stepNames = stepNames;
+    this.file = file;
+
+    this.macros = new Map();
+    this.runs = new Map();
+    this.runCounter = 0;
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      (stored.macros || []).forEach(macro => this.macros.set(macroKey(macro.name), macro));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.list();
+  }
+
+  save() {
+    return writeFileAtomic(this.file, JSON.stringify({ macros: this.list() }, null, 2));
+  }
+
+  list() {
+    return Array.from(this.macros.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    const macro = this.macros.get(macroKey(name));
+    if (!macro) {
+      const known = this.list().map(entry => `"${entry.name}"`).join(', ') || 'none';
+      throw Object.assign(new Error(`Unknown macro: ${name}. Saved macros: ${known}`), { code: 'MACRO_NOT_FOUND' });
+    }
+    return macro;
+  }
+
+  // Create or replace a macro
+  async saveMacro(input) {
+    const macro = this.validate(input);
+    const existing = this.macros.get(macroKey(macro.name));
+    const now = new Date().toISOString();
+
+    const saved = {
+      ...macro,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.macros.set(macroKey(saved.name), saved);
+    await this.changed();
+    return saved;
+  }
+
+  async remove(name) {
+    const macro = this.get(name);
+    this.macros.delete(macroKey(macro.name));
+    await this.changed();
+    return macro;
+  }
+
+  async changed() {
+    await this.save();
+    this.emit('changed', this.list());
+  }
+
+  // Check and normalise a macro definition; throws with a readable message
+  validate(input = {}) {
+    const { name, description, parameters = [], steps } = input;
+
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName || trimmedName.length > 50) {
+      throw new Error('Macro name must be 1-50 characters');
+    }
+
+    if (!Array.isArray(steps) || steps.length === 0) throw new Error('Macro needs at least one step');
+    if (steps.length > MAX_STEPS) throw new Error(`Macro can have at most ${MAX_STEPS} steps`);
+
+    const normalisedSteps = steps.map((step, index) => {
+      const where = `Step ${index + 1}`;
+      if (step && step.wait !== undefined) {
+        const wait = step.wait;
+        const valid = (typeof wait === 'number' && wait >= 0 && wait <= MAX_WAIT) ||
+          (typeof wait === 'string' && WHOLE_PLACEHOLDER.test(wait));
+        if (!valid) throw new Error(`${where}: wait must be 0-${MAX_WAIT} ms`);
+        return { wait };
+      }
+      if (!step || !this.stepNames.includes(step.function)) {
+        throw new Error(`${where}: function must be one of: ${this.stepNames.join(', ')}`);
+      }
+      return { function: step.function, args: { ...(step.args || {}) } };
+    });
+
+    if (!Array.isArray(parameters)) throw new Error('Macro parameters must be a list');
+    const declared = parameters.map(parameter => {
+      if (!parameter || !/^\w+$/.test(parameter.name || '')) {
+        throw new Error('Macro parameter names may only contain letters, digits and "_"');
+      }
+      return {
+        name: parameter.name,
+        ...(parameter.default !== undefined && { default: parameter.default }),
+        ...(parameter.description && { description: String(parameter.description) })
+      };
+    });
+
+    // Placeholders without a declaration become required parameters
+    const undeclared = findPlaceholders(normalisedSteps)
+      .filter(placeholder => !declared.some(parameter => parameter.name === placeholder))
+      .map(placeholder => ({ name: placeholder }));
+
+    return {
+      name: trimmedName,
+      description: description ? String(description) : '',
+      parameters: [...declared, ...undeclared],
+      steps: normalisedSteps
+    };
+  }
+
+  listRuns() {
+    return Array.from(this.runs.values()).map(({ cancelWait, ...run }) => run);
+  }
+
+  /**
+   * Run a macro to the end (or until aborted or a step fails).
+   * @param {string} name
+   * @param {Object} [params] - parameter values by name
+   * @param {Object} [options] - { board } used by steps without their own board
+   * @returns {Promise<Object>} run summary with status completed, failed or aborted
+   */
+  async run(name, params = {}, { board } = {}) {
+    const macro = this.get(name);
+
+    if (this.listRuns().some(run => macroKey(run.macro) === macroKey(macro.name))) {
+      throw new Error(`Macro "${macro.name}" is already running`);
+    }
+
+    const values = {};
+    macro.parameters.forEach(parameter => {
+      const value = params[parameter.name] !== undefined ? params[parameter.name] : parameter.default;
+      if (value === undefined) {
+        throw new Error(`Macro "${macro.name}" needs parameter "${parameter.name}"`);
+      }
+      values[parameter.name] = value;
+    });
+
+    const run = {
+      id: `run${++this.runCounter}`,
+      macro: macro.name,
+      params: values,
+      board: board || null,
+      step: 0,
+      total: macro.steps.length,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      aborted: false,
+      cancelWait: null
+    };
+    this.runs.set(run.id, run);
+    this.progress(run, 'started');
+
+    const results = [];
+    let error = null;
+
+    try {
+      for (let index = 0; index < macro.steps.length && !run.aborted; index++) {
+        const step = substitute(macro.steps[index], values);
+        run.step = index + 1;
+
+        if (step.wait !== undefined) {
+          // A {{placeholder}} is only known now, so check the range again
+          const wait = Number(step.wait);
+          if (!Number.isFinite(wait) || wait < 0 || wait > MAX_WAIT) throw new Error(`wait must be 0-${MAX_WAIT} ms`);
+          this.progress(run, 'step', { wait });
+          await this.wait(run, wait);
+          continue;
+        }
+
+        const args = { ...step.args };
+        if (args.board === undefined && board) args.board = board;
+        this.progress(run, 'step', { function: step.function, args });
+        results.push({ function: step.function, args, result: await this.execute(step.function, args, { macro: run.macro, runId: run.id }) });
+      }
+      run.status = run.aborted ? 'aborted' : 'completed';
+    } catch (stepError) {
+      run.status = 'failed';
+      error = `Step ${run.step} failed: ${stepError.message}`;
+    } finally {
+      this.runs.delete(run.id);
+    }
+
+    this.progress(run, run.status, error ? { error } : {});
+
+    return {
+      success: run.status === 'completed',
+      runId: run.id,
+      macro: macro.name,
+      status: run.status,
+      stepsRun: results.length,
+      results,
+      ...(error && { error })
+    };
+  }
+
+  wait(run, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      run.cancelWait = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).then(() => {
+      run.cancelWait = null;
+    });
+  }
+
+  // Stop a run after its current controller call; a wait ends right away
+  abort(runId) {
+    const run = this.runs.get(runId);
+    if (!run) throw Object.assign(new Error(`No running macro with run ID ${runId}`), { code: 'RUN_NOT_FOUND' });
+
+    run.aborted = true;
+    if (run.cancelWait) run.cancelWait();
+    return { runId, macro: run.macro, step: run.step, total: run.total };
+  }
+
+  progress(run, status, details = {}) {
+    this.emit('progress', {
+      runId: run.id,
+      macro: run.macro,
+      status,
+      step: run.step,
+      total: run.total,
+      ...details
+    });
+  }
+}
+
+module.exports = { Macros };
@@ -0,0 +1,394 @@
+/**
+ * MQTT Bridge
+ *
+ * Publishes each board's hardware state to an MQTT broker, turns messages
+ * on command topics into controller calls, and announces the board to Home
+ * Assistant through MQTT discovery. Topics, with "arduino" as the prefix:
+ *
+ *   arduino/status                       online / offline (the bridge, retained)
+ *   arduino/<board>/availability         online / offline (the board)
+ *   arduino/<board>/state                the board's whole hardware state as JSON
+ *   arduino/<board>/led/state            ON / OFF
+ *   arduino/<board>/led/effect           blink / fade / morse / pattern / none
+ *   arduino/<board>/pin/<n>/state        ON / OFF (digital outputs)
+ *   arduino/<board>/servo/<n>/state      angle
+ *   arduino/<board>/sensor/A<n>/state    last analog reading
+ *
+ *   arduino/<board>/led/set              ON / OFF
+ *   arduino/<board>/led/effect/set       blink / fade / none
+ *   arduino/<board>/pin/<n>/set          ON / OFF (or 1 / 0)
+ *   arduino/<board>/servo/<n>/set        angle
+ *   arduino/<board>/call/<function>      JSON arguments for any hardware function
+ *   arduino/<board>/result               outcome of each command, as JSON
+ *
+ * State is published retained and only when it changes. Discovery covers
+ * the LED (light), the configured switch pins (switch), servo pins (number)
+ * and analog inputs (sensor); the analog inputs are read every
+ * sensorInterval ms.
+ *
+ * Events: 'connected', 'disconnected', 'command' ({ boardId, function,
+ * args, success, error }), 'error'.
+ */
+
+const mqtt = require('mqtt');
+const { EventEmitter } = require('events');
+const { parsePinLabel } = require('./sensor-sampler');
+
+const STATE_INTERVAL = 1000;
+const DEFAULT_SENSOR_INTERVAL = 10000;
+const EFFECTS = { blinking: 'blink', fading: 'fade', morse: 'morse', pattern: 'pattern' };
+const EFFECT_COMMANDS = {
+  blink: { name: 'ledBlink', args: { rate: 500 } },
+  fade: { name: 'ledFade', args: { speed: 5 } },
+  none: { name: 'stopEffects', args: {} }
+};
+
+// Board IDs come from users; keep them to characters that are safe in topics
+function topicSegment(id) {
+  return String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Parse "7, 8" or "A0,A1" into pin numbers.
+ * @param {string|number[]} value
+ * @param {string} kind - 'digital' or 'analog'
+ * @returns {number[]}
+ */
+function parsePinList(value, kind) {
+  if (Array.isArray(value)) return value;
+  return String(value || '').split(',').map(label => label.trim()).filter(Boolean).map(label => {
+    const { type, pin } = parsePinLabel(label);
+    if (kind === 'analog' && type !== 'analog') throw new Error(`"${label}" is not an analog input; use e.g. A0`);
+    return pin;
+  });
+}
+
+// Strip credentials from a broker URL before it is shown anywhere
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+class MqttBridge extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - broker URL, e.g. mqtt://localhost:1883
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   * @param {string} [options.prefix] - base topic
+   * @param {string} [options.discoveryPrefix] - Home Assistant discovery prefix
+   * @param {number[]} [options.switches] - digital pins exposed as switches
+   * @param {number[]} [options.servos] - servo pins exposed as numbers
+   * @param {number[]} [options.sensors] - analog inputs exposed as sensors
+   * @param {number} [options.sensorInterval] - ms between reads of the analog inputs
+   * @param {Function} options.getBoards - () => [{ id, name, model, connected, hardware }]
+   * @param {Function} options.execute - async (name, args, origin) => result
+   * @param {Function} options.read - async (boardId, 'analog', pin) => reading
+   * @param {string[]} options.functionNames - functions callable through call/<function>
+   */
+  constructor({
+    url,
+    username,
+    password,
+    prefix = 'arduino',
+    discoveryPrefix = 'homeassistant',
+    switches = [],
+    servos = [],
+    sensors = [],
+    sensorInterval = DEFAULT_SENSOR_INTERVAL,
+    getBoards,
+    execute,
+    read,
+    functionNames
+  }) {
+    super();
+
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.prefix = prefix.replace(/\/+$/, '');
+    this.discoveryPrefix = discoveryPrefix.replace(/\/+$/, '');
+    this.switches = switches;
+    this.servos = servos;
+    this.sensors = sensors;
+    this.sensorInterval = sensorInterval;
+    this.getBoards = getBoards;
+    this.execute = execute;
+    this.read = read;
+    this.functionNames = functionNames;
+
+    this.client = null;
+    this.connected = false;
+    // Last payload per topic, so only changes are published
+    this.published = new Map();
+    this.discovered = new Set();
+    this.stateTimer = null;
+    this.sensorTimer = null;
+  }
+
+  start() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: 5000,
+      will: { topic: `${this.prefix}/status`, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      this.connected = true;
+      // The broker may have lost retained messages; send everything again
+      this.published.clear();
+      this.discovered.clear();
+      this.client.publish(`${this.prefix}/status`, 'online', { retain: true, qos: 1 });
+      this.client.subscribe([
+        `${this.prefix}/+/led/set`,
+        `${this.prefix}/+/led/effect/set`,
+        `${this.prefix}/+/pin/+/set`,
+        `${this.prefix}/+/servo/+/set`,
+        `${this.prefix}/+/call/+`,
+        `${this.discoveryPrefix}/status`
+      ]);
+      this.sync();
+      this.emit('connected', { url: safeUrl(this.url) });
+    });
+
+    this.client.on('close', () => {
+      if (this.connected) this.emit('disconnected', { url: safeUrl(this.url) });
+      this.connected = false;
+    });
+
+    this.client.on('error', error => this.emit('error', error));
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload.toString()).catch(error => this.emit('error', error));
+    });
+
+    this.stateTimer = setInterval(() => this.sync(), STATE_INTERVAL);
+    if (this.sensors.length > 0) {
+      this.sensorTimer = setInterval(() => this.readSensors(), this.sensorInterval);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.stateTimer);
+    clearInterval(this.sensorTimer);
+    if (!this.client) return;
+    if (this.connected) {
+      await this.client.publishAsync(`${this.prefix}/status`, 'offline', { retain: true, qos: 1 });
+    }
+    await this.client.endAsync();
+  }
+
+  status() {
+    return {
+      enabled: true,
+      connected: this.connected,
+      url: safeUrl(this.url),
+      prefix: this.prefix,
+      discoveryPrefix: this.discoveryPrefix,
+      switches: this.switches,
+      servos: this.servos,
+      sensors: this.sensors.map(pin => `A${pin}`)
+    };
+  }
+
+  publish(topic, payload) {
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    if (this.published.get(topic) === text) return;
+    this.published.set(topic, text);
+    this.client.publish(topic, text, { retain: true });
+  }
+
+  // Publish every board's state and announce boards seen for the first time
+  sync() {
+    if (!this.connected) return;
+    const seen = new Set();
+    this.getBoards().forEach(board => {
+      const base = `${this.prefix}/${topicSegment(board.id)}`;
+      seen.add(board.id);
+      if (!this.discovered.has(board.id)) {
+        this.discover(board);
+        this.discovered.add(board.id);
+      }
+
+      const { hardware } = board;
+      const effect = Object.keys(EFFECTS).find(name => hardware.effects[name]);
+      this.publish(`${base}/availability`, board.connected ? 'online' : 'offline');
+      this.publish(`${base}/state`, hardware);
+      this.publish(`${base}/led/state`, hardware.led ? 'ON' : 'OFF');
+      this.publish(`${base}/led/effect`, effect ? EFFECTS[effect] : 'none');
+      this.switches.forEach(pin => {
+        const state = hardware.pins[pin] || {};
+        this.publish(`${base}/pin/${pin}/state`, state.digitalValue === 1 ? 'ON' : 'OFF');
+      });
+      this.servos.forEach(pin => {
+        const state = hardware.pins[pin] || {};
+        if (state.servoAngle !== undefined) this.publish(`${base}/servo/${pin}/state`, String(state.servoAngle));
+      });
+      this.sensors.forEach(pin => {
+        const reading = hardware.sensors[`A${pin}`];
+        if (reading) this.publish(`${base}/sensor/A${pin}/state`, String(reading.value));
+      });
+    });
+
+    // Boards that went away
+    Array.from(this.discovered).filter(id => !seen.has(id)).forEach(id => {
+      this.publish(`${this.prefix}/${topicSegment(id)}/availability`, 'offline');
+      this.discovered.delete(id);
+    });
+  }
+
+  async readSensors() {
+    const connected = this.getBoards().filter(board => board.connected);
+    for (const board of connected) {
+      for (const pin of this.sensors) {
+        try {
+          await this.read(board.id, 'analog', pin);
+        } catch (error) {
+          // Published readings just stay as they were; the next round tries again
+        }
+      }
+    }
+  }
+
+  // Home Assistant discovery configs for one board, published retained
+  discover(board) {
+    const segment = topicSegment(board.id);
+    const base = `${this.prefix}/${segment}`;
+    const nodeId = `${topicSegment(this.prefix)}_${segment}`;
+    const shared = {
+      availability: [{ topic: `${this.prefix}/status` }, { topic: `${base}/availability` }],
+      availability_mode: 'all',
+      device: {
+        identifiers: [nodeId],
+        name: board.name || `Arduino ${board.id}`,
+        model: board.model,
+        manufacturer: 'Arduino'
+      }
+    };
+    const announce = (component, objectId, config) => {
+      this.publish(`${this.discoveryPrefix}/${component}/${nodeId}/${objectId}/config`, {
+        ...config,
+        unique_id: `${nodeId}_${objectId}`,
+        ...shared
+      });
+    };
+
+    announce('light', 'led', {
+      name: 'LED',
+      command_topic: `${base}/led/set`,
+      state_topic: `${base}/led/state`,
+      effect_command_topic: `${base}/led/effect/set`,
+      effect_state_topic: `${base}/led/effect`,
+      effect_list: Object.keys(EFFECT_COMMANDS)
+    });
+    this.switches.forEach(pin => announce('switch', `pin${pin}`, {
+      name: `Pin ${pin}`,
+      command_topic: `${base}/pin/${pin}/set`,
+      state_topic: `${base}/pin/${pin}/state`
+    }));
+    this.servos.forEach(pin => announce('number', `servo${pin}`, {
+      name: `Servo ${pin}`,
+      command_topic: `${base}/servo/${pin}/set`,
+      state_topic: `${base}/servo/${pin}/state`,
+      min: 0,
+      max: 180,
+      step: 1,
+      unit_of_measurement: '°',
+      mode: 'slider'
+    }));
+    this.sensors.forEach(pin => announce('sensor', `a${pin}`, {
+      name: `Analog A${pin}`,
+      state_topic: `${base}/sensor/A${pin}/state`,
+      state_class: 'measurement'
+    }));
+  }
+
+  // The controller call a command topic stands for
+  parseCommand(parts, payload, board) {
+    const value = payload.trim();
+    const upper = value.toUpperCase();
+
+    if (parts[0] === 'led' && parts[1] === 'set') {
+      if (upper !== 'ON' && upper !== 'OFF') throw new Error('LED payload must be ON or OFF');
+      return [{ name: upper === 'ON' ? 'ledOn' : 'ledOff', args: {} }];
+    }
+    if (parts[0] === 'led' && parts[1] === 'effect') {
+      const effect = EFFECT_COMMANDS[value.toLowerCase()];
+      if (!effect) throw new Error(`Effect must be one of: ${Object.keys(EFFECT_COMMANDS).join(', ')}`);
+      return [{ name: effect.name, args: { ...effect.args } }];
+    }
+    if (parts[0] === 'pin') {
+      const pin = Number(parts[1]);
+      if (!['ON', 'OFF', '1', '0'].includes(upper)) throw new Error('Pin payload must be ON, OFF, 1 or 0');
+      const calls = [];
+      // A switch pin becomes an output the first time it is used
+      const state = board.hardware.pins[pin] || {};
+      if (state.mode !== 'OUTPUT') calls.push({ name: 'setPinMode', args: { pin, mode: 'OUTPUT' } });
+      calls.push({ name: 'digitalWrite', args: { pin, value: upper === 'ON' || upper === '1' ? 1 : 0 } });
+      return calls;
+    }
+    if (parts[0] === 'servo') {
+      const angle = Number(value);
+      if (value === '' || Number.isNaN(angle)) throw new Error('Servo payload must be an angle');
+      return [{ name: 'servoWrite', args: { pin: Number(parts[1]), angle: Math.round(angle) } }];
+    }
+    if (parts[0] === 'call') {
+      const name = parts[1];
+      if (!this.functionNames.includes(name)) throw new Error(`Unknown function: ${name}`);
+      let args = {};
+      if (value) {
+        try {
+          args = JSON.parse(value);
+        } catch (error) {
+          throw new Error('Payload must be JSON arguments, e.g. {"rate": 200}');
+        }
+      }
+      if (!args || typeof args !== 'object' || Array.isArray(args)) throw new Error('Payload must be a JSON object');
+      return [{ name, args }];
+    }
+    throw new Error('Unknown command topic');
+  }
+
+  async handleMessage(topic, payload) {
+    // Home Assistant restarted: announce everything again
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (payload === 'online') {
+        this.published.clear();
+        this.discovered.clear();
+        this.sync();
+      }
+      return;
+    }
+
+    const [, segment, ...parts] = topic.slice(this.prefix.length).split('/');
+    const board = this.getBoards().find(entry => topicSegment(entry.id) === segment);
+    const resultTopic = `${this.prefix}/${segment}/result`;
+    if (!board) return;
+
+    // The call being made, for the error report
+    let current = { name: null, args: {} };
+    try {
+      for (const call of this.parseCommand(parts, payload, board)) {
+        current = call;
+        const result = await this.execute(call.name, { ...call.args, board: board.id }, { type: 'mqtt', topic });
+        this.report(resultTopic, { boardId: board.id, function: call.name, args: call.args, success: !result || result.success !== false, result });
+      }
+    } catch (error) {
+      this.report(resultTopic, { boardId: board.id, function: current.name, args: current.args, success: false, error: error.message, topic });
+    }
+    this.sync();
+  }
+
+  report(topic, outcome) {
+    this.emit('command', outcome);
+    if (this.connected) this.client.publish(topic, JSON.stringify({ ...outcome, timestamp: new Date().toISOString() }));
+  }
+}
+
+module.exports = { MqttBridge, parsePinList };
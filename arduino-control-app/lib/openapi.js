@@ -0,0 +1,201 @@
+/**
+ * OpenAPI
+ *
+ * The hardware REST endpoints are generated from the same function
+ * declarations the AI gets, so their parameters only have to be described
+ * once. This module checks request parameters against a declaration and
+ * builds the OpenAPI 3 document served at /api/openapi.json.
+ *
+ * A route is { method, path, functions, operationId?, summary?, scope,
+ * custom? }: `functions` are the declarations it calls, in order (a route
+ * with several runs each one whose parameters were sent), and `custom`
+ * marks routes with their own handler and response.
+ */
+
+const ERROR_RESPONSE = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string' },
+    code: { type: 'string', description: 'e.g. PIN_CONFLICT, SAFETY_VIOLATION or UNSUPPORTED_COMMAND' },
+    details: { type: 'object', description: 'What a safety rule blocked' }
+  },
+  required: ['success', 'error']
+};
+
+const ERROR_STATUSES = {
+  400: 'Invalid parameters, or the pin or value is not valid for the board',
+  401: 'Missing or invalid API token',
+  403: 'The token\'s scope is too low',
+  409: 'The pin is in use for something else',
+  422: 'Blocked by the safety policy',
+  501: 'The board\'s firmware does not support the command',
+  502: 'The board reported an error'
+};
+
+function describeType(schema) {
+  return schema.type === 'integer' ? 'an integer' : `a ${schema.type}`;
+}
+
+function checkValue(name, schema, value, typeOnly) {
+  const numeric = schema.type === 'number' || schema.type === 'integer';
+  const types = {
+    number: typeof value === 'number' && !Number.isNaN(value),
+    integer: Number.isInteger(value),
+    string: typeof value === 'string',
+    boolean: typeof value === 'boolean',
+    array: Array.isArray(value),
+    object: Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  };
+  if (schema.type && types[schema.type] === false) throw new Error(`${name} must be ${describeType(schema)}`);
+  if (typeOnly) return;
+
+  if (schema.enum && !schema.enum.includes(value)) throw new Error(`${name} must be one of: ${schema.enum.join(', ')}`);
+  if (numeric && schema.minimum !== undefined && value < schema.minimum) throw new Error(`${name} must be at least ${schema.minimum}`);
+  if (numeric && schema.maximum !== undefined && value > schema.maximum) throw new Error(`${name} must be at most ${schema.maximum}`);
+  if (schema.type === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    throw new Error(`${name} must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    throw new Error(`${name} must match ${schema.pattern}`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => checkValue(`${name}[${index}]`, schema.items, item, false));
+  }
+}
+
+/**
+ * Check arguments against a declaration's parameters; throws with a
+ * readable message.
+ * @param {Object} parameters - the declaration's JSON schema
+ * @param {Object} args
+ * @param {Object} [options] - typeOnly: parameters whose range is left to the caller (e.g. pins, checked per board)
+ */
+function validateArgs(parameters, args, { typeOnly = [] } = {}) {
+  const properties = parameters.properties || {};
+  (parameters.required || []).forEach(name => {
+    if (args[name] === undefined || args[name] === null) throw new Error(`${name} is required`);
+  });
+  Object.entries(args).forEach(([name, value]) => {
+    if (!properties[name]) throw new Error(`Unknown parameter: ${name}`);
+    if (value !== undefined && value !== null) checkValue(name, properties[name], value, typeOnly.includes(name));
+  });
+}
+
+// Express path to OpenAPI path: /pins/:pin -> /pins/{pin}
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z]+)/g, '{$1}');
+}
+
+function pathParameterNames(path) {
+  return (path.match(/:([A-Za-z]+)/g) || []).map(name => name.slice(1));
+}
+
+function buildOperation(route, declarations) {
+  const used = route.functions.map(name => declarations.find(declaration => declaration.name === name));
+  const pathNames = pathParameterNames(route.path);
+
+  // Parameters of every function the route calls, minus the path ones
+  const properties = {};
+  used.forEach(declaration => {
+    Object.entries(declaration.parameters.properties).forEach(([name, schema]) => {
+      if (!pathNames.includes(name)) properties[name] = schema;
+    });
+  });
+  const required = used.length === 1
+    ? used[0].parameters.required.filter(name => !pathNames.includes(name))
+    : [];
+
+  const parameters = pathNames.map(name => {
+    const schema = used.map(declaration => declaration.parameters.properties[name]).find(Boolean) || { type: 'string' };
+    const { description, ...rest } = schema;
+    return {
+      name,
+      in: 'path',
+      required: true,
+      description,
+      schema: { ...rest, type: schema.type === 'number' ? 'integer' : schema.type }
+    };
+  });
+
+  const operation = {
+    operationId: route.operationId || route.functions[0],
+    summary: route.summary || used.map(declaration => declaration.description).join('; then '),
+    tags: ['hardware'],
+    'x-required-scope': route.scope,
+    parameters
+  };
+
+  if (route.method === 'get') {
+    Object.entries(properties).forEach(([name, schema]) => {
+      const { description, ...rest } = schema;
+      parameters.push({ name, in: 'query', required: required.includes(name), description, schema: rest });
+    });
+  } else if (Object.keys(properties).length > 0) {
+    operation.requestBody = {
+      required: required.length > 0,
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties, required: required.length > 0 ? required : undefined, additionalProperties: false }
+        }
+      }
+    };
+  }
+
+  const results = {};
+  route.functions.forEach(name => {
+    results[name] = { type: 'object', description: `What ${name} returned, usually the board's response ({ success, message })` };
+  });
+  operation.responses = {
+    200: {
+      description: 'Done',
+      content: {
+        'application/json': {
+          schema: route.custom
+            ? { type: 'object', properties: { success: { type: 'boolean' } } }
+            : { type: 'object', properties: { success: { type: 'boolean' }, results: { type: 'object', properties: results } } }
+        }
+      }
+    }
+  };
+  Object.entries(ERROR_STATUSES).forEach(([status, description]) => {
+    operation.responses[status] = { description, content: { 'application/json': { schema: ERROR_RESPONSE } } };
+  });
+  return operation;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.version
+ * @param {Object[]} options.routes - see the top of this file
+ * @param {Object[]} options.declarations - function declarations
+ * @returns {Object} the OpenAPI 3 document
+ */
+function buildOpenApiDocument({ title, version, routes, declarations }) {
+  const paths = {};
+  routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    if (!paths[path]) paths[path] = {};
+    paths[path][route.method] = buildOperation(route, declarations);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description: 'Drive the connected Arduino boards. Every operation takes an optional board ID or name; ' +
+        'without it the default board is used. Pin ranges follow the boards connected when the document was generated.'
+    },
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API token; x-required-scope names the scope it needs' }
+      }
+    },
+    paths
+  };
+}
+
+module.exports = { validateArgs, buildOpenApiDocument };
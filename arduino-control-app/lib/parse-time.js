@@ -0,0 +1,22 @@
+/**
+ * Time Parameters
+ *
+ * Query parameters such as ?from= and ?to= take an ISO date/time or ms
+ * since the epoch. The audit log and the sensor history both parse them
+ * here, so an invalid time is an error everywhere instead of no limit.
+ */
+
+/**
+ * Parse an optional time parameter.
+ * @param {string|number} value - ISO date/time or ms since the epoch
+ * @param {string} label - parameter name for the error message
+ * @returns {number|null} ms since the epoch, or null when not given
+ */
+function parseTime(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`${label} must be an ISO date/time or ms since the epoch`);
+  return time;
+}
+
+module.exports = { parseTime };
@@ -0,0 +1,144 @@
+/**
+ * Pin Allocator
+ *
+ * Tracks what each pin of a board is used for so controller calls cannot
+ * silently fight over a pin: a servo and PWM on the same timer pin, an input
+ * mode on the pin an LED effect is blinking, or output on the serial pins.
+ *
+ * Pins held by a servo, a built-in LED effect or the serial port are
+ * rejected for any other use until released. Switching between digital
+ * output, PWM and input is allowed but reported as a warning.
+ */
+
+const PIN_USES = {
+  servo: 'servo',
+  pwm: 'PWM output',
+  digital_output: 'digital output',
+  input: 'input',
+  led_effect: 'built-in LED',
+  serial: 'serial'
+};
+
+// Uses whose pin cannot be taken over without an explicit release
+const EXCLUSIVE_USES = ['servo', 'led_effect', 'serial'];
+
+class PinConflictError extends Error {
+  constructor(message, { pin, use, requestedUse }) {
+    super(message);
+    this.name = 'PinConflictError';
+    this.code = 'PIN_CONFLICT';
+    this.pin = pin;
+    this.use = use;
+    this.requestedUse = requestedUse;
+  }
+}
+
+class PinAllocator {
+  /**
+   * @param {Object} profile - board capability profile; its reserved pins start out owned by 'serial'
+   */
+  constructor(profile) {
+    this.setProfile(profile);
+  }
+
+  // Switching profiles changes the pin map, so allocations start over
+  setProfile(profile) {
+    this.profile = profile;
+    this.reset();
+  }
+
+  // Forget every allocation except the profile's reserved pins
+  reset() {
+    this.pins = new Map();
+    Object.entries(this.profile.reservedPins || {}).forEach(([pin, label]) => {
+      this.pins.set(Number(pin), { use: 'serial', label, by: 'profile', since: new Date().toISOString() });
+    });
+  }
+
+  get(pin) {
+    return this.pins.get(pin) || null;
+  }
+
+  list() {
+    return Array.from(this.pins.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([pin, allocation]) => ({ pin, ...allocation }));
+  }
+
+  /**
+   * Check whether `pin` may be used for `use` without changing anything.
+   * Throws a PinConflictError for a rejected conflict and returns a warning
+   * string (or null) otherwise.
+   */
+  check(pin, use) {
+    const current = this.get(pin);
+    if (!current || current.use === use) return null;
+
+    const held = `Pin ${pin} is in use as ${describeUse(current)}`;
+
+    if (current.use === 'serial') {
+      throw new PinConflictError(
+        `${held}; using it as ${PIN_USES[use]} would break communication with the board. ` +
+        `Choose another pin, or release it with releasePin(${pin}, force) if nothing talks over serial`,
+        { pin, use: current.use, requestedUse: use });
+    }
+
+    if (EXCLUSIVE_USES.includes(current.use)) {
+      const remedy = current.use === 'led_effect'
+        ? 'Turn the LED off or stop the effect first'
+        : `Release it with releasePin(${pin}) first`;
+      throw new PinConflictError(`${held} and cannot also be used as ${PIN_USES[use]}. ${remedy}, or choose another pin`,
+        { pin, use: current.use, requestedUse: use });
+    }
+
+    return `${held}; it is now used as ${PIN_USES[use]} instead`;
+  }
+
+  // Record `pin` as used for `use` by the operation `by`. Allocations are
+  // replaced rather than changed, so one from get() can be put back later.
+  claim(pin, use, by) {
+    const current = this.get(pin);
+    const allocation = current && current.use === use
+      ? { ...current, by }
+      : { use, label: PIN_USES[use], by, since: new Date().toISOString() };
+    this.pins.set(pin, allocation);
+    return allocation;
+  }
+
+  /**
+   * Undo a claim whose command failed: put back the allocation the pin had
+   * before (null frees it), unless another claim has taken the pin since.
+   */
+  restore(pin, claimed, previous) {
+    if (this.get(pin) !== claimed) return;
+    if (previous) {
+      this.pins.set(pin, previous);
+    } else {
+      this.pins.delete(pin);
+    }
+  }
+
+  /**
+   * Release a pin so it can be used for something else. Reserved serial pins
+   * are only released with `force`. Returns the released allocation or null.
+   */
+  release(pin, { force = false } = {}) {
+    const current = this.get(pin);
+    if (!current) return null;
+
+    if (current.use === 'serial' && !force) {
+      throw new PinConflictError(`Pin ${pin} is reserved for ${current.label}; pass force to release it anyway`,
+        { pin, use: current.use, requestedUse: null });
+    }
+
+    this.pins.delete(pin);
+    return { pin, ...current };
+  }
+}
+
+function describeUse(allocation) {
+  if (allocation.use === 'serial') return `serial (${allocation.label})`;
+  return PIN_USES[allocation.use] + (allocation.by ? ` by ${allocation.by}` : '');
+}
+
+module.exports = { PinAllocator, PinConflictError, PIN_USES };
@@ -0,0 +1,398 @@
+/**
+ * Rules Engine
+ *
+ * Runs automations of the form "when <trigger>, if <conditions>, do
+ * <actions>" on the server, without a chat round trip. Rules are stored in
+ * data/rules.json and survive restarts.
+ *
+ * Rule format:
+ *   {
+ *     "name": "Light on when dark",
+ *     "board": "left",                        // optional, default board when omitted
+ *     "trigger": { "type": "analog", "pin": 0, "above": 600 },
+ *     "conditions": [{ "type": "time", "after": "18:00", "before": "06:00" }],
+ *     "actions": [
+ *       { "function": "digitalWrite", "args": { "pin": 7, "value": 1 } },
+ *       { "function": "ledBlink", "args": { "rate": 200 } }
+ *     ],
+ *     "cooldown": 5000                        // optional, ms between runs
+ *   }
+ *
+ * Triggers:
+ *   analog      { pin, above?, below?, poll? } fires when the reading enters the range
+ *   digital     { pin, value?, poll? }         fires when the pin becomes `value` (or changes)
+ *   timer       { every }                      fires every `every` ms
+ *   connect     {}                             fires when the board (any board without `board`) connects
+ *   disconnect  {}                             fires when the board disconnects
+ *
+ * Readings come from controller reads, status updates and polling every
+ * `poll` ms (default 1000, 0 to rely on other readings only).
+ * Conditions (all must hold): analog { pin, above?, below? },
+ * digital { pin, value }, time { after?, before? } in local HH:MM.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const RULES_FILE = path.join(__dirname, '..', 'data', 'rules.json');
+
+const TRIGGER_TYPES = ['analog', 'digital', 'timer', 'connect', 'disconnect'];
+const CONDITION_TYPES = ['analog', 'digital', 'time'];
+const DEFAULT_POLL_INTERVAL = 1000;
+const MIN_POLL_INTERVAL = 200;
+const MIN_TIMER_INTERVAL = 1000;
+const MAX_ACTIONS = 20;
+// lastTriggered, triggerCount and lastError are written back at most this
+// often; definition changes are saved right away
+const STATS_SAVE_INTERVAL = 60000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkPin(pin, where) {
+  if (!Number.isInteger(pin) || pin < 0) {
+    throw new Error(`${where} needs a pin number`);
+  }
+}
+
+function checkRange(spec, where) {
+  if (spec.above !== undefined && !isNumber(spec.above)) throw new Error(`${where}: "above" must be a number`);
+  if (spec.below !== undefined && !isNumber(spec.below)) throw new Error(`${where}: "below" must be a number`);
+  if (spec.above === undefined && spec.below === undefined) {
+    throw new Error(`${where} needs "above" and/or "below"`);
+  }
+}
+
+function checkDigitalValue(value, where, required) {
+  if (value === undefined && !required) return;
+  if (value !== 0 && value !== 1) throw new Error(`${where}: "value" must be 0 or 1`);
+}
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+function inRange(spec, value) {
+  return (spec.above === undefined || value > spec.above) &&
+    (spec.below === undefined || value < spec.below);
+}
+
+class RulesEngine extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.execute - async (functionName, args, origin) => result of the controller call; origin says what made the call
+   * @param {Function} options.read - async (board, type, pin) => { boardId, value } of a fresh reading
+   * @param {Function} options.resolveBoardId - (board) => board ID for a reference, or null if unknown
+   * @param {string[]} options.actionNames - functions rules may call
+   * @param {string} [options.file] - where rules are stored
+   */
+  constructor({ execute, read, resolveBoardId, actionNames, file = RULES_FILE }) {
+    super();
+
+    this.execute = execute;
+    this.read = read;
+    this.resolveBoardId = resolveBoardId;
+    this.actionNames = actionNames;
+    this.file = file;
+
+    this.rules = new Map();
+    this.lastMatch = new Map();
+    this.running = new Set();
+    this.timers = [];
+    this.polling = new Set();
+    this.statsTimer = null;
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      (stored.rules || []).forEach(rule => this.rules.set(rule.id, rule));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.refresh();
+    return this.list();
+  }
+
+  save() {
+    return writeFileAtomic(this.file, JSON.stringify({ rules: this.list() }, null, 2));
+  }
+
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  get(id) {
+    const rule = this.rules.get(id);
+    if (!rule) throw Object.assign(new Error(`Unknown rule: ${id}`), { code: 'RULE_NOT_FOUND' });
+    return rule;
+  }
+
+  async create(input) {
+    const rule = {
+      id: `rule_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      ...this.validate(input),
+      createdAt: new Date().toISOString(),
+      lastTriggered: null,
+      triggerCount: 0,
+      lastError: null
+    };
+
+    this.rules.set(rule.id, rule);
+    await this.changed();
+    return rule;
+  }
+
+  async update(id, changes) {
+    const current = this.get(id);
+    const { id: _id, createdAt, lastTriggered, triggerCount, lastError, ...editable } = current;
+    const rule = { ...current, ...this.validate({ ...editable, ...changes }) };
+
+    this.rules.set(id, rule);
+    this.lastMatch.delete(id);
+    await this.changed();
+    return rule;
+  }
+
+  async remove(id) {
+    const rule = this.get(id);
+    this.rules.delete(id);
+    this.lastMatch.delete(id);
+    await this.changed();
+    return rule;
+  }
+
+  async changed() {
+    this.refresh();
+    clearTimeout(this.statsTimer);
+    this.statsTimer = null;
+    await this.save();
+    this.emit('changed', this.list());
+  }
+
+  // A timer rule can fire every second; its statistics are saved in batches
+  saveStatsLater() {
+    if (this.statsTimer) return;
+    this.statsTimer = setTimeout(() => {
+      this.statsTimer = null;
+      this.save().catch(error => console.error('Failed to save rules:', error.message));
+    }, STATS_SAVE_INTERVAL);
+    this.statsTimer.unref();
+  }
+
+  // Check and normalise a rule definition; throws with a readable message
+  validate(input = {}) {
+    const { name, board, trigger, conditions = [], actions, cooldown = 0, enabled = true } = input;
+
+    if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+      throw new Error(`Rule trigger type must be one of: ${TRIGGER_TYPES.join(', ')}`);
+    }
+
+    switch (trigger.type) {
+      case 'analog':
+        checkPin(trigger.pin, 'Analog trigger');
+        checkRange(trigger, 'Analog trigger');
+        break;
+      case 'digital':
+        checkPin(trigger.pin, 'Digital trigger');
+        checkDigitalValue(trigger.value, 'Digital trigger', false);
+        break;
+      case 'timer':
+        if (!isNumber(trigger.every) || trigger.every < MIN_TIMER_INTERVAL) {
+          throw new Error(`Timer trigger needs "every" of at least ${MIN_TIMER_INTERVAL} ms`);
+        }
+        break;
+    }
+
+    if (trigger.poll !== undefined && !(trigger.poll === 0 || (isNumber(trigger.poll) && trigger.poll >= MIN_POLL_INTERVAL))) {
+      throw new Error(`Trigger "poll" must be 0 or at least ${MIN_POLL_INTERVAL} ms`);
+    }
+
+    if (!Array.isArray(conditions)) throw new Error('Rule conditions must be a list');
+    conditions.forEach((condition, index) => {
+      const where = `Condition ${index + 1}`;
+      if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+        throw new Error(`${where}: type must be one of: ${CONDITION_TYPES.join(', ')}`);
+      }
+      if (condition.type === 'analog') {
+        checkPin(condition.pin, where);
+        checkRange(condition, where);
+      } else if (condition.type === 'digital') {
+        checkPin(condition.pin, where);
+        checkDigitalValue(condition.value, where, true);
+      } else {
+        ['after', 'before'].forEach(key => {
+          if (condition[key] !== undefined && !TIME_PATTERN.test(condition[key])) {
+            throw new Error(`${where}: "${key}" must be a time like 07:30`);
+          }
+        });
+      }
+    });
+
+    if (!Array.isArray(actions) || actions.length === 0) throw new Error('Rule needs at least one action');
+    if (actions.length > MAX_ACTIONS) throw new Error(`Rule can have at most ${MAX_ACTIONS} actions`);
+    actions.forEach((action, index) => {
+      if (!action || !this.actionNames.includes(action.function)) {
+        throw new Error(`Action ${index + 1}: function must be one of: ${this.actionNames.join(', ')}`);
+      }
+    });
+
+    if (!isNumber(cooldown) || cooldown < 0) throw new Error('Rule cooldown must be a positive number of ms');
+
+    return {
+      name: name ? String(name).trim() : `When ${trigger.type}${trigger.pin !== undefined ? ` ${trigger.pin}` : ''}`,
+      board: board || null,
+      enabled: enabled !== false,
+      trigger: { ...trigger },
+      conditions: conditions.map(condition => ({ ...condition })),
+      actions: actions.map(action => ({ function: action.function, args: { ...(action.args || {}) } })),
+      cooldown
+    };
+  }
+
+  // Rebuild timers and pollers from the enabled rules
+  refresh() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    const polls = new Map();
+    this.list().filter(rule => rule.enabled).forEach(rule => {
+      const { trigger } = rule;
+
+      if (trigger.type === 'timer') {
+        this.timers.push(setInterval(() => this.fire(rule.id, { type: 'timer' }), trigger.every));
+      }
+
+      if ((trigger.type === 'analog' || trigger.type === 'digital') && trigger.poll !== 0) {
+        const key = JSON.stringify([rule.board, trigger.type, trigger.pin]);
+        const interval = trigger.poll || DEFAULT_POLL_INTERVAL;
+        polls.set(key, Math.min(polls.get(key) || Infinity, interval));
+      }
+    });
+
+    polls.forEach((interval, key) => {
+      const [board, type, pin] = JSON.parse(key);
+      this.timers.push(setInterval(() => this.poll(key, board, type, pin), interval));
+    });
+  }
+
+  // Readings flow back through handleEvent via the server's read path
+  async poll(key, board, type, pin) {
+    if (this.polling.has(key)) return;
+    this.polling.add(key);
+    try {
+      await this.read(board, type, pin);
+    } catch (error) {
+      // Board missing or busy; the next poll tries again
+    } finally {
+      this.polling.delete(key);
+    }
+  }
+
+  /**
+   * Feed an event into the engine:
+   *   { type: 'analog' | 'digital', boardId, pin, value } for readings
+   *   { type: 'connect' | 'disconnect', boardId } for connection changes
+   */
+  handleEvent(event) {
+    this.list().filter(rule => rule.enabled && rule.trigger.type === event.type).forEach(rule => {
+      const { trigger } = rule;
+
+      if (event.type === 'connect' || event.type === 'disconnect') {
+        if (!rule.board || this.resolveBoardId(rule.board) === event.boardId) {
+          this.fire(rule.id, event);
+        }
+        return;
+      }
+
+      if (trigger.pin !== event.pin || this.resolveBoardId(rule.board) !== event.boardId) return;
+
+      // Fire on the edge into the matching state, not on every reading
+      const previous = this.lastMatch.get(rule.id);
+      let fires;
+      if (event.type === 'analog') {
+        const matches = inRange(trigger, event.value);
+        fires = matches && previous !== true;
+        this.lastMatch.set(rule.id, matches);
+      } else if (trigger.value !== undefined) {
+        const matches = event.value === trigger.value;
+        fires = matches && previous !== true;
+        this.lastMatch.set(rule.id, matches);
+      } else {
+        fires = previous !== undefined && previous !== event.value;
+        this.lastMatch.set(rule.id, event.value);
+      }
+
+      if (fires) this.fire(rule.id, event);
+    });
+  }
+
+  async conditionsHold(rule, event) {
+    for (const condition of rule.conditions) {
+      if (condition.type === 'time') {
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const after = condition.after !== undefined ? toMinutes(condition.after) : 0;
+        const before = condition.before !== undefined ? toMinutes(condition.before) : 24 * 60;
+        // A window like 18:00-06:00 wraps around midnight
+        const inside = after <= before
+          ? minutes >= after && minutes < before
+          : minutes >= after || minutes < before;
+        if (!inside) return false;
+        continue;
+      }
+
+      const { value } = await this.read(rule.board || event.boardId, condition.type, condition.pin);
+      const holds = condition.type === 'analog' ? inRange(condition, value) : value === condition.value;
+      if (!holds) return false;
+    }
+    return true;
+  }
+
+  async fire(id, event) {
+    const rule = this.rules.get(id);
+    if (!rule || !rule.enabled || this.running.has(id)) return;
+
+    if (rule.cooldown && rule.lastTriggered && Date.now() - Date.parse(rule.lastTriggered) < rule.cooldown) {
+      return;
+    }
+
+    this.running.add(id);
+    const results = [];
+    let error = null;
+
+    try {
+      if (!(await this.conditionsHold(rule, event))) return;
+
+      rule.lastTriggered = new Date().toISOString();
+      rule.triggerCount++;
+
+      for (const action of rule.actions) {
+        const args = { ...action.args };
+        if (args.board === undefined) args.board = rule.board || event.boardId;
+        results.push({ function: action.function, result: await this.execute(action.function, args, { type: 'rule', rule: rule.id }) });
+      }
+    } catch (actionError) {
+      error = actionError.message;
+    } finally {
+      this.running.delete(id);
+    }
+
+    rule.lastError = error;
+    this.emit('triggered', { rule, event, results, success: !error, error });
+    this.saveStatsLater();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = { RulesEngine, TRIGGER_TYPES, CONDITION_TYPES };
@@ -0,0 +1,241 @@
+/**
+ * Safety Policy
+ *
+ * Installation-specific limits on what may be sent to a board, checked for
+ * every command whichever path it came from (chat, WebSocket, scripts,
+ * macros, rules). Stored in data/safety.json:
+ *
+ *   {
+ *     "writablePins": [7, 8, 9],
+ *     "maxWritesPerSecond": 20,
+ *     "pins": {
+ *       "9": { "servo": { "min": 20, "max": 160 } },
+ *       "5": { "pwm": { "max": 128 } },
+ *       "7": { "minToggleInterval": 2000, "maxWritesPerSecond": 2 }
+ *     },
+ *     "boards": { "left": { "writablePins": [3, 4] } }
+ *   }
+ *
+ * Every field is optional. writablePins restricts digital/PWM/servo writes
+ * and OUTPUT modes (the built-in LED commands are not affected); a board's
+ * entry in "boards" overrides the top-level fields for that board.
+ * Violations throw a SafetyViolationError and are reported as 'violation'
+ * events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { formatPins } = require('./board-profiles');
+const { writeFileAtomic } = require('./atomic-write');
+
+const SAFETY_FILE = path.join(__dirname, '..', 'data', 'safety.json');
+
+const RATE_WINDOW = 1000;
+const MAX_VIOLATIONS = 50;
+
+// Commands that drive a pin, and the parameter holding the value written
+const WRITE_COMMANDS = {
+  DIGITAL_WRITE: { kind: 'digital', valueParam: 'value' },
+  ANALOG_WRITE: { kind: 'pwm', valueParam: 'value' },
+  SERVO_WRITE: { kind: 'servo', valueParam: 'angle' }
+};
+
+class SafetyViolationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'SafetyViolationError';
+    this.code = 'SAFETY_VIOLATION';
+    this.details = details;
+  }
+}
+
+function isPin(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 99;
+}
+
+function checkNumber(value, label, { integer = false, min = 0 } = {}) {
+  if (value === undefined || value === null) return;
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new Error(`${label} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`);
+  }
+}
+
+function checkRange(range, label) {
+  if (range === undefined) return;
+  if (!range || typeof range !== 'object') throw new Error(`${label} must be an object with min and/or max`);
+  checkNumber(range.min, `${label}.min`);
+  checkNumber(range.max, `${label}.max`);
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    throw new Error(`${label}.min must not be above ${label}.max`);
+  }
+}
+
+// Check one scope (the top level or a board's entry); throws with a readable message
+function validateScope(scope, label) {
+  if (!scope || typeof scope !== 'object' || Array.isArray(scope)) throw new Error(`${label} must be an object`);
+  const { writablePins, maxWritesPerSecond, minToggleInterval, pins = {} } = scope;
+
+  if (writablePins !== undefined && writablePins !== null) {
+    if (!Array.isArray(writablePins) || !writablePins.every(isPin)) {
+      throw new Error(`${label}.writablePins must be a list of pin numbers, or null for any pin`);
+    }
+  }
+  checkNumber(maxWritesPerSecond, `${label}.maxWritesPerSecond`, { min: 1 });
+  checkNumber(minToggleInterval, `${label}.minToggleInterval`, { integer: true });
+
+  if (!pins || typeof pins !== 'object' || Array.isArray(pins)) throw new Error(`${label}.pins must be an object keyed by pin number`);
+  Object.entries(pins).forEach(([pin, limits]) => {
+    const pinLabel = `${label}.pins.${pin}`;
+    if (!isPin(Number(pin))) throw new Error(`${pinLabel}: "${pin}" is not a pin number`);
+    if (!limits || typeof limits !== 'object') throw new Error(`${pinLabel} must be an object`);
+    checkRange(limits.servo, `${pinLabel}.servo`);
+    checkRange(limits.pwm, `${pinLabel}.pwm`);
+    checkNumber(limits.maxWritesPerSecond, `${pinLabel}.maxWritesPerSecond`, { min: 1 });
+    checkNumber(limits.minToggleInterval, `${pinLabel}.minToggleInterval`, { integer: true });
+  });
+}
+
+class SafetyPolicy extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - where the policy is stored
+   */
+  constructor({ file = SAFETY_FILE } = {}) {
+    super();
+
+    this.file = file;
+    this.policy = {};
+
+    // Per board and pin: recent write times, last digital value and when it changed
+    this.activity = new Map();
+    this.violations = [];
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      this.validate(stored);
+      this.policy = stored;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.policy;
+  }
+
+  save() {
+    return writeFileAtomic(this.file, JSON.stringify(this.policy, null, 2));
+  }
+
+  get() {
+    return this.policy;
+  }
+
+  validate(policy) {
+    validateScope(policy, 'policy');
+    const { boards = {} } = policy;
+    if (!boards || typeof boards !== 'object' || Array.isArray(boards)) throw new Error('policy.boards must be an object keyed by board ID');
+    Object.entries(boards).forEach(([boardId, scope]) => validateScope(scope, `policy.boards.${boardId}`));
+  }
+
+  // Replace the whole policy
+  async update(policy) {
+    this.validate(policy);
+    this.policy = policy;
+    await this.save();
+    this.emit('changed', this.policy);
+    return this.policy;
+  }
+
+  // The top-level fields with the board's overrides applied
+  resolve(boardId) {
+    const { boards = {}, pins = {}, ...global } = this.policy;
+    const scope = boards[boardId] || {};
+    const { pins: boardPins = {}, ...overrides } = scope;
+
+    const merged = { ...pins };
+    Object.entries(boardPins).forEach(([pin, limits]) => {
+      merged[pin] = { ...merged[pin], ...limits };
+    });
+    return { ...global, ...overrides, pins: merged };
+  }
+
+  listViolations() {
+    return this.violations.slice();
+  }
+
+  violation(message, details, dryRun) {
+    const error = new SafetyViolationError(`Safety policy: ${message}`, details);
+    if (dryRun) return error;
+    const entry = { ...details, message: error.message, timestamp: new Date().toISOString() };
+    this.violations.push(entry);
+    if (this.violations.length > MAX_VIOLATIONS) this.violations.shift();
+    this.emit('violation', entry);
+    return error;
+  }
+
+  /**
+   * Throw a SafetyViolationError if the command breaks the policy for the
+   * board; otherwise count it towards the pin's rate limits.
+   * @param {string} boardId
+   * @param {string} command - firmware command, e.g. DIGITAL_WRITE
+   * @param {Object} params
+   * @param {Object} [options] - dryRun: check without counting the write or reporting a violation
+   */
+  check(boardId, command, params = {}, { dryRun = false } = {}) {
+    const write = WRITE_COMMANDS[command];
+    const drivesPin = write || (command === 'PIN_MODE' && params.mode === 'OUTPUT');
+    if (!drivesPin) return;
+
+    const scope = this.resolve(boardId);
+    const pin = params.pin;
+    const limits = scope.pins[pin] || {};
+    const value = write ? params[write.valueParam] : undefined;
+    const details = { rule: null, boardId, command, pin, value };
+
+    if (Array.isArray(scope.writablePins) && !scope.writablePins.includes(pin)) {
+      const allowed = scope.writablePins.length > 0 ? formatPins(scope.writablePins) : 'none';
+      throw this.violation(`pin ${pin} is not writable (writable pins: ${allowed})`,
+        { ...details, rule: 'writablePins', limit: scope.writablePins }, dryRun);
+    }
+    if (!write) return;
+
+    const range = limits[write.kind];
+    if (range && ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max))) {
+      const unit = write.kind === 'servo' ? '°' : '';
+      const bounds = [range.min !== undefined && `at least ${range.min}${unit}`, range.max !== undefined && `at most ${range.max}${unit}`]
+        .filter(Boolean).join(' and ');
+      throw this.violation(`${write.kind === 'servo' ? 'servo angle' : 'PWM value'} ${value}${unit} on pin ${pin} is out of range; it must be ${bounds}`,
+        { ...details, rule: `${write.kind}Range`, limit: range }, dryRun);
+    }
+
+    const key = `${boardId}:${pin}`;
+    const now = Date.now();
+    const activity = this.activity.get(key) || { writes: [], value: undefined, changedAt: 0 };
+    activity.writes = activity.writes.filter(time => now - time < RATE_WINDOW);
+
+    const maxWrites = limits.maxWritesPerSecond !== undefined ? limits.maxWritesPerSecond : scope.maxWritesPerSecond;
+    if (maxWrites !== undefined && maxWrites !== null && activity.writes.length >= maxWrites) {
+      throw this.violation(`pin ${pin} allows at most ${maxWrites} write(s) per second`,
+        { ...details, rule: 'maxWritesPerSecond', limit: maxWrites }, dryRun);
+    }
+
+    const minInterval = limits.minToggleInterval !== undefined ? limits.minToggleInterval : scope.minToggleInterval;
+    const toggles = write.kind === 'digital' && activity.value !== undefined && value !== activity.value;
+    if (toggles && minInterval && now - activity.changedAt < minInterval) {
+      const wait = minInterval - (now - activity.changedAt);
+      throw this.violation(`pin ${pin} may switch at most every ${minInterval} ms; try again in ${wait} ms`,
+        { ...details, rule: 'minToggleInterval', limit: minInterval, retryAfter: wait }, dryRun);
+    }
+
+    if (dryRun) return;
+    activity.writes.push(now);
+    if (write.kind === 'digital' && value !== activity.value) {
+      activity.value = value;
+      activity.changedAt = now;
+    }
+    this.activity.set(key, activity);
+  }
+}
+
+module.exports = { SafetyPolicy, SafetyViolationError };
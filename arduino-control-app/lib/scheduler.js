@@ -0,0 +1,264 @@
+/**
+ * Scheduler
+ *
+ * Runs controller functions later or repeatedly: once after a delay or at a
+ * given time, every N ms, or on a cron expression. Schedules are stored in
+ * data/schedules.json and picked up again after a restart; a one-shot
+ * schedule that came due while the server was down runs shortly after
+ * start, once boards have had time to reconnect.
+ *
+ * Schedule format:
+ *   {
+ *     "name": "Morning servo",
+ *     "function": "servoWrite",
+ *     "args": { "pin": 9, "angle": 90 },
+ *     "board": "left",                  // optional, default board when omitted
+ *     "cron": "0 7 * * *"               // or "delay": 600000, "at": "2026-01-01T07:00:00", "every": 60000
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseCron, nextCronTime } = require('./cron');
+const { writeFileAtomic } = require('./atomic-write');
+
+const SCHEDULES_FILE = path.join(__dirname, '..', 'data', 'schedules.json');
+
+const MIN_INTERVAL = 1000;
+const OVERDUE_GRACE = 5000;
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMEOUT = 2147483647;
+// lastRun, runCount and lastError of repeating schedules are written back at
+// most this often; definition changes are saved right away
+const STATS_SAVE_INTERVAL = 60000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.execute - async (functionName, args, origin) => result of the controller call; origin says what made the call
+   * @param {string[]} options.actionNames - functions schedules may call
+   * @param {string} [options.file] - where schedules are stored
+   */
+  constructor({ execute, actionNames, file = SCHEDULES_FILE }) {
+    super();
+
+    this.execute = execute;
+    this.actionNames = actionNames;
+    this.file = file;
+
+    this.schedules = new Map();
+    this.timers = new Map();
+    this.statsTimer = null;
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      (stored.schedules || []).forEach(schedule => this.schedules.set(schedule.id, schedule));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const now = Date.now();
+    this.list().forEach(schedule => {
+      // Repeating schedules continue from now instead of catching up
+      if (schedule.type !== 'once') {
+        schedule.nextRun = this.nextRun(schedule, now);
+      } else if (Date.parse(schedule.nextRun) < now) {
+        schedule.nextRun = new Date(now + OVERDUE_GRACE).toISOString();
+      }
+      this.arm(schedule);
+    });
+
+    return this.list();
+  }
+
+  save() {
+    return writeFileAtomic(this.file, JSON.stringify({ schedules: this.list() }, null, 2));
+  }
+
+  list() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => (a.nextRun || '').localeCompare(b.nextRun || ''));
+  }
+
+  get(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) throw Object.assign(new Error(`Unknown schedule: ${id}`), { code: 'SCHEDULE_NOT_FOUND' });
+    return schedule;
+  }
+
+  async create(input) {
+    const now = Date.now();
+    const schedule = {
+      id: `schedule_${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      ...this.validate(input, now),
+      createdAt: new Date(now).toISOString(),
+      lastRun: null,
+      runCount: 0,
+      lastError: null
+    };
+    schedule.nextRun = schedule.nextRun || this.nextRun(schedule, now);
+
+    this.schedules.set(schedule.id, schedule);
+    this.arm(schedule);
+    await this.changed();
+    return schedule;
+  }
+
+  async cancel(id) {
+    const schedule = this.get(id);
+    this.disarm(id);
+    this.schedules.delete(id);
+    await this.changed();
+    return schedule;
+  }
+
+  async changed() {
+    clearTimeout(this.statsTimer);
+    this.statsTimer = null;
+    await this.save();
+    this.emit('changed', this.list());
+  }
+
+  // An interval schedule can run every second; its statistics are saved in batches
+  saveStatsLater() {
+    if (this.statsTimer) return;
+    this.statsTimer = setTimeout(() => {
+      this.statsTimer = null;
+      this.save().catch(error => console.error('Failed to save schedules:', error.message));
+    }, STATS_SAVE_INTERVAL);
+    this.statsTimer.unref();
+  }
+
+  // Check and normalise a schedule definition; throws with a readable message
+  validate(input = {}, now = Date.now()) {
+    const { name, board, args = {}, delay, at, every, cron } = input;
+    const action = input.function;
+
+    if (!this.actionNames.includes(action)) {
+      throw new Error(`Schedule function must be one of: ${this.actionNames.join(', ')}`);
+    }
+    if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+      throw new Error('Schedule args must be an object');
+    }
+
+    const timing = { delay, at, every, cron };
+    const given = Object.keys(timing).filter(key => timing[key] !== undefined && timing[key] !== null);
+    if (given.length !== 1) {
+      throw new Error('Schedule needs exactly one of: delay (ms), at (date/time), every (ms), cron (expression)');
+    }
+
+    const schedule = {
+      name: name ? String(name).trim() : `${action} ${given[0]}`,
+      function: action,
+      args: { ...args },
+      board: board || null,
+      nextRun: null
+    };
+
+    switch (given[0]) {
+      case 'delay':
+        if (!isNumber(delay) || delay < 0) throw new Error('Schedule delay must be a positive number of ms');
+        return { ...schedule, type: 'once', nextRun: new Date(now + delay).toISOString() };
+
+      case 'at': {
+        const time = Date.parse(at);
+        if (Number.isNaN(time)) throw new Error(`Schedule time "${at}" is not a valid date/time`);
+        if (time < now) throw new Error(`Schedule time ${new Date(time).toISOString()} is in the past`);
+        return { ...schedule, type: 'once', nextRun: new Date(time).toISOString() };
+      }
+
+      case 'every':
+        if (!isNumber(every) || every < MIN_INTERVAL) {
+          throw new Error(`Schedule interval must be at least ${MIN_INTERVAL} ms`);
+        }
+        return { ...schedule, type: 'interval', every };
+
+      case 'cron': {
+        const parsed = parseCron(cron);
+        if (!nextCronTime(parsed, new Date(now))) {
+          throw new Error(`Cron expression "${cron}" never matches`);
+        }
+        return { ...schedule, type: 'cron', cron: parsed.expression };
+      }
+    }
+  }
+
+  nextRun(schedule, from) {
+    if (schedule.type === 'interval') {
+      return new Date(from + schedule.every).toISOString();
+    }
+    if (schedule.type === 'cron') {
+      const next = nextCronTime(schedule.cron, new Date(from));
+      return next ? next.toISOString() : null;
+    }
+    return schedule.nextRun;
+  }
+
+  arm(schedule) {
+    this.disarm(schedule.id);
+    if (!schedule.nextRun) return;
+
+    const wait = Math.max(0, Date.parse(schedule.nextRun) - Date.now());
+    const timer = wait > MAX_TIMEOUT
+      ? setTimeout(() => this.arm(schedule), MAX_TIMEOUT)
+      : setTimeout(() => this.run(schedule.id), wait);
+    this.timers.set(schedule.id, timer);
+  }
+
+  disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  async run(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return;
+
+    this.disarm(id);
+    const startedAt = Date.now();
+
+    // Repeating schedules are re-armed before running so a slow call does not shift them
+    if (schedule.type !== 'once') {
+      schedule.nextRun = this.nextRun(schedule, schedule.type === 'interval' ? startedAt : startedAt + 1);
+      this.arm(schedule);
+    }
+
+    let result = null;
+    let error = null;
+    try {
+      const args = { ...schedule.args };
+      if (args.board === undefined && schedule.board) args.board = schedule.board;
+      result = await this.execute(schedule.function, args, { type: 'schedule', schedule: schedule.id });
+    } catch (runError) {
+      error = runError.message;
+    }
+
+    schedule.lastRun = new Date(startedAt).toISOString();
+    schedule.runCount++;
+    schedule.lastError = error;
+
+    this.emit('ran', { schedule, result, success: !error, error });
+
+    // A one-shot schedule is done and must not run again after a restart
+    if (schedule.type === 'once') {
+      this.schedules.delete(id);
+      await this.changed().catch(saveError => console.error('Failed to save schedules:', saveError.message));
+      return;
+    }
+    this.saveStatsLater();
+    this.emit('changed', this.list());
+  }
+
+  stop() {
+    Array.from(this.timers.keys()).forEach(id => this.disarm(id));
+  }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,383 @@
+/**
+ * Script Runner
+ *
+ * Stores small user scripts in data/scripts/ and runs each one in its own
+ * worker thread (see script-worker.js) with a memory cap, a CPU watchdog
+ * and a wall-clock limit. Scripts only reach the hardware through the
+ * controller functions listed in SCRIPT_FUNCTIONS, so pin ownership and
+ * validation apply exactly as for chat commands.
+ *
+ * The worker's vm context keeps scripts away from require, process and the
+ * file system: the script API is built inside the context, and the worker
+ * gets an empty environment, so API keys are not in its process.env. vm is
+ * still not a hardened sandbox, so uploading and running scripts takes an
+ * admin token.
+ *
+ * Example script:
+ *   pin.mode(7, 'OUTPUT');
+ *   for (let i = 0; i < 5; i++) {
+ *     await pin.write(7, 1);
+ *     await sleep(500);
+ *     await pin.write(7, 0);
+ *     await sleep(500);
+ *   }
+ *   on('pinChange', 'A0', value => console.log('A0 is now', value));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Worker } = require('worker_threads');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+const { normalizePinLabel } = require('./sensor-sampler');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'data', 'scripts');
+const WORKER_FILE = path.join(__dirname, 'script-worker.js');
+
+const SCRIPT_FUNCTIONS = [
+  'ledOn', 'ledOff', 'ledBlink', 'ledFade', 'ledMorse', 'ledPattern',
+  'setPinMode', 'digitalWrite', 'analogWrite', 'servoWrite', 'releasePin',
+  'digitalRead', 'analogRead'
+];
+
+const MAX_SOURCE_LENGTH = 64 * 1024;
+const MAX_LOG_LINES = 200;
+const KEEP_FINISHED_RUNS = 20;
+const MIN_POLL_INTERVAL = 100;
+const DEFAULT_POLL_INTERVAL = 250;
+const WATCHDOG_INTERVAL = 500;
+// Board commands that also stop the scripts running on that board
+const STOPPING_COMMANDS = ['STOP_EFFECTS', 'RESET'];
+
+const DEFAULT_LIMITS = {
+  cpuTime: 2000, // longest the script may block its thread, ms
+  maxRuntime: 30 * 60 * 1000, // wall-clock limit per run, ms
+  memoryMb: 32,
+  maxRuns: 5 // scripts running at the same time
+};
+
+function scriptFile(dir, name) {
+  return path.join(dir, `${name}.js`);
+}
+
+function validateName(name) {
+  const trimmed = String(name || '').trim();
+  if (!/^[\w-]{1,50}$/.test(trimmed)) {
+    throw new Error('Script name must be 1-50 letters, digits, "-" or "_"');
+  }
+  return trimmed;
+}
+
+class ScriptRunner extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.execute - async (functionName, args, origin) => result of the controller call; origin says what made the call
+   * @param {Function} options.read - async (board, type, pin) => reading, used to poll pins for pinChange
+   * @param {Function} options.resolveBoardId - (board) => board ID for a reference; throws if unknown
+   * @param {Object} [options.limits] - overrides for cpuTime, maxRuntime, memoryMb, maxRuns
+   * @param {string} [options.dir] - where scripts are stored
+   */
+  constructor({ execute, read, resolveBoardId, limits = {}, dir = SCRIPTS_DIR }) {
+    super();
+
+    this.execute = execute;
+    this.read = read;
+    this.resolveBoardId = resolveBoardId;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.dir = dir;
+
+    this.runs = new Map();
+    this.runCounter = 0;
+  }
+
+  async list() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const scripts = await Promise.all(files.filter(file => file.endsWith('.js')).map(async file => {
+      const name = file.slice(0, -3);
+      const stats = await fs.promises.stat(path.join(this.dir, file));
+      return {
+        name,
+        size: stats.size,
+        updatedAt: stats.mtime.toISOString(),
+        running: this.running().filter(run => run.script === name).map(run => run.id)
+      };
+    }));
+    return scripts.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name) {
+    const scriptName = validateName(name);
+    try {
+      return { name: scriptName, source: await fs.promises.readFile(scriptFile(this.dir, scriptName), 'utf8') };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw Object.assign(new Error(`Unknown script: ${scriptName}`), { code: 'SCRIPT_NOT_FOUND' });
+    }
+  }
+
+  // Create or replace a script; syntax errors are reported before saving
+  async save(name, source) {
+    const scriptName = validateName(name);
+    if (typeof source !== 'string' || !source.trim()) throw new Error('Script source must be a non-empty string');
+    if (source.length > MAX_SOURCE_LENGTH) throw new Error(`Script is larger than ${MAX_SOURCE_LENGTH / 1024} KB`);
+
+    try {
+      new vm.Script(`__start(async function () {\n${source}\n});`, { filename: `${scriptName}.js`, lineOffset: -1 });
+    } catch (error) {
+      throw new Error(`Script has a syntax error: ${error.message}`);
+    }
+
+    await writeFileAtomic(scriptFile(this.dir, scriptName), source);
+
+    this.emit('changed', await this.list());
+    return { name: scriptName, size: Buffer.byteLength(source) };
+  }
+
+  async remove(name) {
+    const script = await this.get(name);
+    this.running()
+      .filter(run => run.script === script.name)
+      .forEach(run => this.stopRun(run.id, 'Script deleted'));
+
+    await fs.promises.unlink(scriptFile(this.dir, script.name));
+    this.emit('changed', await this.list());
+    return { name: script.name };
+  }
+
+  running() {
+    return Array.from(this.runs.values()).filter(run => run.status === 'running');
+  }
+
+  // Running scripts plus the last few finished ones
+  listRuns() {
+    return Array.from(this.runs.values()).map(run => this.describeRun(run));
+  }
+
+  findRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) throw Object.assign(new Error(`Unknown script run: ${runId}`), { code: 'RUN_NOT_FOUND' });
+    return run;
+  }
+
+  getRun(runId) {
+    const run = this.findRun(runId);
+    return { ...this.describeRun(run), logs: run.logs };
+  }
+
+  describeRun(run) {
+    return {
+      id: run.id,
+      script: run.script,
+      boardId: run.boardId,
+      status: run.status,
+      startedAt: run.startedAt,
+      endedAt: run.endedAt || null,
+      ...(run.error && { error: run.error }),
+      listening: Array.from(run.watches.keys())
+    };
+  }
+
+  /**
+   * Start a script on a board.
+   * @param {string} name
+   * @param {Object} [options] - { board } the script's calls go to; default board when omitted
+   * @returns {Promise<Object>} the new run
+   */
+  async start(name, { board } = {}) {
+    const script = await this.get(name);
+    if (this.running().length >= this.limits.maxRuns) {
+      throw new Error(`At most ${this.limits.maxRuns} scripts can run at the same time`);
+    }
+
+    const run = {
+      id: `script${++this.runCounter}`,
+      script: script.name,
+      boardId: this.resolveBoardId(board),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      logs: [],
+      watches: new Map(),
+      lastPong: Date.now()
+    };
+
+    run.worker = new Worker(WORKER_FILE, {
+      workerData: { name: script.name, source: script.source, syncTimeout: this.limits.cpuTime },
+      resourceLimits: { maxOldGenerationSizeMb: this.limits.memoryMb, maxYoungGenerationSizeMb: 8 },
+      // Not process.env: it holds the API keys
+      env: {},
+      stdout: true,
+      stderr: true
+    });
+
+    run.worker.on('message', message => this.handleMessage(run, message));
+    run.worker.on('error', error => this.finish(run, 'failed', error.message));
+    run.worker.on('exit', () => this.finish(run, run.status === 'running' ? 'finished' : run.status));
+
+    // A script that stops answering pings is stuck in a loop
+    run.watchdog = setInterval(() => {
+      if (Date.now() - run.lastPong > this.limits.cpuTime + WATCHDOG_INTERVAL) {
+        this.finish(run, 'failed', `Script blocked for more than ${this.limits.cpuTime} ms and was stopped`);
+        return;
+      }
+      run.worker.postMessage({ type: 'ping' });
+    }, WATCHDOG_INTERVAL);
+
+    run.deadline = setTimeout(() => {
+      this.finish(run, 'failed', `Script ran longer than ${Math.round(this.limits.maxRuntime / 1000)} s and was stopped`);
+    }, this.limits.maxRuntime);
+
+    this.runs.set(run.id, run);
+    this.status(run);
+    return this.describeRun(run);
+  }
+
+  stopRun(runId, reason = 'Stopped') {
+    const run = this.findRun(runId);
+    if (run.status !== 'running') throw new Error(`Script run ${runId} already ${run.status}`);
+    this.finish(run, 'stopped', reason);
+    return this.describeRun(run);
+  }
+
+  // Stop every script, or only those driving one board
+  stopAll(reason, boardId = null) {
+    return this.running()
+      .filter(run => !boardId || run.boardId === boardId)
+      .map(run => this.stopRun(run.id, reason));
+  }
+
+  // Called for every command sent to a board, whoever sent it
+  commandSent(boardId, command) {
+    if (STOPPING_COMMANDS.includes(command)) this.stopAll(`Stopped by ${command}`, boardId);
+  }
+
+  async handleMessage(run, message) {
+    switch (message.type) {
+      case 'call': {
+        let reply;
+        try {
+          if (!SCRIPT_FUNCTIONS.includes(message.function)) {
+            throw new Error(`Scripts cannot call ${message.function}`);
+          }
+          const result = await this.execute(message.function, { ...message.args, board: run.boardId }, { type: 'script', script: run.script, runId: run.id });
+          reply = { type: 'result', id: message.id, result };
+        } catch (error) {
+          reply = { type: 'result', id: message.id, error: error.message };
+        }
+        if (run.status === 'running') run.worker.postMessage(reply);
+        break;
+      }
+
+      case 'subscribe':
+        try {
+          this.watch(run, message.pin, message.interval);
+        } catch (error) {
+          this.finish(run, 'failed', error.message);
+        }
+        break;
+
+      case 'log':
+        this.log(run, message.level, message.message);
+        break;
+
+      case 'error':
+        this.finish(run, 'failed', message.error);
+        break;
+
+      case 'done':
+        // Scripts waiting for pin changes keep running until stopped
+        if (!message.listening) this.finish(run, 'finished');
+        break;
+
+      case 'pong':
+        run.lastPong = Date.now();
+        break;
+    }
+  }
+
+  // Poll a pin for on('pinChange'); readings from anywhere else count too
+  watch(run, label, interval = DEFAULT_POLL_INTERVAL) {
+    const pin = normalizePinLabel(label);
+    if (run.watches.has(pin)) return;
+
+    const every = Math.max(MIN_POLL_INTERVAL, Number(interval) || DEFAULT_POLL_INTERVAL);
+    const type = pin.startsWith('A') ? 'analog' : 'digital';
+    const watch = { value: undefined, busy: false };
+
+    watch.timer = setInterval(async () => {
+      if (watch.busy) return;
+      watch.busy = true;
+      try {
+        await this.read(run.boardId, type, parseInt(pin.slice(1)));
+      } catch (error) {
+        // Board missing or busy; the next tick tries again
+      } finally {
+        watch.busy = false;
+      }
+    }, every);
+
+    run.watches.set(pin, watch);
+  }
+
+  // Called for every reading the server records
+  handleSample({ boardId, pin, value }) {
+    this.running().forEach(run => {
+      const watch = run.boardId === boardId && run.watches.get(pin);
+      if (!watch || watch.value === value) return;
+
+      const previous = watch.value;
+      watch.value = value;
+      // The first reading only sets the baseline
+      if (previous !== undefined) {
+        run.worker.postMessage({ type: 'pinChange', pin, value, previous });
+      }
+    });
+  }
+
+  log(run, level, message) {
+    const entry = { timestamp: new Date().toISOString(), level, message };
+    run.logs.push(entry);
+    if (run.logs.length > MAX_LOG_LINES) run.logs.shift();
+    this.emit('log', { runId: run.id, script: run.script, ...entry });
+  }
+
+  finish(run, status, error = null) {
+    if (run.status !== 'running') return;
+
+    run.status = status;
+    run.endedAt = new Date().toISOString();
+    if (status === 'failed') run.error = error;
+    clearInterval(run.watchdog);
+    clearTimeout(run.deadline);
+    run.watches.forEach(watch => clearInterval(watch.timer));
+    run.worker.terminate();
+
+    const finished = Array.from(this.runs.values()).filter(entry => entry.status !== 'running');
+    finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED_RUNS)).forEach(entry => this.runs.delete(entry.id));
+
+    if (error) this.log(run, status === 'stopped' ? 'info' : 'error', error);
+    this.status(run, error);
+  }
+
+  status(run, error = null) {
+    this.emit('status', {
+      runId: run.id,
+      script: run.script,
+      boardId: run.boardId,
+      status: run.status,
+      ...(error && { error })
+    });
+  }
+
+  stop() {
+    this.stopAll('Server shutting down');
+  }
+}
+
+module.exports = { ScriptRunner, SCRIPT_FUNCTIONS };
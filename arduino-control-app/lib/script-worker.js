@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Script Worker
+ *
+ * Runs one user script inside a worker thread. The script sees only the
+ * restricted API below; every hardware call is posted to the main thread,
+ * which runs it through the controller and posts the result back.
+ *
+ *   led.on() / led.off() / led.blink(rate) / led.fade(speed) / led.morse(text) / led.pattern(bits)
+ *   pin.mode(pin, mode) / pin.write(pin, value) / pin.pwm(pin, value) / pin.release(pin)
+ *   servo(pin, angle)
+ *   await read.digital(pin) / await read.analog(pin)
+ *   await sleep(ms)
+ *   on('pinChange', 'A0', (value, previous) => { ... }, { interval: 200 })
+ *   console.log / console.warn / console.error
+ *
+ * The API is built inside the script's vm context (SANDBOX_API), so every
+ * function, promise and error the script can reach belongs to the context.
+ * A host object would hand out the worker's own Function constructor (e.g.
+ * led.on.constructor.constructor), and with it process. The only host
+ * function the context holds is `send`, kept in a closure; it takes JSON
+ * text and never throws or returns anything. Messages into the context go
+ * the same way, as JSON text passed to `deliver`.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { name, source, syncTimeout } = workerData;
+
+// Evaluated in the context before the script; returns deliver(text)
+const SANDBOX_API = `(function install(send, scriptName) {
+  'use strict';
+  const stringify = JSON.stringify;
+  const parse = JSON.parse;
+  const pending = new Map();
+  const handlers = new Map();
+  let callCounter = 0;
+
+  function post(message) {
+    send(stringify(message));
+  }
+
+  function formatLogArgs(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      if (arg instanceof Error) return arg.stack || arg.message;
+      try {
+        return stringify(arg);
+      } catch (error) {
+        return String(arg);
+      }
+    }).join(' ');
+  }
+
+  // Report an error with only the stack frames that point into the script
+  function fail(error) {
+    try {
+      if (!error || !error.stack) {
+        post({ type: 'error', error: String(error) });
+        return;
+      }
+      const [first, ...frames] = String(error.stack).split('\\n');
+      const scriptFrames = frames.filter(frame => frame.includes(scriptName + '.js:'));
+      post({ type: 'error', error: [first, ...scriptFrames].join('\\n') });
+    } catch (reportError) {
+      post({ type: 'error', error: 'Script failed' });
+    }
+  }
+
+  function request(type, fields) {
+    return new Promise((resolve, reject) => {
+      const id = ++callCounter;
+      pending.set(id, { resolve, reject });
+      post({ ...fields, type, id });
+    });
+  }
+
+  // Run a controller function on the main thread
+  function call(functionName, args = {}) {
+    return request('call', { function: functionName, args });
+  }
+
+  globalThis.led = {
+    on: () => call('ledOn'),
+    off: () => call('ledOff'),
+    blink: (rate) => call('ledBlink', { rate }),
+    fade: (speed) => call('ledFade', { speed }),
+    morse: (text) => call('ledMorse', { text: String(text) }),
+    pattern: (pattern) => call('ledPattern', { pattern: String(pattern) })
+  };
+  globalThis.pin = {
+    mode: (pin, mode) => call('setPinMode', { pin, mode }),
+    write: (pin, value) => call('digitalWrite', { pin, value: value ? 1 : 0 }),
+    pwm: (pin, value) => call('analogWrite', { pin, value }),
+    release: (pin) => call('releasePin', { pin })
+  };
+  globalThis.servo = (pin, angle) => call('servoWrite', { pin, angle });
+  globalThis.read = {
+    digital: (pin) => call('digitalRead', { pin }).then(result => parseInt(result.message)),
+    analog: (pin) => call('analogRead', { pin }).then(result => parseInt(result.message))
+  };
+  globalThis.sleep = (ms) => request('sleep', { ms: Math.max(0, Number(ms) || 0) }).then(() => undefined);
+  globalThis.on = (event, pin, handler, options = {}) => {
+    if (event !== 'pinChange') throw new Error('Unknown event "' + event + '", only "pinChange" is supported');
+    if (typeof handler !== 'function') throw new Error('on("pinChange", pin, handler) needs a handler function');
+    const label = String(pin).toUpperCase();
+    if (!handlers.has(label)) handlers.set(label, []);
+    handlers.get(label).push(handler);
+    post({ type: 'subscribe', pin: label, interval: options.interval });
+  };
+  globalThis.console = {
+    log: (...args) => post({ type: 'log', level: 'info', message: formatLogArgs(args) }),
+    warn: (...args) => post({ type: 'log', level: 'warn', message: formatLogArgs(args) }),
+    error: (...args) => post({ type: 'log', level: 'error', message: formatLogArgs(args) })
+  };
+
+  // Called once by the script wrapper, then gone
+  globalThis.__start = (script) => {
+    delete globalThis.__start;
+    script()
+      .then(() => post({ type: 'done', listening: handlers.size > 0 }))
+      .then(undefined, fail);
+  };
+
+  return function deliver(text) {
+    const message = parse(text);
+    switch (message.type) {
+      case 'result': {
+        const waiting = pending.get(message.id);
+        if (!waiting) return;
+        pending.delete(message.id);
+        if (message.error) waiting.reject(new Error(message.error));
+        else waiting.resolve(message.result);
+        break;
+      }
+
+      case 'pinChange':
+        (handlers.get(message.pin) || []).forEach(handler => {
+          Promise.resolve()
+            .then(() => handler(message.value, message.previous))
+            .then(undefined, fail);
+        });
+        break;
+    }
+  };
+})`;
+
+function post(message) {
+  parentPort.postMessage(message);
+}
+
+let deliver = null;
+
+function deliverToScript(message) {
+  try {
+    deliver(JSON.stringify(message));
+  } catch (error) {
+    post({ type: 'error', error: 'Script API failed to receive a message' });
+  }
+}
+
+// The context's only way out: JSON text, checked here
+function send(text) {
+  if (typeof text !== 'string') return;
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return;
+  }
+  if (!message || typeof message !== 'object') return;
+
+  if (message.type === 'sleep') {
+    setTimeout(() => deliverToScript({ type: 'result', id: message.id, result: null }), Math.min(Number(message.ms) || 0, 2147483647));
+    return;
+  }
+  try {
+    post(message);
+  } catch (error) {
+    // Nothing the script sent can be answered with a host error
+  }
+}
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'result':
+    case 'pinChange':
+      deliverToScript(message);
+      break;
+
+    case 'ping':
+      post({ type: 'pong' });
+      break;
+  }
+});
+
+const context = vm.createContext(Object.create(null), {
+  name: `script:${name}`,
+  codeGeneration: { strings: false, wasm: false }
+});
+
+try {
+  deliver = vm.runInContext(SANDBOX_API, context)(send, name);
+  const script = new vm.Script(`__start(async function () {\n${source}\n});`, { filename: `${name}.js`, lineOffset: -1 });
+  script.runInContext(context, { timeout: syncTimeout });
+} catch (error) {
+  post({ type: 'error', error: String(error && error.message) });
+}
@@ -0,0 +1,276 @@
+/**
+ * Sensor Sampler
+ *
+ * Polls chosen pins at a chosen rate and keeps every reading in a bounded
+ * in-memory time series per board and pin (the oldest samples are dropped
+ * once a series is full). Which pins are sampled is stored in
+ * data/sensors.json so sampling resumes after a restart; the readings
+ * themselves are not persisted.
+ *
+ * Pins are labelled "A0".."A15" for analog inputs and "D2".."D69" for
+ * digital pins; a bare number means a digital pin.
+ *
+ * A pin whose reads keep failing is reported with a 'readFailed' event
+ * after FAILURE_REPORT_THRESHOLD failures in a row, and 'readRecovered'
+ * once a read works again; sampling carries on in between.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomic-write');
+
+const SENSORS_FILE = path.join(__dirname, '..', 'data', 'sensors.json');
+
+const MIN_INTERVAL = 100;
+const DEFAULT_MAX_SAMPLES = 10000;
+const FAILURE_REPORT_THRESHOLD = 3;
+
+function parsePinLabel(label) {
+  const match = /^([AD]?)(\d+)$/i.exec(String(label).trim());
+  if (!match) {
+    throw new Error(`Invalid sensor pin "${label}", use e.g. A0 for analog or D7 for digital`);
+  }
+  return { type: match[1].toUpperCase() === 'A' ? 'analog' : 'digital', pin: parseInt(match[2]) };
+}
+
+function pinLabel(type, pin) {
+  return `${type === 'analog' ? 'A' : 'D'}${pin}`;
+}
+
+// "a0" -> "A0", "7" -> "D7"
+function normalizePinLabel(label) {
+  const { type, pin } = parsePinLabel(label);
+  return pinLabel(type, pin);
+}
+
+function seriesKey(boardId, type, pin) {
+  return `${boardId}:${pinLabel(type, pin)}`;
+}
+
+function summarize(values) {
+  if (values.length === 0) return { count: 0, min: null, max: null, avg: null };
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+  });
+  return { count: values.length, min, max, avg: Math.round((sum / values.length) * 100) / 100 };
+}
+
+class SensorSampler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.read - async (board, type, pin) => reading; readings come back through record()
+   * @param {Function} options.resolveBoardId - (board) => board ID for a reference; throws if unknown
+   * @param {Function} [options.validatePin] - (boardId, type, pin) => throws if the board has no such pin
+   * @param {number} [options.maxSamples] - samples kept per series
+   * @param {string} [options.file] - where the sampling setup is stored
+   */
+  constructor({ read, resolveBoardId, validatePin = () => {}, maxSamples = DEFAULT_MAX_SAMPLES, file = SENSORS_FILE }) {
+    super();
+
+    this.read = read;
+    this.resolveBoardId = resolveBoardId;
+    this.validatePin = validatePin;
+    this.maxSamples = maxSamples;
+    this.file = file;
+
+    this.series = new Map();
+    this.samplers = new Map();
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      (stored.sampling || []).forEach(config => this.startTimer(config));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.listSampling();
+  }
+
+  save() {
+    // Read failures only describe this run
+    const sampling = this.listSampling().map(({ failure, ...config }) => config);
+    return writeFileAtomic(this.file, JSON.stringify({ sampling }, null, 2));
+  }
+
+  listSampling() {
+    return Array.from(this.samplers.values()).map(({ timer, busy, ...config }) => config);
+  }
+
+  /**
+   * Start (or change the rate of) sampling a pin.
+   * @param {Object} options - { board, pin: "A0" | "D7", interval: ms }
+   */
+  async startSampling({ board, pin, interval = 1000 }) {
+    const { type, pin: pinNumber } = parsePinLabel(pin);
+    if (typeof interval !== 'number' || !Number.isFinite(interval) || interval < MIN_INTERVAL) {
+      throw new Error(`Sampling interval must be at least ${MIN_INTERVAL} ms`);
+    }
+
+    const boardId = this.resolveBoardId(board);
+    this.validatePin(boardId, type, pinNumber);
+
+    const config = {
+      boardId,
+      pin: pinLabel(type, pinNumber),
+      type,
+      interval,
+      since: new Date().toISOString()
+    };
+
+    this.startTimer(config);
+    await this.save();
+    this.emit('sampling', this.listSampling());
+    return config;
+  }
+
+  async stopSampling({ board, pin }) {
+    const { type, pin: pinNumber } = parsePinLabel(pin);
+    const key = seriesKey(this.resolveBoardId(board), type, pinNumber);
+    const sampler = this.samplers.get(key);
+    if (!sampler) {
+      throw Object.assign(new Error(`Pin ${pinLabel(type, pinNumber)} is not being sampled`), { code: 'NOT_SAMPLED' });
+    }
+
+    clearInterval(sampler.timer);
+    this.samplers.delete(key);
+    await this.save();
+    this.emit('sampling', this.listSampling());
+    return this.listSampling();
+  }
+
+  startTimer(config) {
+    const { type, pin } = parsePinLabel(config.pin);
+    const key = seriesKey(config.boardId, type, pin);
+    const existing = this.samplers.get(key);
+    if (existing) clearInterval(existing.timer);
+
+    const sampler = { ...config, busy: false, failure: null };
+    sampler.timer = setInterval(async () => {
+      // Skip a tick while the previous read is still queued
+      if (sampler.busy) return;
+      sampler.busy = true;
+      try {
+        const reading = await this.read(config.boardId, type, pin);
+        if (!reading || reading.value === null) throw new Error('The board did not return a reading');
+        if (sampler.failure && sampler.failure.count >= FAILURE_REPORT_THRESHOLD) {
+          this.emit('readRecovered', { boardId: config.boardId, pin: config.pin, failures: sampler.failure.count });
+        }
+        sampler.failure = null;
+      } catch (error) {
+        // Board missing or busy: the next tick tries again, but a pin that
+        // keeps failing is reported
+        const failure = sampler.failure || { count: 0, since: new Date().toISOString() };
+        sampler.failure = { ...failure, count: failure.count + 1, error: error.message };
+        if (sampler.failure.count === FAILURE_REPORT_THRESHOLD) {
+          this.emit('readFailed', { boardId: config.boardId, pin: config.pin, ...sampler.failure });
+        }
+      } finally {
+        sampler.busy = false;
+      }
+    }, config.interval);
+
+    this.samplers.set(key, sampler);
+  }
+
+  // Store a reading, whatever read it
+  record(boardId, type, pin, value, timestamp = Date.now()) {
+    const key = seriesKey(boardId, type, pin);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { boardId, type, pin, samples: [] };
+      this.series.set(key, series);
+    }
+
+    series.samples.push([timestamp, value]);
+    // Trim in batches so a full series is not shifted on every sample
+    if (series.samples.length > this.maxSamples * 1.1) {
+      series.samples.splice(0, series.samples.length - this.maxSamples);
+    }
+
+    this.emit('sample', { boardId, pin: pinLabel(type, pin), type, value, timestamp: new Date(timestamp).toISOString() });
+  }
+
+  listSeries() {
+    return Array.from(this.series.entries()).map(([key, series]) => {
+      const last = series.samples[series.samples.length - 1];
+      return {
+        boardId: series.boardId,
+        pin: pinLabel(series.type, series.pin),
+        type: series.type,
+        count: series.samples.length,
+        from: series.samples.length ? new Date(series.samples[0][0]).toISOString() : null,
+        latest: last ? { value: last[1], timestamp: new Date(last[0]).toISOString() } : null,
+        sampling: this.samplers.has(key) ? this.samplers.get(key).interval : null
+      };
+    });
+  }
+
+  /**
+   * Readings of a pin between `from` and `to` (ms timestamps). With `bucket`
+   * (ms) or `points` (bucket count) the readings are downsampled to
+   * min/max/avg per bucket. Aggregates cover the whole range.
+   */
+  history({ board, pin, from, to, bucket, points }) {
+    const { type, pin: pinNumber } = parsePinLabel(pin);
+    const boardId = this.resolveBoardId(board);
+    const series = this.series.get(seriesKey(boardId, type, pinNumber));
+    const end = Number.isFinite(to) ? to : Date.now();
+    const samples = series
+      ? series.samples.filter(([timestamp]) => (!Number.isFinite(from) || timestamp >= from) && timestamp <= end)
+      : [];
+
+    const start = Number.isFinite(from) ? from : (samples.length ? samples[0][0] : end);
+    let bucketSize = Number.isFinite(bucket) && bucket > 0 ? bucket : null;
+    if (!bucketSize && Number.isFinite(points) && points > 0) {
+      bucketSize = Math.max(1, Math.ceil((end - start + 1) / points));
+    }
+
+    const result = {
+      boardId,
+      pin: pinLabel(type, pinNumber),
+      type,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      aggregates: summarize(samples.map(([, value]) => value)),
+      bucket: bucketSize
+    };
+
+    if (!bucketSize) {
+      result.samples = samples.map(([timestamp, value]) => ({ timestamp: new Date(timestamp).toISOString(), value }));
+      return result;
+    }
+
+    const buckets = new Map();
+    samples.forEach(([timestamp, value]) => {
+      const bucketStart = start + Math.floor((timestamp - start) / bucketSize) * bucketSize;
+      if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+      buckets.get(bucketStart).push(value);
+    });
+
+    result.samples = Array.from(buckets.entries()).map(([bucketStart, values]) => ({
+      timestamp: new Date(bucketStart).toISOString(),
+      ...summarize(values)
+    }));
+    return result;
+  }
+
+  stop() {
+    this.samplers.forEach(sampler => clearInterval(sampler.timer));
+  }
+}
+
+// CSV for a history() result: raw samples or one row per bucket
+function historyToCsv(history) {
+  const columns = history.bucket ? ['timestamp', 'min', 'max', 'avg', 'count'] : ['timestamp', 'value'];
+  const rows = history.samples.map(sample => columns.map(column => sample[column]).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { SensorSampler, historyToCsv, parsePinLabel, normalizePinLabel, pinLabel };
@@ -0,0 +1,445 @@
+/**
+ * Simulated Arduino Board
+ *
+ * A virtual Arduino Uno that speaks the same newline-delimited JSON protocol
+ * as arduino-serial/arduino-serial.ino. It behaves like an opened SerialPort
+ * (a duplex stream with open/close/isOpen), so the server can pipe it into a
+ * ReadlineParser and write commands to it without knowing it is not real.
+ *
+ * Sensor values can be injected with setAnalogInput()/setDigitalInput() to
+ * exercise reads without any hardware attached. A firmwareVersion below
+ * 2.0.0 behaves like the sketches from before the HELLO handshake.
+ */
+
+const { Duplex } = require('stream');
+
+const SIMULATED_PORT_PREFIX = 'simulated://';
+const SIMULATED_UNO_PATH = `${SIMULATED_PORT_PREFIX}uno`;
+
+// Mirrors the firmware's limits
+const DIGITAL_PIN_COUNT = 20;
+const ANALOG_PIN_COUNT = 6;
+const PWM_PINS = [3, 5, 6, 9, 10, 11];
+const SERVO_PIN_MIN = 2;
+const SERVO_PIN_MAX = 13;
+const INPUT_BUFFER_LIMIT = 500;
+const HEARTBEAT_INTERVAL = 5000;
+const FIRMWARE_VERSION = '2.1.0';
+const EFFECT_NAMES = ['blinking', 'fading', 'morse', 'pattern', 'rainbow'];
+
+function isSimulatedPort(portPath) {
+  return typeof portPath === 'string' && portPath.startsWith(SIMULATED_PORT_PREFIX);
+}
+
+// Board entry in the same shape detectArduinoBoards() returns for real ports
+function describeSimulatedBoard() {
+  return {
+    path: SIMULATED_UNO_PATH,
+    manufacturer: 'Simulator',
+    vendorId: null,
+    productId: null,
+    boardType: 'Simulated Uno',
+    simulated: true
+  };
+}
+
+function createInitialState() {
+  const pins = {};
+  for (let i = 0; i < DIGITAL_PIN_COUNT; i++) {
+    pins[i] = { mode: 'INPUT', digitalValue: 0 };
+  }
+
+  return {
+    led: false,
+    pins,
+    analogOutputs: {},
+    servos: {},
+    effects: EFFECT_NAMES.reduce((effects, name) => ({ ...effects, [name]: false }), {}),
+    currentEffect: 'none',
+    effectParams: {}
+  };
+}
+
+class SimulatedSerialPort extends Duplex {
+  constructor({ path = SIMULATED_UNO_PATH, autoOpen = true, startupDelay = 1000, firmwareVersion = FIRMWARE_VERSION } = {}) {
+    super();
+
+    this.path = path;
+    this.baudRate = 9600;
+    this.firmwareVersion = firmwareVersion;
+    this.protocolVersion = parseInt(firmwareVersion) >= 2 ? 2 : 1;
+    this.isOpen = false;
+    this.startupDelay = startupDelay;
+
+    this.state = createInitialState();
+    this.inputs = { digital: {}, analog: {} };
+
+    this.inputBuffer = '';
+    this.bootTime = Date.now();
+    this.timers = [];
+
+    if (autoOpen) {
+      this.open();
+    }
+  }
+
+  // SerialPort-compatible lifecycle
+
+  open(callback) {
+    if (this.isOpen) {
+      const error = new Error('Port is already open');
+      if (callback) return process.nextTick(callback, error);
+      return process.nextTick(() => this.emit('error', error));
+    }
+
+    process.nextTick(() => {
+      this.isOpen = true;
+      this.bootTime = Date.now();
+      this.emit('open');
+      if (callback) callback(null);
+      this.boot();
+    });
+  }
+
+  close(callback) {
+    if (!this.isOpen) {
+      const error = new Error('Port is not open');
+      if (callback) return process.nextTick(callback, error);
+      return process.nextTick(() => this.emit('error', error));
+    }
+
+    this.isOpen = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    process.nextTick(() => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+
+  // Same start-up sequence as setup(): ready message, status, then heartbeats
+  boot() {
+    this.sendResponse('', true, 'Arduino AI Control System Ready', 'status');
+
+    this.timers.push(setTimeout(() => {
+      if (!this.isOpen) return;
+      this.sendStatusUpdate();
+      this.heartbeat = setInterval(() => this.sendStatusUpdate(), HEARTBEAT_INTERVAL);
+    }, this.startupDelay));
+  }
+
+  _read() {
+    // Data is pushed as soon as the virtual firmware produces it
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.isOpen) {
+      callback(new Error('Port is not open'));
+      return;
+    }
+
+    for (const char of chunk.toString()) {
+      if (char === '\n') {
+        const line = this.inputBuffer;
+        this.inputBuffer = '';
+        this.processCommand(line);
+      } else if (char !== '\r') {
+        this.inputBuffer += char;
+      }
+
+      if (this.inputBuffer.length > INPUT_BUFFER_LIMIT) {
+        this.inputBuffer = '';
+        this.sendResponse('', false, 'Command too long', 'error');
+      }
+    }
+
+    callback();
+  }
+
+  // Sensor injection
+
+  setAnalogInput(pin, value) {
+    const analogPin = parseInt(pin);
+    if (!(analogPin >= 0 && analogPin < ANALOG_PIN_COUNT)) {
+      throw new Error(`Invalid analog pin: ${pin}`);
+    }
+    this.inputs.analog[analogPin] = Math.max(0, Math.min(1023, parseInt(value) || 0));
+    return this.inputs.analog[analogPin];
+  }
+
+  setDigitalInput(pin, value) {
+    const digitalPin = parseInt(pin);
+    if (!(digitalPin >= 0 && digitalPin < DIGITAL_PIN_COUNT)) {
+      throw new Error(`Invalid digital pin: ${pin}`);
+    }
+    this.inputs.digital[digitalPin] = value ? 1 : 0;
+    return this.inputs.digital[digitalPin];
+  }
+
+  getSnapshot() {
+    return {
+      path: this.path,
+      state: JSON.parse(JSON.stringify(this.state)),
+      inputs: JSON.parse(JSON.stringify(this.inputs))
+    };
+  }
+
+  // Virtual firmware
+
+  millis() {
+    return Date.now() - this.bootTime;
+  }
+
+  emitLine(payload) {
+    if (!this.isOpen) return;
+    this.push(JSON.stringify(payload) + '\r\n');
+  }
+
+  sendResponse(id, success, message, type, data) {
+    this.emitLine({ id, success, message, type, ...(data && { data }), timestamp: this.millis() });
+  }
+
+  sendStatusUpdate() {
+    const pins = {};
+    for (let i = 0; i < DIGITAL_PIN_COUNT; i++) {
+      const pin = this.state.pins[i];
+      if (pin.mode !== 'INPUT' || pin.digitalValue !== 0) {
+        // The firmware reports INPUT_PULLUP as INPUT
+        pins[i] = { mode: pin.mode === 'OUTPUT' ? 'OUTPUT' : 'INPUT', digitalValue: pin.digitalValue };
+      }
+    }
+
+    this.emitLine({
+      type: 'status',
+      data: {
+        led: this.state.led,
+        pins,
+        effects: { ...this.state.effects },
+        currentEffect: this.state.currentEffect,
+        timestamp: this.millis()
+      }
+    });
+  }
+
+  processCommand(line) {
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (error) {
+      this.sendResponse('', false, 'Unknown command: ', 'result');
+      return;
+    }
+
+    const id = frame.id ? String(frame.id) : '';
+    const command = frame.command || '';
+    const params = frame.params || {};
+
+    if (command === 'STATUS') {
+      // Status update sends its own response
+      this.sendStatusUpdate();
+      return;
+    }
+
+    const handler = this.commands[command];
+    if (!handler) {
+      this.sendResponse(id, false, `Unknown command: ${command}`, 'result');
+      return;
+    }
+
+    const { success, message, type = 'result', data } = handler.call(this, params);
+    this.sendResponse(id, success, message, type, data);
+  }
+
+  stopAllEffects() {
+    EFFECT_NAMES.forEach(name => { this.state.effects[name] = false; });
+    this.state.effectParams = {};
+  }
+
+  startEffect(name, currentEffect, params) {
+    this.state.effects[name] = true;
+    this.state.currentEffect = currentEffect;
+    this.state.effectParams[name] = params;
+  }
+}
+
+// Command handlers, invoked with the port as `this`. Each mirrors the
+// matching executeCommand_* function and message text in the firmware.
+SimulatedSerialPort.prototype.commands = {
+  HELLO() {
+    if (this.protocolVersion < 2) {
+      return { success: false, message: 'Unknown command: HELLO' };
+    }
+    return {
+      success: true,
+      message: 'Hello',
+      type: 'hello',
+      data: {
+        firmware: this.firmwareVersion,
+        protocol: this.protocolVersion,
+        board: 'uno',
+        commands: Object.keys(this.commands).concat('STATUS')
+      }
+    };
+  },
+
+  PING() {
+    return { success: true, message: 'Pong' };
+  },
+
+  LED_ON() {
+    this.state.led = true;
+    this.state.currentEffect = 'on';
+    this.stopAllEffects();
+    return { success: true, message: 'LED turned on' };
+  },
+
+  LED_OFF() {
+    this.state.led = false;
+    this.state.currentEffect = 'off';
+    this.stopAllEffects();
+    return { success: true, message: 'LED turned off' };
+  },
+
+  LED_BLINK({ rate = 500 }) {
+    const blinkRate = parseInt(rate);
+    if (!(blinkRate >= 50 && blinkRate <= 5000)) {
+      return { success: false, message: 'Failed to start blinking' };
+    }
+    this.startEffect('blinking', 'blink', { rate: blinkRate });
+    return { success: true, message: 'LED blinking started' };
+  },
+
+  LED_FADE({ speed = 5 }) {
+    const fadeSpeed = parseInt(speed);
+    if (!(fadeSpeed >= 1 && fadeSpeed <= 10)) {
+      return { success: false, message: 'Failed to start fading' };
+    }
+    this.startEffect('fading', 'fade', { speed: fadeSpeed });
+    return { success: true, message: 'LED fading started' };
+  },
+
+  LED_MORSE({ text = '' }) {
+    const morseText = String(text);
+    if (morseText.length === 0 || morseText.length > 50) {
+      return { success: false, message: 'Failed to start morse code' };
+    }
+    this.startEffect('morse', 'morse', { text: morseText.toUpperCase() });
+    return { success: true, message: 'Morse code started' };
+  },
+
+  LED_PATTERN({ pattern = '' }) {
+    const patternString = String(pattern);
+    if (patternString.length === 0 || patternString.length > 100 || /[^01]/.test(patternString)) {
+      return { success: false, message: 'Failed to start pattern' };
+    }
+    this.startEffect('pattern', 'pattern', { pattern: patternString });
+    return { success: true, message: 'Pattern started' };
+  },
+
+  PIN_MODE({ pin = -1, mode = '' }) {
+    const pinNumber = parseInt(pin);
+    if (!(pinNumber >= 0 && pinNumber < DIGITAL_PIN_COUNT) ||
+        !['INPUT', 'OUTPUT', 'INPUT_PULLUP'].includes(mode)) {
+      return { success: false, message: 'Failed to set pin mode' };
+    }
+    this.state.pins[pinNumber].mode = mode;
+    return { success: true, message: 'Pin mode set' };
+  },
+
+  DIGITAL_WRITE({ pin = -1, value = -1 }) {
+    const pinNumber = parseInt(pin);
+    const pinValue = parseInt(value);
+    if (!(pinNumber >= 0 && pinNumber < DIGITAL_PIN_COUNT) || (pinValue !== 0 && pinValue !== 1)) {
+      return { success: false, message: 'Failed to write digital value' };
+    }
+    this.state.pins[pinNumber].digitalValue = pinValue;
+    return { success: true, message: 'Digital write completed' };
+  },
+
+  DIGITAL_READ({ pin = -1 }) {
+    const pinNumber = parseInt(pin);
+    if (!(pinNumber >= 0 && pinNumber < DIGITAL_PIN_COUNT)) {
+      return { success: false, message: 'Failed to read digital value', type: 'reading' };
+    }
+
+    const pinState = this.state.pins[pinNumber];
+    let value;
+    if (pinState.mode === 'OUTPUT') {
+      value = pinState.digitalValue;
+    } else if (this.inputs.digital[pinNumber] !== undefined) {
+      value = this.inputs.digital[pinNumber];
+    } else {
+      value = pinState.mode === 'INPUT_PULLUP' ? 1 : 0;
+    }
+
+    pinState.digitalValue = value;
+    return { success: true, message: String(value), type: 'reading' };
+  },
+
+  ANALOG_WRITE({ pin = -1, value = -1 }) {
+    const pinNumber = parseInt(pin);
+    const pinValue = parseInt(value);
+    if (!PWM_PINS.includes(pinNumber) || !(pinValue >= 0 && pinValue <= 255)) {
+      return { success: false, message: 'Failed to write analog value' };
+    }
+    this.state.analogOutputs[pinNumber] = pinValue;
+    return { success: true, message: 'Analog write completed' };
+  },
+
+  ANALOG_READ({ pin = -1 }) {
+    const pinNumber = parseInt(pin);
+    if (!(pinNumber >= 0 && pinNumber < ANALOG_PIN_COUNT)) {
+      return { success: false, message: 'Failed to read analog value', type: 'reading' };
+    }
+    const value = this.inputs.analog[pinNumber] !== undefined ? this.inputs.analog[pinNumber] : 0;
+    return { success: true, message: String(value), type: 'reading' };
+  },
+
+  SERVO_WRITE({ pin = -1, angle = -1 }) {
+    const pinNumber = parseInt(pin);
+    const servoAngle = parseInt(angle);
+    if (!(pinNumber >= SERVO_PIN_MIN && pinNumber <= SERVO_PIN_MAX) ||
+        !(servoAngle >= 0 && servoAngle <= 180)) {
+      return { success: false, message: 'Failed to position servo' };
+    }
+    this.state.servos[pinNumber] = servoAngle;
+    return { success: true, message: 'Servo positioned' };
+  },
+
+  SERVO_DETACH({ pin = -1 }) {
+    const pinNumber = parseInt(pin);
+    if (!(pinNumber >= SERVO_PIN_MIN && pinNumber <= SERVO_PIN_MAX)) {
+      return { success: false, message: 'Failed to detach servo' };
+    }
+    delete this.state.servos[pinNumber];
+    return { success: true, message: 'Servo detached' };
+  },
+
+  STOP_EFFECTS() {
+    this.stopAllEffects();
+    return { success: true, message: 'All effects stopped' };
+  },
+
+  RESET() {
+    const { pins } = createInitialState();
+    this.stopAllEffects();
+    this.state.led = false;
+    this.state.pins = pins;
+    this.state.analogOutputs = {};
+    this.state.servos = {};
+    this.state.currentEffect = 'none';
+    return { success: true, message: 'System reset completed' };
+  }
+};
+
+module.exports = {
+  SimulatedSerialPort,
+  SIMULATED_UNO_PATH,
+  isSimulatedPort,
+  describeSimulatedBoard
+};
@@ -0,0 +1,237 @@
+/**
+ * Serial Transcripts
+ *
+ * Records every frame written to and every line received from the Arduino
+ * into a JSONL transcript, and replays a recorded transcript through a fake
+ * serial port so a session can be reproduced without the board.
+ *
+ * Transcript format (one JSON object per line):
+ *   {"direction":"meta","timestamp":"...","port":"/dev/ttyACM0","board":"Arduino Uno"}
+ *   {"direction":"tx","timestamp":"...","elapsed":12,"port":"/dev/ttyACM0","data":"{\"id\":...}"}
+ *   {"direction":"rx","timestamp":"...","elapsed":40,"port":"/dev/ttyACM0","data":"{\"id\":...}"}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Duplex } = require('stream');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, '..', 'data', 'transcripts');
+const REPLAY_PORT_PREFIX = 'replay://';
+
+function sanitizeTranscriptName(name) {
+  const safeName = String(name || '').replace(/\.jsonl$/, '').replace(/[^a-zA-Z0-9_.-]/g, '_');
+  if (!safeName || safeName.startsWith('.')) {
+    throw new Error('Invalid transcript name');
+  }
+  return safeName;
+}
+
+function getTranscriptPath(name) {
+  return path.join(TRANSCRIPTS_DIR, `${sanitizeTranscriptName(name)}.jsonl`);
+}
+
+function isReplayPort(portPath) {
+  return typeof portPath === 'string' && portPath.startsWith(REPLAY_PORT_PREFIX);
+}
+
+async function listTranscripts() {
+  try {
+    const files = await fs.promises.readdir(TRANSCRIPTS_DIR);
+    const transcripts = await Promise.all(files
+      .filter(file => file.endsWith('.jsonl'))
+      .map(async file => {
+        const stats = await fs.promises.stat(path.join(TRANSCRIPTS_DIR, file));
+        return {
+          name: file.replace(/\.jsonl$/, ''),
+          size: stats.size,
+          modified: stats.mtime.toISOString()
+        };
+      }));
+    return transcripts.sort((a, b) => b.modified.localeCompare(a.modified));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function loadTranscript(name) {
+  const content = await fs.promises.readFile(getTranscriptPath(name), 'utf8');
+  return content
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+}
+
+class TranscriptRecorder {
+  constructor() {
+    this.stream = null;
+    this.name = null;
+    this.startedAt = null;
+    this.frames = 0;
+  }
+
+  get active() {
+    return this.stream !== null;
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      name: this.name,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      frames: this.frames
+    };
+  }
+
+  async start({ name, port = null, board = null } = {}) {
+    if (this.active) {
+      await this.stop();
+    }
+
+    const transcriptName = sanitizeTranscriptName(name || `transcript-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    await fs.promises.mkdir(TRANSCRIPTS_DIR, { recursive: true });
+
+    this.stream = fs.createWriteStream(getTranscriptPath(transcriptName), { flags: 'a' });
+    this.name = transcriptName;
+    this.startedAt = Date.now();
+    this.frames = 0;
+
+    this.stream.write(JSON.stringify({
+      direction: 'meta',
+      timestamp: new Date(this.startedAt).toISOString(),
+      port,
+      board
+    }) + '\n');
+
+    return this.getStatus();
+  }
+
+  record(direction, data, port = null) {
+    if (!this.active) return;
+
+    const now = Date.now();
+    this.frames++;
+    this.stream.write(JSON.stringify({
+      direction,
+      timestamp: new Date(now).toISOString(),
+      elapsed: now - this.startedAt,
+      port,
+      data: data.toString().replace(/\r?\n$/, '')
+    }) + '\n');
+  }
+
+  stop() {
+    if (!this.active) return Promise.resolve(this.getStatus());
+
+    const stream = this.stream;
+    const status = { ...this.getStatus(), active: false };
+    this.stream = null;
+    this.name = null;
+    this.startedAt = null;
+    this.frames = 0;
+
+    return new Promise(resolve => stream.end(() => resolve(status)));
+  }
+}
+
+/**
+ * Fake serial port that plays back the received (rx) lines of a transcript.
+ * Frames the server writes are accepted and dropped. `speed` scales the
+ * recorded timing (2 = twice as fast); 0 replays every line immediately.
+ */
+class ReplaySerialPort extends Duplex {
+  constructor({ path: portPath, entries, speed = 1, autoOpen = true }) {
+    super();
+
+    this.path = portPath;
+    this.baudRate = 9600;
+    this.isOpen = false;
+    this.speed = Number.isFinite(speed) && speed >= 0 ? speed : 1;
+    this.entries = entries.filter(entry => entry.direction === 'rx');
+    this.timers = [];
+
+    if (autoOpen) {
+      this.open();
+    }
+  }
+
+  open(callback) {
+    process.nextTick(() => {
+      this.isOpen = true;
+      this.emit('open');
+      if (callback) callback(null);
+      this.play();
+    });
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+
+    process.nextTick(() => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+
+  play() {
+    if (this.entries.length === 0) {
+      this.emit('replay_complete');
+      return;
+    }
+
+    const startOffset = this.entries[0].elapsed || 0;
+
+    this.entries.forEach((entry, index) => {
+      const delay = this.speed > 0 ? ((entry.elapsed || 0) - startOffset) / this.speed : 0;
+      this.timers.push(setTimeout(() => {
+        if (!this.isOpen) return;
+        this.push(entry.data + '\n');
+        if (index === this.entries.length - 1) {
+          this.emit('replay_complete');
+        }
+      }, delay));
+    });
+  }
+
+  _read() {
+    // Lines are pushed on the recorded timeline
+  }
+
+  _write(chunk, encoding, callback) {
+    callback(this.isOpen ? null : new Error('Port is not open'));
+  }
+}
+
+/**
+ * A replay speed from a client, which may send it as text ("2").
+ * @param {number|string} [value] - 1 when omitted
+ * @returns {number}
+ */
+function parseReplaySpeed(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const speed = Number(value);
+  if (!Number.isFinite(speed) || speed < 0) {
+    throw Object.assign(new Error('Replay speed must be a number of at least 0 (0 replays without delays)'), { code: 'INVALID_SPEED' });
+  }
+  return speed;
+}
+
+async function createReplayPort(portPath, { speed = 1 } = {}) {
+  const name = portPath.substring(REPLAY_PORT_PREFIX.length);
+  const entries = await loadTranscript(name);
+  return new ReplaySerialPort({ path: portPath, entries, speed, autoOpen: false });
+}
+
+module.exports = {
+  TranscriptRecorder,
+  ReplaySerialPort,
+  createReplayPort,
+  parseReplaySpeed,
+  isReplayPort,
+  listTranscripts,
+  loadTranscript,
+  getTranscriptPath,
+  REPLAY_PORT_PREFIX
+};
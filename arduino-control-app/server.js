@@ -2,40 +2,101 @@ require('dotenv').config();
 const express = require('express');
 const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const path = require('path');
-const { exec } = require('child_process');
 const WebSocket = require('ws');
 const http = require('http');
+const { SimulatedSerialPort, isSimulatedPort, describeSimulatedBoard } = require('./lib/simulated-board');
+const {
+  TranscriptRecorder,
+  createReplayPort,
+  parseReplaySpeed,
+  isReplayPort,
+  listTranscripts,
+  getTranscriptPath,
+  REPLAY_PORT_PREFIX
+} = require('./lib/transcript');
+const { ConnectionSupervisor } = require('./lib/connection-supervisor');
+const { CommandQueue } = require('./lib/command-queue');
+const {
+  listProfiles,
+  resolveProfile,
+  isDigitalPin,
+  isAnalogPin,
+  isPwmPin,
+  isServoPin,
+  analogToDigitalPin,
+  getPins,
+  formatPins,
+  buildPinSchema
+} = require('./lib/board-profiles');
+const { PinAllocator } = require('./lib/pin-allocator');
+const { RulesEngine } = require('./lib/rules-engine');
+const { Scheduler } = require('./lib/scheduler');
+const { Macros } = require('./lib/macros');
+const { ScriptRunner } = require('./lib/script-runner');
+const { SensorSampler, historyToCsv, normalizePinLabel, pinLabel } = require('./lib/sensor-sampler');
+const { ChatSession, createProvider, normalizeProviderConfig, describeProviderConfig } = require('../shared/llm-providers');
+const { OfflineIntentParser } = require('./lib/intent-parser');
+const { ChatSessions } = require('./lib/chat-sessions');
+const { Approvals } = require('./lib/approvals');
+const { SafetyPolicy } = require('./lib/safety-policy');
+const { DryRun } = require('./lib/dry-run');
+const { AuditLog } = require('./lib/audit-log');
+const { parseTime } = require('./lib/parse-time');
+const { TokenStore, hasScope, requiredScope, tokenFromRequest } = require('./lib/auth');
+const { validateArgs, buildOpenApiDocument } = require('./lib/openapi');
+const { MqttBridge, parsePinList } = require('./lib/mqtt-bridge');
+const { FirmwareUploader } = require('./lib/firmware-uploader');
+const packageInfo = require('./package.json');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: authorizeWebSocket });
 const port = 3000;
 
-// Initialize Gemini (will be updated when API key is provided)
-let genAI = null;
-let currentApiKey = process.env.GOOGLE_API_KEY || null;
+// LLM provider ({ config, provider }) for chat sessions that did not pick
+// their own; sessions choose theirs with set_llm_provider
+let defaultLlm = loadDefaultLlm();
+const sessionLlms = new Map();
 
-// Initialize Gemini if API key is available
-if (currentApiKey) {
-  genAI = new GoogleGenerativeAI(currentApiKey);
+function createLlm(config) {
+  const normalized = normalizeProviderConfig(config);
+  return { config: normalized, provider: createProvider(normalized, { require }) };
+}
+
+// LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL pick the default provider;
+// without them Gemini is used once a Google API key is known
+function loadDefaultLlm() {
+  const provider = process.env.LLM_PROVIDER || 'gemini';
+  try {
+    return createLlm({
+      provider,
+      model: process.env.LLM_MODEL,
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: provider === 'openai' ? process.env.OPENAI_API_KEY : process.env.GOOGLE_API_KEY
+    });
+  } catch (error) {
+    if (process.env.LLM_PROVIDER) console.error('❌ Invalid LLM provider configuration:', error.message);
+    return null;
+  }
 }
 
 // System state
-let arduinoPort;
-let parser;
 let connectedClients = new Set();
+let wsClientCounter = 0;
+const transcriptRecorder = new TranscriptRecorder();
 
-let systemState = {
-  arduino: {
-    connected: false,
-    port: null,
-    board: null,
-    firmwareUploaded: false,
-    lastSeen: null
-  },
-  hardware: {
+// Connected boards keyed by board ID. Each entry holds the serial port and
+// parser alongside the board's serialisable state in systemState.boards.
+const boards = new Map();
+let boardCounter = 0;
+
+// Ports being flashed; their boards are expected to drop off and are not
+// reconnected by the connection supervisor
+const uploadingPorts = new Set();
+
+function createHardwareState() {
+  return {
     led: false,
     pins: {},
     sensors: {},
@@ -46,13 +107,46 @@ let systemState = {
       morse: false,
       rainbow: false
     }
-  },
-  communication: {
-    lastCommand: null,
-    lastResponse: null,
-    commandQueue: [],
-    responseQueue: new Map()
-  },
+  };
+}
+
+function createBoardState(id, info) {
+  return {
+    id,
+    name: info.name || null,
+    arduino: {
+      connected: false,
+      port: info.path,
+      board: info.boardType || null,
+      profile: null,
+      firmwareUploaded: false,
+      // Filled in by the HELLO handshake
+      firmwareVersion: null,
+      protocolVersion: null,
+      firmwareBoard: null,
+      capabilities: null,
+      firmwareOutdated: false,
+      lastSeen: null
+    },
+    hardware: createHardwareState(),
+    connection: {
+      state: 'connecting',
+      attempt: 0,
+      since: new Date().toISOString()
+    },
+    communication: {
+      lastCommand: null,
+      lastResponse: null,
+      commandQueue: null
+    }
+  };
+}
+
+// Placeholder state reported while no board has been connected yet
+const disconnectedBoardState = createBoardState(null, { path: null });
+
+let systemState = {
+  boards: {},
   setup: {
     step: 'detection', // detection, firmware, testing, ready
     progress: 0,
@@ -60,9 +154,78 @@ let systemState = {
   }
 };
 
+// arduino, hardware and communication mirror the default board so existing
+// clients and single-board setups keep working unchanged
+Object.defineProperties(systemState, {
+  defaultBoard: { enumerable: true, get: () => (getDefaultBoard() || {}).id || null },
+  arduino: { enumerable: true, get: () => getDefaultBoardState().arduino },
+  hardware: { enumerable: true, get: () => getDefaultBoardState().hardware },
+  communication: { enumerable: true, get: () => getDefaultBoardState().communication }
+});
+
+// The default board is the first connected one, or the first known one
+function getDefaultBoard() {
+  const all = Array.from(boards.values());
+  return all.find(board => board.state.arduino.connected) || all[0] || null;
+}
+
+function getDefaultBoardState() {
+  const board = getDefaultBoard();
+  return board ? board.state : disconnectedBoardState;
+}
+
+// Find a board by ID or name (case-insensitive). Without a reference the
+// default board is used.
+function resolveBoard(reference) {
+  if (reference === undefined || reference === null || reference === '') {
+    const board = getDefaultBoard();
+    if (!board) throw new Error('Arduino not connected');
+    return board;
+  }
+
+  if (typeof reference === 'object' && reference.state) {
+    return reference;
+  }
+
+  const key = String(reference).trim().toLowerCase();
+  for (const board of boards.values()) {
+    if (board.id.toLowerCase() === key || (board.state.name && board.state.name.toLowerCase() === key)) {
+      return board;
+    }
+  }
+
+  const known = Array.from(boards.values()).map(describeBoard);
+  throw new Error(`Unknown board: ${reference}. Known boards: ${known.join(', ') || 'none'}`);
+}
+
+function describeBoard(board) {
+  return board.state.name ? `${board.id} ("${board.state.name}")` : board.id;
+}
+
+function listBoards() {
+  return Array.from(boards.values()).map(board => ({
+    id: board.id,
+    name: board.state.name,
+    port: board.state.arduino.port,
+    boardType: board.state.arduino.board,
+    profile: board.state.arduino.profile,
+    connected: board.state.arduino.connected,
+    connectionState: board.state.connection.state,
+    firmwareUploaded: board.state.arduino.firmwareUploaded,
+    firmwareVersion: board.state.arduino.firmwareVersion,
+    protocolVersion: board.state.arduino.protocolVersion,
+    firmwareOutdated: board.state.arduino.firmwareOutdated,
+    default: board === getDefaultBoard()
+  }));
+}
+
 // WebSocket connection management
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   connectedClients.add(ws);
+  ws.clientId = `ws${++wsClientCounter}`;
+  ws.address = req.socket.remoteAddress;
+  // Set by authorizeWebSocket
+  ws.auth = req.auth;
   console.log('🔗 Client connected via WebSocket');
 
   // Send current system state
@@ -73,13 +236,29 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     connectedClients.delete(ws);
+    // Nobody is left to see the answer
+    activeTurns.forEach(turn => {
+      if (turn.owner === ws) turn.controller.abort();
+    });
+    if (connectedClients.size === 0) {
+      approvals.denyAll('Everyone who could approve it disconnected');
+    }
     console.log('🔌 Client disconnected');
   });
 
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
-      await handleWebSocketMessage(data, ws);
+      const required = WS_SCOPES[data.type] || 'operate';
+      if (!hasScope(ws.auth.scope, required)) {
+        ws.send(JSON.stringify({
+          type: 'auth_error',
+          data: { request: data.type, message: `${data.type} needs a token with the ${required} scope` }
+        }));
+        return;
+      }
+      const origin = { type: 'ws', client: ws.clientId, address: ws.address, token: ws.auth.name };
+      await auditLog.run(origin, () => handleWebSocketMessage(data, ws));
     } catch (error) {
       console.error('WebSocket message error:', error);
     }
@@ -110,14 +289,38 @@ const COMMANDS = {
   ANALOG_WRITE: 'ANALOG_WRITE',
   ANALOG_READ: 'ANALOG_READ',
   SERVO_WRITE: 'SERVO_WRITE',
+  SERVO_DETACH: 'SERVO_DETACH',
   STOP_EFFECTS: 'STOP_EFFECTS',
   RESET: 'RESET',
   STATUS: 'STATUS',
-  PING: 'PING'
+  PING: 'PING',
+  HELLO: 'HELLO'
 };
 
+// Firmware this server is written against (arduino-serial/arduino-serial.ino);
+// older sketches are reported with firmware_required
+const EXPECTED_FIRMWARE_VERSION = '2.1.0';
+const EXPECTED_PROTOCOL_VERSION = 2;
+
+// What sketches from before the HELLO handshake understand
+const LEGACY_COMMANDS = Object.values(COMMANDS)
+  .filter(command => command !== COMMANDS.HELLO && command !== COMMANDS.SERVO_DETACH);
+
+// "1.10.0" > "1.9.2"
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part) || 0);
+  const right = String(b).split('.').map(part => parseInt(part) || 0);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
 // Arduino board detection
 async function detectArduinoBoards() {
+  let detected = [];
+
   try {
     const ports = await SerialPort.list();
     const arduinoPorts = ports.filter(port => {
@@ -135,17 +338,22 @@ async function detectArduinoBoards() {
              port.path.includes('COM');
     });
 
-    return arduinoPorts.map(port => ({
+    detected = arduinoPorts.map(port => ({
       path: port.path,
       manufacturer: port.manufacturer || 'Unknown',
       vendorId: port.vendorId,
       productId: port.productId,
+      serialNumber: port.serialNumber,
       boardType: detectBoardType(port)
     }));
   } catch (error) {
     console.error('Error detecting Arduino boards:', error);
-    return [];
   }
+
+  // The simulated board is always available, listed after real hardware
+  detected.push(describeSimulatedBoard());
+
+  return detected;
 }
 
 // Detect Arduino board type
@@ -164,161 +372,566 @@ function detectBoardType(port) {
 }
 
 // Firmware upload functionality
-async function uploadFirmware(portPath, boardType = 'arduino:avr:uno') {
-  return new Promise((resolve, reject) => {
-    const uploadScript = path.join(__dirname, 'scripts', 'upload-firmware.sh');
-    const uploadCommand = `"${uploadScript}" --port "${portPath}" --board "${boardType}"`;
+const firmwareUploader = new FirmwareUploader({
+  cli: process.env.ARDUINO_CLI || 'arduino-cli',
+  handshake: ({ port, fqbn, boardId, name }) => confirmFirmware(port, { boardId, name, fqbn })
+});
 
-    console.log(`📤 Uploading firmware to ${portPath}...`);
+firmwareUploader.on('progress', job => {
+  if (job.message) console.log(`📤 [${job.phase} ${job.percent}%] ${job.message}`);
+  broadcast({
+    type: 'upload_progress',
+    data: job
+  });
+});
 
-    const uploadProcess = exec(uploadCommand, (error, stdout) => {
-      if (error) {
-        console.error('❌ Upload failed:', error);
-        broadcast({
-          type: 'upload_error',
-          data: { message: `Upload failed: ${error.message}` }
-        });
-        reject(new Error(`Upload failed: ${error.message}`));
-        return;
-      }
+// Compile and flash the firmware for the board on a port, then check that
+// it answers the handshake. Without an FQBN the board's profile (or its
+// detected type) picks one. A connected board is closed for the upload and
+// reconnected afterwards.
+async function uploadFirmware(portPath, { fqbn, boardId, name } = {}) {
+  if (isSimulatedPort(portPath)) {
+    // The simulated board always runs the current protocol
+    console.log('🧪 Simulated board selected, skipping firmware upload');
+    broadcast({
+      type: 'upload_success',
+      data: { message: 'Simulated board does not need a firmware upload' }
+    });
+    return { success: true, output: '' };
+  }
 
-      console.log('✅ Firmware uploaded successfully');
-      broadcast({
-        type: 'upload_success',
-        data: { message: 'Firmware uploaded successfully!' }
-      });
-      resolve({ success: true, output: stdout });
+  if (!portPath) throw new Error('Port is required');
+  if (uploadingPorts.has(portPath)) {
+    throw Object.assign(new Error(`An upload to ${portPath} is already running`), { code: 'UPLOAD_IN_PROGRESS' });
+  }
+  uploadingPorts.add(portPath);
+
+  const board = Array.from(boards.values()).find(candidate => candidate.state.arduino.port === portPath);
+  let closed = false;
+  try {
+    const detected = board ? null : (await detectArduinoBoards()).find(candidate => candidate.path === portPath);
+    const selectedFqbn = firmwareUploader.resolveFqbn({
+      fqbn,
+      profile: board ? board.profile.id : null,
+      boardType: detected ? detected.boardType : null
     });
 
-    uploadProcess.stdout.on('data', (data) => {
-      const message = data.toString().trim();
-      console.log('Upload output:', message);
-      broadcast({
-        type: 'upload_progress',
-        data: { message }
-      });
+    console.log(`📤 Uploading firmware to ${portPath} for ${selectedFqbn}...`);
+    if (board && board.port && board.port.isOpen) {
+      await new Promise(resolve => board.port.close(() => resolve()));
+      closed = true;
+    }
+
+    const result = await firmwareUploader.upload({
+      port: portPath,
+      fqbn: selectedFqbn,
+      context: { boardId: board ? board.id : boardId, name }
     });
 
-    uploadProcess.stderr.on('data', (data) => {
-      const message = data.toString().trim();
-      console.log('Upload stderr:', message);
-      // Some tools output progress to stderr, so treat as progress unless it's clearly an error
-      if (message.toLowerCase().includes('error') || message.toLowerCase().includes('failed')) {
-        broadcast({
-          type: 'upload_error',
-          data: { message }
-        });
-      } else {
-        broadcast({
-          type: 'upload_progress',
-          data: { message }
-        });
-      }
+    console.log(`✅ Firmware ${result.firmware ? result.firmware.firmwareVersion : ''} uploaded to ${portPath}`);
+    broadcast({
+      type: 'upload_success',
+      data: { message: 'Firmware uploaded successfully!', ...result }
     });
-  });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Upload failed:', error.message);
+    broadcast({
+      type: 'upload_error',
+      data: { message: error.message, code: error.code || null, phase: error.phase || null, port: portPath }
+    });
+
+    if (error.code === 'HANDSHAKE_FAILED') {
+      superviseUnconfirmedBoard(portPath, { boardId: board ? board.id : boardId, name });
+    } else if (closed) {
+      // A failed flash usually leaves the old firmware: reconnect to it
+      initializeArduino(portPath, { boardId: board.id }).catch(reconnectError => {
+        console.error(`❌ Failed to reconnect ${board.id} after the upload:`, reconnectError.message);
+      });
+    }
+    throw error;
+  } finally {
+    uploadingPorts.delete(portPath);
+  }
+}
+
+// The board was flashed but the handshake failed. If its port is open the
+// handshake already reported the outdated or missing firmware
+// (firmware_required); otherwise the connection supervisor keeps trying to
+// reach it, so the board is not left closed and forgotten.
+function superviseUnconfirmedBoard(portPath, { boardId, name }) {
+  const board = (boardId && boards.get(boardId)) ||
+    Array.from(boards.values()).find(candidate => candidate.state.arduino.port === portPath);
+
+  if (!board) {
+    initializeArduino(portPath, { boardId, name }).catch(reconnectError => {
+      console.error(`❌ Failed to reconnect ${portPath} after the upload:`, reconnectError.message);
+    });
+    return;
+  }
+  if (!(board.port && board.port.isOpen) && !connectionSupervisor.isRecovering(board.id)) {
+    console.log(`🔁 Handing board ${board.id} to the connection supervisor after the upload`);
+    connectionSupervisor.watch(board.id, board.identity || { path: portPath, simulated: false });
+  }
 }
 
-// Initialize Arduino connection
-async function initializeArduino(portPath = null) {
+// Initialize an Arduino connection. Each port becomes its own board with an
+// ID (options.boardId, or board1, board2, ...) and an optional friendly name.
+// Connecting a port that is already known reconnects that board.
+async function initializeArduino(portPath = null, options = {}) {
+  let board = null;
+
   try {
     let arduinoInfo;
 
     if (portPath) {
-      arduinoInfo = { path: portPath };
+      // Pick up board type and USB identity when the port is a known board
+      const detected = isReplayPort(portPath) ? [] : await detectArduinoBoards();
+      arduinoInfo = detected.find(candidate => candidate.path === portPath) || { path: portPath };
     } else {
-      const boards = await detectArduinoBoards();
-      if (boards.length === 0) {
+      const detected = await detectArduinoBoards();
+      const connectedPaths = Array.from(boards.values()).map(known => known.state.arduino.port);
+      arduinoInfo = detected.find(candidate => !connectedPaths.includes(candidate.path));
+      if (!arduinoInfo) {
         throw new Error('No Arduino boards detected');
       }
-      arduinoInfo = boards[0];
     }
 
-    console.log(`🔌 Connecting to Arduino on ${arduinoInfo.path}`);
+    if (options.boardId !== undefined && !/^[a-zA-Z0-9_-]{1,32}$/.test(options.boardId)) {
+      throw new Error('Board ID may only contain letters, digits, "-" and "_"');
+    }
+
+    const samePath = Array.from(boards.values()).find(known => known.state.arduino.port === arduinoInfo.path);
+    if (samePath && options.boardId && samePath.id !== options.boardId) {
+      throw new Error(`Port ${arduinoInfo.path} is already used by board ${describeBoard(samePath)}`);
+    }
+
+    const boardId = options.boardId || (samePath && samePath.id) || `board${++boardCounter}`;
+    board = boards.get(boardId);
+
+    // A reconnecting board keeps its profile unless a new one is requested
+    const profile = (board && !options.profile && !options.fqbn)
+      ? board.profile
+      : resolveProfile({ profile: options.profile, fqbn: options.fqbn, boardType: arduinoInfo.boardType });
+
+    console.log(`🔌 Connecting board ${boardId} on ${arduinoInfo.path}`);
+
+    const replaying = isReplayPort(arduinoInfo.path);
+    let serialPort;
+
+    if (isSimulatedPort(arduinoInfo.path)) {
+      arduinoInfo = { ...describeSimulatedBoard(), ...arduinoInfo };
+      serialPort = new SimulatedSerialPort({
+        path: arduinoInfo.path,
+        autoOpen: false,
+        firmwareVersion: process.env.ARDUINO_SIMULATOR_FIRMWARE || undefined
+      });
+    } else if (replaying) {
+      arduinoInfo = { boardType: 'Transcript Replay', ...arduinoInfo };
+      serialPort = await createReplayPort(arduinoInfo.path, { speed: options.speed });
+      serialPort.on('replay_complete', () => {
+        console.log(`🎞️ Transcript replay finished: ${arduinoInfo.path}`);
+        broadcast({
+          type: 'replay_complete',
+          data: { boardId, port: arduinoInfo.path }
+        });
+      });
+    } else {
+      serialPort = new SerialPort({
+        path: arduinoInfo.path,
+        baudRate: 9600,
+        autoOpen: false
+      });
+    }
 
-    // Close existing connection if any
-    if (arduinoPort && arduinoPort.isOpen) {
-      arduinoPort.close();
+    if (board) {
+      // Close the board's existing connection if any
+      if (board.port && board.port.isOpen) {
+        board.port.close();
+      }
+      board.state.arduino.port = arduinoInfo.path;
+      board.state.arduino.board = arduinoInfo.boardType || board.state.arduino.board;
+      if (options.name !== undefined) board.state.name = options.name || null;
+    } else {
+      board = {
+        id: boardId,
+        state: createBoardState(boardId, { ...arduinoInfo, name: options.name })
+      };
+      board.queue = new CommandQueue({
+        write: message => writeFrame(board, message),
+        maxInFlight: parseInt(process.env.COMMANDS_IN_FLIGHT) || 1
+      });
+      // Report live queue depth and wait times with the board's state
+      Object.defineProperty(board.state.communication, 'commandQueue', {
+        enumerable: true,
+        get: () => board.queue.getStats()
+      });
+      board.allocator = new PinAllocator(profile);
+      Object.defineProperty(board.state, 'pinAllocations', {
+        enumerable: true,
+        get: () => board.allocator.list()
+      });
+      boards.set(boardId, board);
+      systemState.boards[boardId] = board.state;
     }
 
-    arduinoPort = new SerialPort({
+    const boardState = board.state;
+    if (board.profile && board.profile !== profile) {
+      board.allocator.setProfile(profile);
+    }
+    board.profile = profile;
+    boardState.arduino.profile = profile.id;
+    board.port = serialPort;
+    board.identity = {
       path: arduinoInfo.path,
-      baudRate: 9600,
-      autoOpen: false
-    });
+      serialNumber: arduinoInfo.serialNumber || null,
+      vendorId: arduinoInfo.vendorId || null,
+      productId: arduinoInfo.productId || null,
+      simulated: isSimulatedPort(arduinoInfo.path)
+    };
 
-    parser = arduinoPort.pipe(new ReadlineParser({ delimiter: '\n' }));
+    // While the supervisor is recovering the board it reports transitions
+    const recovering = connectionSupervisor.isRecovering(boardId);
+    if (!recovering) {
+      setConnectionState(board, 'connecting', { port: arduinoInfo.path });
+    }
+    board.parser = serialPort.pipe(new ReadlineParser({ delimiter: '\n' }));
+
+    // Events from a port that has since been replaced are ignored
+    const isCurrentPort = () => board.port === serialPort;
 
-    arduinoPort.on('open', () => {
-      console.log(`✅ Serial port opened: ${arduinoInfo.path}`);
-      systemState.arduino.connected = true;
-      systemState.arduino.port = arduinoInfo.path;
-      systemState.arduino.lastSeen = new Date().toISOString();
+    serialPort.on('open', () => {
+      if (!isCurrentPort()) return;
+
+      console.log(`✅ Serial port opened: ${arduinoInfo.path} (${boardId})`);
+      boardState.arduino.connected = true;
+      boardState.arduino.lastSeen = new Date().toISOString();
 
       broadcast({
         type: 'arduino_connected',
-        data: systemState.arduino
+        data: { ...boardState.arduino, boardId, name: boardState.name }
       });
 
-      // Test communication
-      setTimeout(() => testArduinoCommunication(), 1000);
+      if (!recovering) {
+        setConnectionState(board, 'connected', { port: arduinoInfo.path });
+      }
+
+      // A replay only plays back recorded frames, so it cannot answer a PING
+      if (replaying) {
+        systemState.setup.step = 'ready';
+        systemState.setup.message = 'Replaying serial transcript';
+        return;
+      }
+
+      // Test communication (the supervisor runs its own test after reconnecting)
+      if (options.testCommunication !== false) {
+        setTimeout(async () => {
+          if (await testArduinoCommunication(board)) {
+            rulesEngine.handleEvent({ type: 'connect', boardId });
+          }
+        }, 1000);
+      }
+    });
+
+    board.parser.on('data', line => {
+      if (isCurrentPort()) handleArduinoResponse(board, line);
     });
 
-    parser.on('data', handleArduinoResponse);
+    serialPort.on('error', err => {
+      if (!isCurrentPort()) return;
 
-    arduinoPort.on('error', err => {
-      console.error('❌ Serial port error:', err);
-      systemState.arduino.connected = false;
+      console.error(`❌ Serial port error (${boardId}):`, err);
+      boardState.arduino.connected = false;
       broadcast({
         type: 'arduino_error',
-        data: { error: err.message }
+        data: { boardId, error: err.message }
       });
     });
 
-    arduinoPort.on('close', () => {
-      console.log('🔌 Serial port closed');
-      systemState.arduino.connected = false;
+    serialPort.on('close', () => {
+      if (!isCurrentPort()) return;
+
+      console.log(`🔌 Serial port closed (${boardId})`);
+      boardState.arduino.connected = false;
+      board.queue.rejectAll(new Error('Arduino disconnected'));
       broadcast({
         type: 'arduino_disconnected',
-        data: systemState.arduino
+        data: { ...boardState.arduino, boardId, name: boardState.name }
       });
+      rulesEngine.handleEvent({ type: 'disconnect', boardId });
+
+      // The port went away without being asked to: wait for the board to come back
+      if (!replaying && !uploadingPorts.has(arduinoInfo.path)) {
+        board.lastKnownHardware = JSON.parse(JSON.stringify(boardState.hardware));
+        connectionSupervisor.watch(boardId, board.identity);
+      }
     });
 
     // Open the port
-    arduinoPort.open();
+    serialPort.open();
 
-    return true;
+    return board;
   } catch (error) {
     console.error('❌ Failed to initialize Arduino:', error);
-    systemState.arduino.connected = false;
+    if (board) board.state.arduino.connected = false;
     throw error;
   }
 }
 
-// Test Arduino communication
-async function testArduinoCommunication() {
+// Disconnect a board and forget it
+async function removeBoard(reference) {
+  const board = resolveBoard(reference);
+  const serialPort = board.port;
+
+  boards.delete(board.id);
+  delete systemState.boards[board.id];
+  board.port = null;
+  connectionSupervisor.unwatch(board.id, 'removed');
+
+  board.queue.rejectAll(new Error('Board disconnected'));
+
+  if (serialPort && serialPort.isOpen) {
+    serialPort.close();
+  }
+
+  console.log(`🗑️ Removed board ${describeBoard(board)}`);
+  broadcast({
+    type: 'board_removed',
+    data: { boardId: board.id }
+  });
+
+  return board;
+}
+
+// Ask the firmware what it is. Sketches from before the handshake answer
+// HELLO with "Unknown command" but still answer PING.
+async function helloFirmware(board) {
+  const hello = await sendCommand(COMMANDS.HELLO, {}, { board });
+  if (hello && hello.success && hello.data) {
+    const { firmware = null, protocol = null, board: firmwareBoard = null, commands = LEGACY_COMMANDS } = hello.data;
+    return {
+      firmwareVersion: firmware,
+      protocolVersion: protocol,
+      firmwareBoard,
+      capabilities: commands,
+      firmwareOutdated: !firmware || protocol < EXPECTED_PROTOCOL_VERSION || compareVersions(firmware, EXPECTED_FIRMWARE_VERSION) < 0
+    };
+  }
+
+  const ping = await sendCommand(COMMANDS.PING, {}, { board });
+  if (!ping || !ping.success) return null;
+  return { firmwareVersion: null, protocolVersion: 1, firmwareBoard: null, capabilities: LEGACY_COMMANDS, firmwareOutdated: true };
+}
+
+// Handshake with the firmware and record its version and commands; resolves
+// to whether the firmware answered. An outdated sketch keeps working with the
+// commands it has, and clients are offered an upload.
+async function testArduinoCommunication(board) {
+  // Until the firmware says otherwise, any command may be tried
+  board.state.arduino.capabilities = null;
   try {
-    const response = await sendCommand(COMMANDS.PING, {}, true);
-    if (response && response.success) {
-      systemState.arduino.firmwareUploaded = true;
-      systemState.setup.step = 'ready';
-      systemState.setup.message = 'Arduino ready for AI control';
+    const firmware = await helloFirmware(board);
+    if (!firmware) return false;
+
+    Object.assign(board.state.arduino, firmware, { firmwareUploaded: true });
+    const version = firmware.firmwareVersion || 'from before the HELLO handshake';
+    if (firmware.firmwareBoard && firmware.firmwareBoard !== 'unknown' && firmware.firmwareBoard !== board.profile.id) {
+      console.warn(`⚠️ Board ${board.id}: the firmware was built for "${firmware.firmwareBoard}" but the profile is "${board.profile.id}"`);
+    }
 
+    if (firmware.firmwareOutdated) {
+      console.warn(`⚠️ Board ${board.id} runs firmware ${version}; the server expects ${EXPECTED_FIRMWARE_VERSION} (protocol ${EXPECTED_PROTOCOL_VERSION})`);
       broadcast({
-        type: 'setup_complete',
-        data: systemState
+        type: 'firmware_required',
+        data: {
+          ...systemState,
+          boardId: board.id,
+          port: board.state.arduino.port,
+          fqbn: board.profile.fqbn,
+          reason: 'outdated',
+          firmwareVersion: firmware.firmwareVersion,
+          expectedVersion: EXPECTED_FIRMWARE_VERSION
+        }
       });
+    } else {
+      console.log(`🤝 Board ${board.id} runs firmware ${version} (protocol ${firmware.protocolVersion})`);
     }
+
+    systemState.setup.step = 'ready';
+    systemState.setup.message = 'Arduino ready for AI control';
+    broadcast({
+      type: 'setup_complete',
+      data: systemState
+    });
+    return true;
   } catch (error) {
-    console.log('⚠️ Arduino communication test failed - firmware may need upload');
-    systemState.arduino.firmwareUploaded = false;
+    console.log(`⚠️ Arduino communication test failed on ${board.id} - firmware may need upload`);
+    board.state.arduino.firmwareUploaded = false;
     systemState.setup.step = 'firmware';
     systemState.setup.message = 'Firmware upload required';
 
     broadcast({
       type: 'firmware_required',
-      data: systemState
+      data: { ...systemState, boardId: board.id, port: board.state.arduino.port, fqbn: board.profile.fqbn, reason: 'missing' }
     });
+    return false;
+  }
+}
+
+// Connection supervision: reconnect boards that drop off the USB bus
+const connectionSupervisor = new ConnectionSupervisor({
+  // Candidate ports are the detected boards not used by another board
+  listPorts: async (boardId) => {
+    const detected = await detectArduinoBoards();
+    return detected.filter(candidate => !Array.from(boards.values()).some(other =>
+      other.id !== boardId && other.state.arduino.connected && other.state.arduino.port === candidate.path));
+  },
+  reconnect: (boardId, portPath) => auditLog.run({ type: 'system', reason: 'reconnect' }, () => reconnectBoard(boardId, portPath))
+});
+
+connectionSupervisor.on('state', ({ boardId, state, ...details }) => {
+  const board = boards.get(boardId);
+  console.log(`🔁 Board ${boardId}: ${state}${details.error ? ` (${details.error})` : ''}`);
+  if (board) {
+    setConnectionState(board, state, details);
+  }
+});
+
+function setConnectionState(board, state, details = {}) {
+  board.state.connection = {
+    state,
+    attempt: details.attempt || 0,
+    since: new Date().toISOString(),
+    ...(details.nextRetryIn !== undefined && { nextRetryIn: details.nextRetryIn }),
+    ...(details.error && { error: details.error })
+  };
+
+  broadcast({
+    type: 'connection_state',
+    data: { boardId: board.id, port: details.port || board.state.arduino.port, ...board.state.connection }
+  });
+}
+
+function waitForPortOpen(serialPort) {
+  return new Promise((resolve, reject) => {
+    serialPort.once('open', resolve);
+    serialPort.once('error', reject);
+  });
+}
+
+// Reopen a board's port, check the firmware and put back the pin modes,
+// outputs and servo angles it had before the connection dropped. Only a
+// removed board ends the recovery; anything else (a board still booting,
+// a firmware that does not answer yet) is retried with backoff.
+async function reconnectBoard(boardId, portPath) {
+  const board = boards.get(boardId);
+  if (!board) {
+    throw Object.assign(new Error('Board was removed'), { retry: false });
+  }
+
+  await initializeArduino(portPath, { boardId, testCommunication: false });
+  await waitForPortOpen(board.port);
+
+  // Opening the port resets most boards; give the bootloader time to hand over
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  if (!(await testArduinoCommunication(board))) {
+    throw new Error('Firmware did not answer the handshake');
+  }
+
+  setConnectionState(board, 'restoring', { port: portPath, ...connectionSupervisor.getStatus(boardId) });
+  const restored = await restoreHardwareState(board, board.lastKnownHardware);
+  board.lastKnownHardware = null;
+
+  broadcast({
+    type: 'state_restored',
+    data: { boardId, ...restored }
+  });
+  rulesEngine.handleEvent({ type: 'connect', boardId });
+}
+
+// After an upload: reconnect the port and check that the new firmware
+// answers the handshake with the version this server expects
+async function confirmFirmware(portPath, { boardId, name, fqbn }) {
+  const board = await initializeArduino(portPath, { boardId, name, fqbn, testCommunication: false });
+  await waitForPortOpen(board.port);
+
+  // The board resets after flashing and again when the port opens
+  await new Promise(resolve => setTimeout(resolve, 2000));
+
+  if (!(await testArduinoCommunication(board))) {
+    throw new Error('the firmware did not answer');
+  }
+  const { firmwareVersion, protocolVersion, firmwareOutdated } = board.state.arduino;
+  if (firmwareOutdated) {
+    throw new Error(`the board still reports firmware ${firmwareVersion || 'from before the HELLO handshake'}`);
+  }
+
+  rulesEngine.handleEvent({ type: 'connect', boardId: board.id });
+  return { boardId: board.id, firmwareVersion, protocolVersion };
+}
+
+async function restoreHardwareState(board, hardware) {
+  const restored = [];
+  const failed = [];
+
+  if (!hardware) {
+    return { restored, failed };
+  }
+
+  const attempt = async (description, action) => {
+    try {
+      await action();
+      restored.push(description);
+    } catch (error) {
+      failed.push({ action: description, error: error.message });
+    }
+  };
+
+  for (const [pinKey, pinState] of Object.entries(hardware.pins || {})) {
+    const pin = parseInt(pinKey);
+
+    // Attaching the servo sets the pin mode itself
+    if (pinState.mode && pinState.servoAngle === undefined) {
+      await attempt(`setPinMode(${pin}, ${pinState.mode})`,
+        () => ArduinoController.setPinMode(pin, pinState.mode, board.id));
+    }
+
+    if (pinState.servoAngle !== undefined) {
+      await attempt(`servoWrite(${pin}, ${pinState.servoAngle})`,
+        () => ArduinoController.servoWrite(pin, pinState.servoAngle, board.id));
+    } else if (pinState.analogValue !== undefined) {
+      await attempt(`analogWrite(${pin}, ${pinState.analogValue})`,
+        () => ArduinoController.analogWrite(pin, pinState.analogValue, board.id));
+    } else if (pinState.mode === 'OUTPUT' && pinState.digitalValue !== undefined) {
+      await attempt(`digitalWrite(${pin}, ${pinState.digitalValue})`,
+        () => ArduinoController.digitalWrite(pin, pinState.digitalValue, board.id));
+    }
   }
+
+  // Effects are not restored (their parameters are not tracked), a plain LED is
+  const effectsActive = Object.values(hardware.effects || {}).some(Boolean);
+  if (hardware.led && !effectsActive) {
+    await attempt('ledOn()', () => ArduinoController.ledOn(board.id));
+  }
+
+  console.log(`♻️ Restored ${restored.length} setting(s) on ${board.id}${failed.length ? `, ${failed.length} failed` : ''}`);
+  return { restored, failed };
+}
+
+// Start or stop recording the serial transcript
+async function setTranscriptRecording(enabled, name) {
+  const status = enabled
+    ? await transcriptRecorder.start({ name, port: systemState.arduino.port, board: systemState.arduino.board })
+    : await transcriptRecorder.stop();
+
+  console.log(enabled ? `⏺️ Recording serial transcript: ${status.name}` : `⏹️ Stopped recording serial transcript: ${status.name}`);
+  broadcast({
+    type: 'recording_status',
+    data: status
+  });
+
+  return status;
 }
 
 // Handle WebSocket messages from clients
@@ -327,8 +940,7 @@ async function handleWebSocketMessage(data, ws) {
     switch (data.type) {
       case 'set_api_key':
         if (data.apiKey && typeof data.apiKey === 'string' && data.apiKey.trim().length > 0) {
-          currentApiKey = data.apiKey.trim();
-          genAI = new GoogleGenerativeAI(currentApiKey);
+          defaultLlm = createLlm({ provider: 'gemini', apiKey: data.apiKey, model: data.model });
           console.log('🔑 API key updated from client');
           ws.send(JSON.stringify({
             type: 'api_key_status',
@@ -342,62 +954,423 @@ async function handleWebSocketMessage(data, ws) {
         }
         break;
 
-      case 'detect_arduino':
-        const boards = await detectArduinoBoards();
-        ws.send(JSON.stringify({
-          type: 'arduino_boards',
-          data: boards
-        }));
+      case 'set_llm_provider':
+        // With a sessionId only that chat session switches; otherwise the default changes
+        try {
+          const llm = createLlm(data);
+          if (data.sessionId) {
+            sessionLlms.set(data.sessionId, llm);
+          } else {
+            defaultLlm = llm;
+          }
+          console.log(`🧠 ${data.sessionId ? `Session ${data.sessionId}` : 'Default'} LLM set to ${llm.config.provider} (${llm.config.model})`);
+          ws.send(JSON.stringify({
+            type: 'llm_provider_status',
+            data: { configured: true, sessionId: data.sessionId || null, llm: describeProviderConfig(llm.config) }
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'llm_provider_status',
+            data: { configured: false, sessionId: data.sessionId || null, message: error.message }
+          }));
+        }
         break;
 
-      case 'connect_arduino':
-        await initializeArduino(data.port);
+      case 'chat_message': {
+        // Streams the turn: chat_started, chat_delta text, tool_call_started/finished
+        // per function, then chat_complete, chat_cancelled or chat_error
+        const sessionId = data.sessionId || 'default';
+        const reply = (type, payload) => {
+          if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type, data: { sessionId, ...payload } }));
+        };
+        if (!data.message || typeof data.message !== 'string' || data.message.trim().length === 0) {
+          reply('chat_error', { message: 'Message is required and must be a non-empty string' });
+          break;
+        }
+        if (!systemState.arduino.connected) {
+          reply('chat_error', { message: 'Arduino not connected. Please connect Arduino first.' });
+          break;
+        }
+
+        const turnId = `turn${++turnCounter}`;
+        try {
+          const result = await runChatTurn(sessionId, data.message, {
+            turnId,
+            owner: ws,
+            dryRun: data.dryRun === true,
+            onStarted: () => reply('chat_started', { turnId }),
+            onText: text => reply('chat_delta', { turnId, text }),
+            onToolCallStarted: call => reply('tool_call_started', { turnId, ...call }),
+            onToolCallFinished: call => reply('tool_call_finished', { turnId, ...call }),
+            onFallback: error => reply('chat_fallback', { turnId, message: error.message })
+          });
+          reply('chat_complete', result);
+        } catch (error) {
+          if (error.code === 'CHAT_CANCELLED') {
+            console.log(`🛑 Chat turn ${turnId} cancelled`);
+            reply('chat_cancelled', { turnId, functionsCalled: error.functionsCalled });
+          } else {
+            console.error('Chat error:', error);
+            reply('chat_error', { turnId, message: error.message, functionsCalled: error.functionsCalled || [] });
+          }
+        }
         break;
+      }
 
-      case 'upload_firmware':
+      case 'execute_plan':
         try {
-          await uploadFirmware(data.port, data.boardType);
-          // After upload, reconnect
-          setTimeout(() => initializeArduino(data.port), 2000);
+          ws.send(JSON.stringify({
+            type: 'plan_result',
+            data: await executePlan(data.planId)
+          }));
         } catch (error) {
           ws.send(JSON.stringify({
-            type: 'upload_error',
-            data: { error: error.message }
+            type: 'plan_error',
+            data: { planId: data.planId || null, message: error.message }
           }));
         }
         break;
 
-      case 'arduino_command':
-        if (systemState.arduino.connected) {
-          try {
-            const result = await sendCommand(data.command, data.params);
-            ws.send(JSON.stringify({
-              type: 'command_result',
-              data: result
-            }));
-          } catch (error) {
-            ws.send(JSON.stringify({
-              type: 'command_error',
-              data: { error: error.message }
-            }));
-          }
-        } else {
+      case 'cancel_chat':
+        try {
+          const turnId = cancelChatTurn(data.sessionId || 'default');
+          console.log(`🛑 Cancelling chat turn ${turnId}`);
+        } catch (error) {
           ws.send(JSON.stringify({
-            type: 'command_error',
-            data: { error: 'Arduino not connected' }
+            type: 'chat_error',
+            data: { sessionId: data.sessionId || 'default', message: error.message }
           }));
         }
         break;
 
-      case 'get_system_state':
+      case 'approval_response':
+        try {
+          approvals.respond(data.approvalId, data.approved === true, { by: `websocket (${ws.auth.name})`, reason: data.reason });
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'approval_error',
+            data: { approvalId: data.approvalId, message: error.message }
+          }));
+        }
+        break;
+
+      case 'get_approval_policies':
         ws.send(JSON.stringify({
-          type: 'system_state',
-          data: systemState
+          type: 'approval_policies',
+          data: { ...approvals.listPolicies(), pending: approvals.listPending() }
         }));
         break;
-    }
-  } catch (error) {
-    console.error('WebSocket handler error:', error);
+
+      case 'set_approval_policy':
+        // { functions: { resetArduino: 'confirm' } }, plus optional default and timeout
+        try {
+          await approvals.setPolicies({ default: data.default, timeout: data.timeout, functions: data.functions });
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'approval_error',
+            data: { message: error.message }
+          }));
+        }
+        break;
+
+      case 'detect_arduino':
+        const detectedBoards = await detectArduinoBoards();
+        ws.send(JSON.stringify({
+          type: 'arduino_boards',
+          data: detectedBoards
+        }));
+        break;
+
+      case 'connect_arduino':
+        await initializeArduino(data.port, { boardId: data.boardId, name: data.name, profile: data.profile, fqbn: data.fqbn });
+        break;
+
+      case 'disconnect_arduino':
+        await removeBoard(data.board);
+        break;
+
+      case 'list_boards':
+        ws.send(JSON.stringify({
+          type: 'board_list',
+          data: listBoards()
+        }));
+        break;
+
+      case 'upload_firmware':
+        try {
+          // boardType is the FQBN, kept for older clients
+          await uploadFirmware(data.port, { fqbn: data.fqbn || data.boardType, boardId: data.boardId, name: data.name });
+        } catch (error) {
+          // Upload failures were broadcast; these are the checks before it started
+          if (!error.phase) {
+            ws.send(JSON.stringify({
+              type: 'upload_error',
+              data: { message: error.message, code: error.code || null }
+            }));
+          }
+        }
+        break;
+
+      case 'verify_firmware':
+        try {
+          const verified = await verifyFirmware(data);
+          ws.send(JSON.stringify({
+            type: 'firmware_verified',
+            data: verified
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'verify_error',
+            data: { message: error.message, code: error.code || null }
+          }));
+        }
+        break;
+
+      case 'release_pin':
+        try {
+          const released = await ArduinoController.releasePin(data.pin, Boolean(data.force), data.board);
+          ws.send(JSON.stringify({
+            type: 'pin_released',
+            data: released
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'command_error',
+            data: { error: error.message, board: data.board || null }
+          }));
+        }
+        break;
+
+      case 'list_rules':
+        ws.send(JSON.stringify({
+          type: 'rule_list',
+          data: rulesEngine.list()
+        }));
+        break;
+
+      case 'save_rule':
+        try {
+          const rule = data.rule && data.rule.id
+            ? await rulesEngine.update(data.rule.id, data.rule)
+            : await rulesEngine.create(data.rule);
+          ws.send(JSON.stringify({
+            type: 'rule_saved',
+            data: rule
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'rule_error',
+            data: { error: error.message, id: (data.rule && data.rule.id) || null }
+          }));
+        }
+        break;
+
+      case 'delete_rule':
+        try {
+          await rulesEngine.remove(data.id);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'rule_error',
+            data: { error: error.message, id: data.id || null }
+          }));
+        }
+        break;
+
+      case 'list_schedules':
+        ws.send(JSON.stringify({
+          type: 'schedule_list',
+          data: scheduler.list()
+        }));
+        break;
+
+      case 'create_schedule':
+        try {
+          const schedule = await scheduler.create(data.schedule);
+          ws.send(JSON.stringify({
+            type: 'schedule_saved',
+            data: schedule
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'schedule_error',
+            data: { error: error.message, id: null }
+          }));
+        }
+        break;
+
+      case 'cancel_schedule':
+        try {
+          await scheduler.cancel(data.id);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'schedule_error',
+            data: { error: error.message, id: data.id || null }
+          }));
+        }
+        break;
+
+      case 'subscribe_sensors':
+        // No pins means every pin; no board means every board
+        try {
+          const boardId = data.board ? resolveBoard(data.board).id : null;
+          const pins = Array.isArray(data.pins) && data.pins.length > 0 ? data.pins : [null];
+          ws.sensorSubscriptions = (ws.sensorSubscriptions || []).concat(pins.map(pin => ({
+            boardId,
+            pin: pin === null ? null : normalizePinLabel(pin)
+          })));
+          ws.send(JSON.stringify({
+            type: 'sensor_subscriptions',
+            data: ws.sensorSubscriptions
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'command_error',
+            data: { error: error.message, board: data.board || null }
+          }));
+        }
+        break;
+
+      case 'unsubscribe_sensors':
+        ws.sensorSubscriptions = [];
+        ws.send(JSON.stringify({
+          type: 'sensor_subscriptions',
+          data: ws.sensorSubscriptions
+        }));
+        break;
+
+      case 'list_macros':
+        ws.send(JSON.stringify({
+          type: 'macro_list',
+          data: { macros: macros.list(), runs: macros.listRuns() }
+        }));
+        break;
+
+      case 'save_macro':
+        try {
+          const macro = await macros.saveMacro(data.macro);
+          ws.send(JSON.stringify({
+            type: 'macro_saved',
+            data: macro
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'macro_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'delete_macro':
+        try {
+          await macros.remove(data.name);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'macro_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'run_macro':
+        // Progress arrives as macro_progress broadcasts, the summary at the end
+        try {
+          const result = await macros.run(data.name, data.params, { board: data.board });
+          ws.send(JSON.stringify({
+            type: 'macro_result',
+            data: result
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'macro_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'abort_macro':
+        try {
+          macros.abort(data.runId);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'macro_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'list_scripts':
+        try {
+          ws.send(JSON.stringify({
+            type: 'script_list',
+            data: { scripts: await scriptRunner.list(), runs: scriptRunner.listRuns() }
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'script_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'run_script':
+        // Logs and the end of the run arrive as script_log / script_status broadcasts
+        try {
+          await scriptRunner.start(data.name, { board: data.board });
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'script_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'stop_script':
+        try {
+          scriptRunner.stopRun(data.runId);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'script_error',
+            data: { error: error.message }
+          }));
+        }
+        break;
+
+      case 'arduino_command':
+        try {
+          const board = resolveBoard(data.board);
+          if (!board.state.arduino.connected) {
+            throw new Error(`Arduino not connected: ${describeBoard(board)}`);
+          }
+          const result = await runRawCommand(board, data.command, data.params || {});
+          ws.send(JSON.stringify({
+            type: 'command_result',
+            data: { ...result, boardId: board.id }
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'command_error',
+            data: { error: error.message, board: data.board || null, ...(error.code && { code: error.code }), ...(error.details && { details: error.details }) }
+          }));
+        }
+        break;
+
+      case 'set_recording':
+        await setTranscriptRecording(Boolean(data.enabled), data.name);
+        break;
+
+      case 'replay_transcript':
+        await initializeArduino(`${REPLAY_PORT_PREFIX}${data.name}`, { speed: parseReplaySpeed(data.speed), boardId: data.boardId });
+        break;
+
+      case 'get_system_state':
+        ws.send(JSON.stringify({
+          type: 'system_state',
+          data: systemState
+        }));
+        break;
+    }
+  } catch (error) {
+    console.error('WebSocket handler error:', error);
     ws.send(JSON.stringify({
       type: 'error',
       data: { error: error.message }
@@ -406,52 +1379,58 @@ async function handleWebSocketMessage(data, ws) {
 }
 
 // Handle responses from Arduino
-function handleArduinoResponse(data) {
+function handleArduinoResponse(board, data) {
+  const boardState = board.state;
   const response = data.toString().trim();
-  console.log('📡 Arduino:', response);
+  console.log(`📡 Arduino (${board.id}):`, response);
+  transcriptRecorder.record('rx', response, boardState.arduino.port);
 
   try {
     // Try to parse as JSON for structured responses
     const parsed = JSON.parse(response);
 
     // Update system state
-    systemState.communication.lastResponse = parsed;
-    systemState.arduino.lastSeen = new Date().toISOString();
+    boardState.communication.lastResponse = parsed;
+    boardState.arduino.lastSeen = new Date().toISOString();
 
-    if (parsed.id && systemState.communication.responseQueue.has(parsed.id)) {
-      const { resolve } = systemState.communication.responseQueue.get(parsed.id);
-      systemState.communication.responseQueue.delete(parsed.id);
-      resolve(parsed);
-    }
+    board.queue.handleResponse(parsed);
 
     if (parsed.type === 'status') {
-      updateSystemState(parsed.data);
+      updateSystemState(board, parsed.data);
     }
 
     // Broadcast to all clients
     broadcast({
       type: 'arduino_response',
-      data: parsed
+      data: { ...parsed, boardId: board.id }
     });
 
   } catch (e) {
     // Handle plain text responses
-    systemState.communication.lastResponse = { text: response, timestamp: Date.now() };
+    boardState.communication.lastResponse = { text: response, timestamp: Date.now() };
 
     broadcast({
       type: 'arduino_message',
-      data: { message: response, timestamp: Date.now() }
+      data: { boardId: board.id, message: response, timestamp: Date.now() }
     });
   }
 }
 
 // Update system state from Arduino status
-function updateSystemState(data) {
+function updateSystemState(board, data) {
   if (data) {
-    if (data.led !== undefined) systemState.hardware.led = data.led;
-    if (data.pins) systemState.hardware.pins = { ...systemState.hardware.pins, ...data.pins };
-    if (data.sensors) systemState.hardware.sensors = { ...systemState.hardware.sensors, ...data.sensors };
-    if (data.effects) systemState.hardware.effects = { ...systemState.hardware.effects, ...data.effects };
+    const hardware = board.state.hardware;
+    if (data.led !== undefined) hardware.led = data.led;
+    if (data.pins) hardware.pins = { ...hardware.pins, ...data.pins };
+    if (data.sensors) hardware.sensors = { ...hardware.sensors, ...data.sensors };
+    if (data.effects) hardware.effects = { ...hardware.effects, ...data.effects };
+
+    // Output pins in the status feed digital rule triggers
+    Object.entries(data.pins || {}).forEach(([pin, pinState]) => {
+      if (pinState.digitalValue !== undefined) {
+        rulesEngine.handleEvent({ type: 'digital', boardId: board.id, pin: parseInt(pin), value: pinState.digitalValue });
+      }
+    });
 
     broadcast({
       type: 'system_state_update',
@@ -460,205 +1439,418 @@ function updateSystemState(data) {
   }
 }
 
-// Send command to Arduino with improved error handling
-function sendCommand(command, params = {}, expectResponse = true) {
-  return new Promise((resolve, reject) => {
-    if (!arduinoPort || !arduinoPort.isOpen) {
-      reject(new Error('Arduino not connected'));
-      return;
-    }
+// Send command to Arduino with improved error handling. Commands go through
+// the board's queue; options.board picks the target board by ID or name (the
+// default board is used without it), options.priority a lane (high, normal,
+// low) and options.timeout the response timeout in ms.
+function sendCommand(command, params = {}, { expectResponse = true, board: boardReference, priority, timeout } = {}) {
+  let board;
+  try {
+    board = resolveBoard(boardReference);
+  } catch (error) {
+    return Promise.reject(error);
+  }
 
-    const commandId = Date.now().toString() + Math.random().toString(36).substring(2, 11);
-    const message = JSON.stringify({
-      id: commandId,
-      command: command,
-      params: params,
-      timestamp: Date.now()
-    });
+  if (!board.port || !board.port.isOpen) {
+    return Promise.reject(new Error(boards.size > 1 ? `Arduino not connected: ${describeBoard(board)}` : 'Arduino not connected'));
+  }
 
-    systemState.communication.lastCommand = { command, params, timestamp: Date.now() };
+  // Commands the board's firmware did not list in its handshake
+  const { capabilities } = board.state.arduino;
+  if (capabilities && !capabilities.includes(command) && command !== COMMANDS.HELLO && command !== COMMANDS.PING) {
+    return Promise.reject(Object.assign(
+      new Error(`The firmware on ${describeBoard(board)} does not support ${command}; upload the current firmware to use it`),
+      { code: 'UNSUPPORTED_COMMAND' }
+    ));
+  }
 
-    if (expectResponse) {
-      // Set up response handler
-      systemState.communication.responseQueue.set(commandId, { resolve, reject });
+  // Every command is audited with what sent it; background reads only on request
+  const origin = auditLog.origin();
+  const audited = !(origin && origin.type === 'background') || AUDIT_BACKGROUND_READS;
+  const startedAt = Date.now();
+  const audit = (outcome) => {
+    if (audited) auditLog.record({ boardId: board.id, command, params, ...outcome, latency: Date.now() - startedAt });
+  };
 
-      // Set timeout for response
-      setTimeout(() => {
-        if (systemState.communication.responseQueue.has(commandId)) {
-          systemState.communication.responseQueue.delete(commandId);
-          reject(new Error(`Command timeout: ${command}`));
-        }
-      }, 5000);
+  // Installation limits apply to every command, whichever path sent it
+  try {
+    safetyPolicy.check(board.id, command, params);
+  } catch (error) {
+    audit({ success: false, error: error.message, code: error.code });
+    return Promise.reject(error);
+  }
+
+  // Stopping effects or resetting a board also stops the scripts driving it
+  scriptRunner.commandSent(board.id, command);
+
+  return board.queue.enqueue(command, params, { expectResponse, priority, timeout }).then(response => {
+    audit({ success: !response || response.success !== false, response });
+    return response;
+  }, error => {
+    audit({ success: false, error: error.message });
+    throw error;
+  });
+}
+
+// Write one queued frame to the board's port
+function writeFrame(board, message) {
+  return new Promise((resolve, reject) => {
+    if (!board.port || !board.port.isOpen) {
+      reject(new Error('Arduino not connected'));
+      return;
     }
 
-    arduinoPort.write(message + '\n', (err) => {
+    const frame = JSON.parse(message);
+    board.state.communication.lastCommand = { command: frame.command, params: frame.params, timestamp: frame.timestamp };
+    transcriptRecorder.record('tx', message, board.state.arduino.port);
+
+    board.port.write(message + '\n', (err) => {
       if (err) {
-        if (expectResponse && systemState.communication.responseQueue.has(commandId)) {
-          systemState.communication.responseQueue.delete(commandId);
-        }
-        reject(new Error(`Failed to send command: ${err.message}`));
-      } else if (!expectResponse) {
-        resolve({ success: true, command, params });
+        reject(err);
+      } else {
+        resolve();
       }
     });
   });
 }
 
-// Arduino control functions with improved implementation
+// Pass a read response's value on to the board's sensor state, the sensor
+// history and the rules engine
+function recordReading(board, type, pin, response) {
+  const value = response && response.success ? parseInt(response.message) : NaN;
+  if (Number.isNaN(value)) {
+    return { boardId: board.id, value: null };
+  }
+
+  const timestamp = Date.now();
+  board.state.hardware.sensors[pinLabel(type, pin)] = { value, timestamp: new Date(timestamp).toISOString() };
+  sensorSampler.record(board.id, type, pin, value, timestamp);
+  rulesEngine.handleEvent({ type, boardId: board.id, pin, value });
+  return { boardId: board.id, value };
+}
+
+// Background read for rules and sampling; waits behind user commands
+async function readPin(boardReference, type, pin) {
+  const board = resolveBoard(boardReference);
+  const command = type === 'analog' ? COMMANDS.ANALOG_READ : COMMANDS.DIGITAL_READ;
+  const response = await auditLog.run({ type: 'background' }, () => sendCommand(command, { pin }, { board, priority: 'low' }));
+  return recordReading(board, type, pin, response);
+}
+
+// Explain a rejected pin against the board's profile, e.g.
+// ": pin 44 is not a PWM pin on Arduino Uno (3, 5, 6, 9-11)"
+function describePinRange(board, kind, pin) {
+  const validators = { digital: isDigitalPin, analog: isAnalogPin, pwm: isPwmPin, servo: isServoPin };
+  if (validators[kind](board.profile, pin)) return '';
+  const label = kind === 'pwm' ? 'PWM' : kind;
+  return `: pin ${pin} is not ${kind === 'analog' ? 'an' : 'a'} ${label} pin on ${board.profile.name} (${formatPins(getPins(board.profile, kind))})`;
+}
+
+// Run a command that drives `pin`, claiming the pin for `use` before it is
+// sent so a concurrent call sees the claim; a failed command gives the pin
+// back. Conflicting uses throw a PinConflictError before anything is sent;
+// a use that takes over the pin adds a warning to the result.
+async function withPin(board, pin, use, by, send) {
+  const warning = board.allocator.check(pin, use);
+  const previous = board.allocator.get(pin);
+  const claimed = board.allocator.claim(pin, use, by);
+  let result;
+  try {
+    result = await send();
+  } catch (error) {
+    board.allocator.restore(pin, claimed, previous);
+    throw error;
+  }
+  return warning ? { ...result, warning } : result;
+}
+
+// The built-in LED is free again once nothing lights it
+function releaseBuiltinLed(board) {
+  const allocation = board.allocator.get(board.profile.builtinLed);
+  if (allocation && allocation.use === 'led_effect') {
+    board.allocator.release(board.profile.builtinLed);
+  }
+}
+
+// Arduino control functions with improved implementation. Every method takes
+// an optional trailing board ID or name; without it the default board is used.
 const ArduinoController = {
   // LED Controls
-  async ledOn() {
-    const result = await sendCommand(COMMANDS.LED_ON);
-    systemState.hardware.led = true;
+  async ledOn(boardId) {
+    const board = resolveBoard(boardId);
+    const result = await withPin(board, board.profile.builtinLed, 'led_effect', 'ledOn',
+      () => sendCommand(COMMANDS.LED_ON, {}, { board }));
+    board.state.hardware.led = true;
     return result;
   },
 
-  async ledOff() {
-    const result = await sendCommand(COMMANDS.LED_OFF);
-    systemState.hardware.led = false;
-    systemState.hardware.effects.blinking = false;
-    systemState.hardware.effects.fading = false;
+  async ledOff(boardId) {
+    const board = resolveBoard(boardId);
+    const result = await sendCommand(COMMANDS.LED_OFF, {}, { board });
+    board.state.hardware.led = false;
+    board.state.hardware.effects.blinking = false;
+    board.state.hardware.effects.fading = false;
+    releaseBuiltinLed(board);
     return result;
   },
 
-  async ledBlink(rate = 500) {
+  async ledBlink(rate = 500, boardId) {
+    const board = resolveBoard(boardId);
     const safeRate = Math.max(50, Math.min(5000, parseInt(rate)));
-    const result = await sendCommand(COMMANDS.LED_BLINK, { rate: safeRate });
-    systemState.hardware.effects.blinking = true;
+    const result = await withPin(board, board.profile.builtinLed, 'led_effect', 'ledBlink',
+      () => sendCommand(COMMANDS.LED_BLINK, { rate: safeRate }, { board }));
+    board.state.hardware.effects.blinking = true;
     return result;
   },
 
-  async ledFade(speed = 5) {
+  async ledFade(speed = 5, boardId) {
+    const board = resolveBoard(boardId);
     const safeSpeed = Math.max(1, Math.min(10, parseInt(speed)));
-    const result = await sendCommand(COMMANDS.LED_FADE, { speed: safeSpeed });
-    systemState.hardware.effects.fading = true;
+    const result = await withPin(board, board.profile.builtinLed, 'led_effect', 'ledFade',
+      () => sendCommand(COMMANDS.LED_FADE, { speed: safeSpeed }, { board }));
+    board.state.hardware.effects.fading = true;
     return result;
   },
 
-  async ledMorse(text) {
+  async ledMorse(text, boardId) {
+    const board = resolveBoard(boardId);
     const safeText = text.substring(0, 50).toUpperCase();
-    const result = await sendCommand(COMMANDS.LED_MORSE, { text: safeText });
-    systemState.hardware.effects.morse = true;
+    const result = await withPin(board, board.profile.builtinLed, 'led_effect', 'ledMorse',
+      () => sendCommand(COMMANDS.LED_MORSE, { text: safeText }, { board }));
+    board.state.hardware.effects.morse = true;
     return result;
   },
 
-  async ledPattern(pattern) {
+  async ledPattern(pattern, boardId) {
+    const board = resolveBoard(boardId);
     const safePattern = pattern.replace(/[^01]/g, '').substring(0, 100);
-    const result = await sendCommand(COMMANDS.LED_PATTERN, { pattern: safePattern });
-    systemState.hardware.effects.pattern = true;
+    const result = await withPin(board, board.profile.builtinLed, 'led_effect', 'ledPattern',
+      () => sendCommand(COMMANDS.LED_PATTERN, { pattern: safePattern }, { board }));
+    board.state.hardware.effects.pattern = true;
     return result;
   },
 
-  // Pin Controls
-  async setPinMode(pin, mode) {
+  // Pin Controls. Pin ranges come from the board's capability profile.
+  async setPinMode(pin, mode, boardId) {
+    const board = resolveBoard(boardId);
     const validModes = ['INPUT', 'OUTPUT', 'INPUT_PULLUP'];
-    if (pin >= 0 && pin <= 19 && validModes.includes(mode)) {
-      const result = await sendCommand(COMMANDS.PIN_MODE, { pin, mode });
-      systemState.hardware.pins[pin] = { mode };
+    if (isDigitalPin(board.profile, pin) && validModes.includes(mode)) {
+      const use = mode === 'OUTPUT' ? 'digital_output' : 'input';
+      const result = await withPin(board, pin, use, 'setPinMode',
+        () => sendCommand(COMMANDS.PIN_MODE, { pin, mode }, { board }));
+      board.state.hardware.pins[pin] = { mode };
       return result;
     }
-    throw new Error('Invalid pin or mode');
+    throw new Error(`Invalid pin or mode${describePinRange(board, 'digital', pin)}`);
   },
 
-  async digitalWrite(pin, value) {
-    if (pin >= 0 && pin <= 19 && (value === 0 || value === 1)) {
-      const result = await sendCommand(COMMANDS.DIGITAL_WRITE, { pin, value });
-      if (!systemState.hardware.pins[pin]) systemState.hardware.pins[pin] = {};
-      systemState.hardware.pins[pin].digitalValue = value;
+  async digitalWrite(pin, value, boardId) {
+    const board = resolveBoard(boardId);
+    if (isDigitalPin(board.profile, pin) && (value === 0 || value === 1)) {
+      const result = await withPin(board, pin, 'digital_output', 'digitalWrite',
+        () => sendCommand(COMMANDS.DIGITAL_WRITE, { pin, value }, { board }));
+      const pins = board.state.hardware.pins;
+      if (!pins[pin]) pins[pin] = {};
+      pins[pin].digitalValue = value;
       return result;
     }
-    throw new Error('Invalid pin or value');
+    throw new Error(`Invalid pin or value${describePinRange(board, 'digital', pin)}`);
   },
 
-  async digitalRead(pin) {
-    if (pin >= 0 && pin <= 19) {
-      return await sendCommand(COMMANDS.DIGITAL_READ, { pin });
+  async digitalRead(pin, boardId) {
+    const board = resolveBoard(boardId);
+    if (isDigitalPin(board.profile, pin)) {
+      const result = await sendCommand(COMMANDS.DIGITAL_READ, { pin }, { board });
+      recordReading(board, 'digital', pin, result);
+      return result;
     }
-    throw new Error('Invalid pin');
+    throw new Error(`Invalid pin${describePinRange(board, 'digital', pin)}`);
   },
 
-  async analogWrite(pin, value) {
-    const pwmPins = [3, 5, 6, 9, 10, 11];
-    if (pwmPins.includes(pin) && value >= 0 && value <= 255) {
-      const result = await sendCommand(COMMANDS.ANALOG_WRITE, { pin, value });
-      if (!systemState.hardware.pins[pin]) systemState.hardware.pins[pin] = {};
-      systemState.hardware.pins[pin].analogValue = value;
+  async analogWrite(pin, value, boardId) {
+    const board = resolveBoard(boardId);
+    if (isPwmPin(board.profile, pin) && value >= 0 && value <= 255) {
+      const result = await withPin(board, pin, 'pwm', 'analogWrite',
+        () => sendCommand(COMMANDS.ANALOG_WRITE, { pin, value }, { board }));
+      const pins = board.state.hardware.pins;
+      if (!pins[pin]) pins[pin] = {};
+      pins[pin].analogValue = value;
       return result;
     }
-    throw new Error('Invalid PWM pin or value');
+    throw new Error(`Invalid PWM pin or value${describePinRange(board, 'pwm', pin)}`);
   },
 
-  async analogRead(pin) {
-    if (pin >= 0 && pin <= 5) {
-      return await sendCommand(COMMANDS.ANALOG_READ, { pin });
+  async analogRead(pin, boardId) {
+    const board = resolveBoard(boardId);
+    if (isAnalogPin(board.profile, pin)) {
+      const result = await sendCommand(COMMANDS.ANALOG_READ, { pin }, { board });
+      recordReading(board, 'analog', pin, result);
+      // An input shared with a driven digital pin reads back that output
+      const sharedPin = analogToDigitalPin(board.profile, pin);
+      const allocation = sharedPin !== null ? board.allocator.get(sharedPin) : null;
+      if (allocation && allocation.use !== 'input') {
+        return { ...result, warning: `Analog pin ${pin} shares pin ${sharedPin}, which is in use as ${allocation.label}; the reading reflects that` };
+      }
+      return result;
     }
-    throw new Error('Invalid analog pin');
+    throw new Error(`Invalid analog pin${describePinRange(board, 'analog', pin)}`);
   },
 
-  async servoWrite(pin, angle) {
-    if (pin >= 2 && pin <= 13 && angle >= 0 && angle <= 180) {
-      const result = await sendCommand(COMMANDS.SERVO_WRITE, { pin, angle });
-      if (!systemState.hardware.pins[pin]) systemState.hardware.pins[pin] = {};
-      systemState.hardware.pins[pin].servoAngle = angle;
+  async servoWrite(pin, angle, boardId) {
+    const board = resolveBoard(boardId);
+    if (isServoPin(board.profile, pin) && angle >= 0 && angle <= 180) {
+      const result = await withPin(board, pin, 'servo', 'servoWrite',
+        () => sendCommand(COMMANDS.SERVO_WRITE, { pin, angle }, { board }));
+      const pins = board.state.hardware.pins;
+      if (!pins[pin]) pins[pin] = {};
+      pins[pin].servoAngle = angle;
       return result;
     }
-    throw new Error('Invalid servo pin or angle');
+    throw new Error(`Invalid servo pin or angle${describePinRange(board, 'servo', pin)}`);
   },
 
   // System Controls
-  async stopEffects() {
-    const result = await sendCommand(COMMANDS.STOP_EFFECTS);
-    systemState.hardware.effects = {
+  async stopEffects(boardId) {
+    const board = resolveBoard(boardId);
+    const result = await sendCommand(COMMANDS.STOP_EFFECTS, {}, { board });
+    board.state.hardware.effects = {
       blinking: false,
       fading: false,
       pattern: false,
       morse: false,
       rainbow: false
     };
+    // Effects can leave the LED lit; it stays claimed until turned off
+    if (!board.state.hardware.led) releaseBuiltinLed(board);
     return result;
   },
 
-  async reset() {
-    const result = await sendCommand(COMMANDS.RESET);
-    systemState.hardware = {
-      led: false,
-      pins: {},
-      sensors: {},
-      effects: {
-        blinking: false,
-        fading: false,
-        pattern: false,
-        morse: false,
-        rainbow: false
-      }
-    };
+  async reset(boardId) {
+    const board = resolveBoard(boardId);
+    const result = await sendCommand(COMMANDS.RESET, {}, { board });
+    board.state.hardware = createHardwareState();
+    board.allocator.reset();
     return result;
   },
 
-  async getStatus() {
-    return await sendCommand(COMMANDS.STATUS);
-  }
-};
+  // Pin allocations. A servo is detached before its pin is released, so the
+  // firmware stops driving the pin before something else uses it.
+  async releasePin(pin, force = false, boardId) {
+    const board = resolveBoard(boardId);
+    if (!isDigitalPin(board.profile, pin)) {
+      throw new Error(`Invalid pin${describePinRange(board, 'digital', pin)}`);
+    }
 
-// Initialize Arduino detection on startup
-setTimeout(async () => {
-  console.log('🔍 Starting Arduino detection...');
-  const boards = await detectArduinoBoards();
-  if (boards.length > 0) {
-    console.log(`🎯 Found ${boards.length} Arduino board(s)`);
-    try {
-      await initializeArduino(boards[0].path);
-    } catch (error) {
-      console.log('⚠️ Initial connection failed, waiting for manual setup');
+    const current = board.allocator.get(pin);
+    let warning = null;
+    if (current && current.use === 'servo') {
+      try {
+        await sendCommand(COMMANDS.SERVO_DETACH, { pin }, { board });
+      } catch (error) {
+        if (error.code !== 'UNSUPPORTED_COMMAND') throw error;
+        warning = `The firmware cannot detach servos, so the servo on pin ${pin} keeps its position until the board is reset or the firmware is updated`;
+      }
+      const pins = board.state.hardware.pins;
+      if (pins[pin]) delete pins[pin].servoAngle;
     }
-  } else {
+
+    const released = board.allocator.release(pin, { force });
+    return {
+      success: true,
+      boardId: board.id,
+      pin,
+      released: released ? released.use : null,
+      message: released ? `Pin ${pin} released (was ${released.label})` : `Pin ${pin} was not allocated`,
+      ...(warning && { warning })
+    };
+  },
+
+  listPinAllocations(boardId) {
+    const board = resolveBoard(boardId);
+    return { boardId: board.id, pins: board.allocator.list() };
+  },
+
+  async getStatus(boardId) {
+    return await sendCommand(COMMANDS.STATUS, {}, { board: boardId });
+  },
+
+  listBoards() {
+    return listBoards();
+  }
+};
+
+// Raw `arduino_command` messages (UI quick buttons, bridges, test scripts)
+// run through ArduinoController, so they are validated and claim their pins
+// like calls from the chat. Only commands that drive no pin are sent as is.
+const RAW_COMMANDS = {
+  [COMMANDS.LED_ON]: (board) => ArduinoController.ledOn(board),
+  [COMMANDS.LED_OFF]: (board) => ArduinoController.ledOff(board),
+  [COMMANDS.LED_BLINK]: (board, params) => ArduinoController.ledBlink(params.rate, board),
+  [COMMANDS.LED_FADE]: (board, params) => ArduinoController.ledFade(params.speed, board),
+  [COMMANDS.LED_MORSE]: (board, params) => ArduinoController.ledMorse(String(params.text || ''), board),
+  [COMMANDS.LED_PATTERN]: (board, params) => ArduinoController.ledPattern(String(params.pattern || ''), board),
+  [COMMANDS.PIN_MODE]: (board, params) => ArduinoController.setPinMode(Number(params.pin), params.mode, board),
+  [COMMANDS.DIGITAL_WRITE]: (board, params) => ArduinoController.digitalWrite(Number(params.pin), Number(params.value), board),
+  [COMMANDS.DIGITAL_READ]: (board, params) => ArduinoController.digitalRead(Number(params.pin), board),
+  [COMMANDS.ANALOG_WRITE]: (board, params) => ArduinoController.analogWrite(Number(params.pin), Number(params.value), board),
+  [COMMANDS.ANALOG_READ]: (board, params) => ArduinoController.analogRead(Number(params.pin), board),
+  [COMMANDS.SERVO_WRITE]: (board, params) => ArduinoController.servoWrite(Number(params.pin), Number(params.angle), board),
+  [COMMANDS.SERVO_DETACH]: (board, params) => ArduinoController.releasePin(Number(params.pin), false, board),
+  [COMMANDS.STOP_EFFECTS]: (board) => ArduinoController.stopEffects(board),
+  [COMMANDS.RESET]: (board) => ArduinoController.reset(board),
+  [COMMANDS.STATUS]: (board) => ArduinoController.getStatus(board),
+  [COMMANDS.PING]: (board) => sendCommand(COMMANDS.PING, {}, { board }),
+  [COMMANDS.HELLO]: (board) => sendCommand(COMMANDS.HELLO, {}, { board })
+};
+
+function runRawCommand(board, command, params) {
+  if (!Object.prototype.hasOwnProperty.call(RAW_COMMANDS, command)) {
+    throw new Error(`Unknown command: ${command}. Use one of: ${Object.keys(RAW_COMMANDS).join(', ')}`);
+  }
+  return RAW_COMMANDS[command](board, params);
+}
+
+// Initialize Arduino detection on startup and connect every board found
+setTimeout(async () => {
+  console.log('🔍 Starting Arduino detection...');
+  const useSimulator = process.env.ARDUINO_SIMULATOR === 'true';
+  const detected = (await detectArduinoBoards())
+    .filter(board => useSimulator ? board.simulated : !board.simulated);
+  if (detected.length > 0) {
+    console.log(`🎯 Found ${detected.length} Arduino board(s)`);
+    for (const board of detected) {
+      try {
+        await initializeArduino(board.path);
+      } catch (error) {
+        console.log(`⚠️ Initial connection to ${board.path} failed, waiting for manual setup`);
+      }
+    }
+  } else {
     console.log('⚠️ No Arduino boards detected');
   }
 }, 1000);
 
 
 
-// Function declarations for Gemini AI
+// Arguments of a controller function called by a rule or schedule
+const actionArgsSchema = {
+  type: 'object',
+  description: 'Arguments for the function, named as in its own declaration',
+  properties: {
+    pin: { type: 'number' },
+    value: { type: 'number' },
+    mode: { type: 'string' },
+    rate: { type: 'number' },
+    speed: { type: 'number' },
+    text: { type: 'string' },
+    pattern: { type: 'string' },
+    angle: { type: 'number' },
+    board: { type: 'string' }
+  }
+};
+
+// Function declarations for the AI. `pin` parameters are left out here:
+// getFunctionDeclarations() adds them from the connected boards' profiles.
 const functionDeclarations = [
   {
     name: 'ledOn',
@@ -747,12 +1939,6 @@ const functionDeclarations = [
     parameters: {
       type: 'object',
       properties: {
-        pin: {
-          type: 'number',
-          description: 'Pin number (0-19)',
-          minimum: 0,
-          maximum: 19
-        },
         mode: {
           type: 'string',
           enum: ['INPUT', 'OUTPUT', 'INPUT_PULLUP'],
@@ -768,12 +1954,6 @@ const functionDeclarations = [
     parameters: {
       type: 'object',
       properties: {
-        pin: {
-          type: 'number',
-          description: 'Pin number (0-19)',
-          minimum: 0,
-          maximum: 19
-        },
         value: {
           type: 'integer',
           description: '0 for LOW, 1 for HIGH',
@@ -789,14 +1969,7 @@ const functionDeclarations = [
     description: 'Read a digital value from a pin',
     parameters: {
       type: 'object',
-      properties: {
-        pin: {
-          type: 'number',
-          description: 'Pin number (0-19)',
-          minimum: 0,
-          maximum: 19
-        }
-      },
+      properties: {},
       required: ['pin']
     }
   },
@@ -806,11 +1979,6 @@ const functionDeclarations = [
     parameters: {
       type: 'object',
       properties: {
-        pin: {
-          type: 'number',
-          description: 'PWM pin number (3, 5, 6, 9, 10, or 11)',
-          enum: [3, 5, 6, 9, 10, 11]
-        },
         value: {
           type: 'number',
           description: 'Analog value (0-255)',
@@ -826,14 +1994,7 @@ const functionDeclarations = [
     description: 'Read an analog value from a pin',
     parameters: {
       type: 'object',
-      properties: {
-        pin: {
-          type: 'number',
-          description: 'Analog pin number (0-5)',
-          minimum: 0,
-          maximum: 5
-        }
-      },
+      properties: {},
       required: ['pin']
     }
   },
@@ -843,12 +2004,6 @@ const functionDeclarations = [
     parameters: {
       type: 'object',
       properties: {
-        pin: {
-          type: 'number',
-          description: 'Pin number (2-13)',
-          minimum: 2,
-          maximum: 13
-        },
         angle: {
           type: 'number',
           description: 'Servo angle (0-180 degrees)',
@@ -885,157 +2040,1793 @@ const functionDeclarations = [
       properties: {},
       required: []
     }
+  },
+  {
+    name: 'releasePin',
+    description: 'Release a pin from its current use (servo, PWM, digital output, input, built-in LED) so it can be used for something else',
+    parameters: {
+      type: 'object',
+      properties: {
+        force: {
+          type: 'boolean',
+          description: 'Also release a pin reserved for serial communication. Only set this when the user explicitly asks for it'
+        }
+      },
+      required: ['pin']
+    }
+  },
+  {
+    name: 'listPinAllocations',
+    description: 'List which pins are in use and what for (servo, PWM output, digital output, input, built-in LED, serial)',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'listBoards',
+    description: 'List the connected Arduino boards with their IDs, names, ports and connection state',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'createRule',
+    description: 'Create an automation rule that runs on the server: when the trigger fires and all conditions hold, the actions run. ' +
+      'Example: "when A0 goes above 600, turn on pin 7 and blink the LED"',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Short description of the rule'
+        },
+        trigger: {
+          type: 'object',
+          description: 'What starts the rule',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['analog', 'digital', 'timer', 'connect', 'disconnect'],
+              description: 'analog/digital: a pin reading; timer: every N ms; connect/disconnect: the board connects or disconnects'
+            },
+            pin: { type: 'number', description: 'Pin for analog/digital triggers (analog pins by number, 0 for A0)' },
+            above: { type: 'number', description: 'Analog: fire when the reading rises above this value (0-1023)' },
+            below: { type: 'number', description: 'Analog: fire when the reading falls below this value (0-1023)' },
+            value: { type: 'integer', description: 'Digital: fire when the pin becomes 0 or 1; omit to fire on every change' },
+            every: { type: 'number', description: 'Timer: interval in milliseconds (at least 1000)' },
+            poll: { type: 'number', description: 'Analog/digital: how often to read the pin in ms (default 1000)' }
+          },
+          required: ['type']
+        },
+        conditions: {
+          type: 'array',
+          description: 'Optional checks that must all hold when the trigger fires',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['analog', 'digital', 'time'] },
+              pin: { type: 'number', description: 'Pin to read for analog/digital conditions' },
+              above: { type: 'number', description: 'Analog: reading must be above this value' },
+              below: { type: 'number', description: 'Analog: reading must be below this value' },
+              value: { type: 'integer', description: 'Digital: pin must read 0 or 1' },
+              after: { type: 'string', description: 'Time: local time from which the rule may run, e.g. "18:00"' },
+              before: { type: 'string', description: 'Time: local time until which the rule may run, e.g. "06:00"' }
+            },
+            required: ['type']
+          }
+        },
+        actions: {
+          type: 'array',
+          description: 'Functions to call, in order',
+          items: {
+            type: 'object',
+            properties: {
+              function: { type: 'string', description: 'Function name, e.g. digitalWrite or ledBlink' },
+              args: actionArgsSchema
+            },
+            required: ['function']
+          }
+        },
+        cooldown: {
+          type: 'number',
+          description: 'Minimum time between two runs in milliseconds'
+        }
+      },
+      required: ['trigger', 'actions']
+    }
+  },
+  {
+    name: 'listRules',
+    description: 'List the automation rules with their triggers, actions, and when they last ran',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'deleteRule',
+    description: 'Delete an automation rule',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Rule ID as returned by listRules or createRule'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'scheduleAction',
+    description: 'Run a function later or repeatedly, e.g. "turn the LED off in 10 minutes" or "every morning at 7 move the servo to 90". ' +
+      'Give exactly one of delay, at, every or cron',
+    parameters: {
+      type: 'object',
+      properties: {
+        function: {
+          type: 'string',
+          description: 'Function to run, e.g. ledOff or servoWrite'
+        },
+        args: actionArgsSchema,
+        delay: {
+          type: 'number',
+          description: 'Run once after this many milliseconds (10 minutes = 600000)'
+        },
+        at: {
+          type: 'string',
+          description: 'Run once at this local date/time, ISO 8601 (e.g. "2026-01-31T19:00:00")'
+        },
+        every: {
+          type: 'number',
+          description: 'Run repeatedly every this many milliseconds (at least 1000)'
+        },
+        cron: {
+          type: 'string',
+          description: 'Run on a cron schedule in server local time: minute hour day-of-month month day-of-week (e.g. "0 7 * * *" for every day at 7:00)'
+        },
+        name: {
+          type: 'string',
+          description: 'Short description of the schedule'
+        }
+      },
+      required: ['function']
+    }
+  },
+  {
+    name: 'listSchedules',
+    description: 'List scheduled and repeating actions with their next run time',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'cancelSchedule',
+    description: 'Cancel a scheduled or repeating action',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Schedule ID as returned by listSchedules or scheduleAction'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'runMacro',
+    description: 'Run a saved macro (a named sequence of functions and waits) from start to end',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Macro name, e.g. "demo mode"'
+        },
+        params: {
+          type: 'array',
+          description: 'Values for the macro\'s parameters, if it has any',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              value: { type: 'string' }
+            },
+            required: ['name', 'value']
+          }
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'saveMacro',
+    description: 'Save a named macro. Without steps, saves the functions called in the previous turn, ' +
+      'e.g. "save what you just did as demo mode". An existing macro with the same name is replaced',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Macro name'
+        },
+        description: {
+          type: 'string',
+          description: 'What the macro does'
+        },
+        steps: {
+          type: 'array',
+          description: 'Steps to run in order: a function call, or a wait in milliseconds',
+          items: {
+            type: 'object',
+            properties: {
+              function: { type: 'string', description: 'Function name, e.g. servoWrite' },
+              args: actionArgsSchema,
+              wait: { type: 'number', description: 'Pause in milliseconds instead of a function call' }
+            }
+          }
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'listMacros',
+    description: 'List the saved macros with their steps and parameters',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'deleteMacro',
+    description: 'Delete a saved macro',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Macro name'
+        }
+      },
+      required: ['name']
+    }
   }
 ];
 
-// Express middleware
-app.use(express.static('public'));
-app.use(express.json());
+// Functions that do not act on a particular board
+const BOARDLESS_FUNCTIONS = [
+  'listBoards', 'listRules', 'deleteRule', 'listSchedules', 'cancelSchedule', 'saveMacro', 'listMacros', 'deleteMacro'
+];
 
-// Store chat sessions
-const chatSessions = new Map();
+// Which kind of pin each function's `pin` parameter takes
+const PIN_PARAMETER_KINDS = {
+  setPinMode: 'digital',
+  digitalWrite: 'digital',
+  digitalRead: 'digital',
+  analogWrite: 'pwm',
+  analogRead: 'analog',
+  servoWrite: 'servo',
+  releasePin: 'digital'
+};
 
-// Map function names to ArduinoController methods for AI execution
-const functions = {
-  ledOn: { execute: ArduinoController.ledOn },
-  ledOff: { execute: ArduinoController.ledOff },
-  ledBlink: { execute: (args) => ArduinoController.ledBlink(args.rate) },
-  ledFade: { execute: (args) => ArduinoController.ledFade(args.speed) },
-  ledMorse: { execute: (args) => ArduinoController.ledMorse(args.text) },
-  ledPattern: { execute: (args) => ArduinoController.ledPattern(args.pattern) },
-  setPinMode: { execute: (args) => ArduinoController.setPinMode(args.pin, args.mode) },
-  digitalWrite: { execute: (args) => ArduinoController.digitalWrite(args.pin, args.value) },
-  digitalRead: { execute: (args) => ArduinoController.digitalRead(args.pin) },
-  analogWrite: { execute: (args) => ArduinoController.analogWrite(args.pin, args.value) },
-  analogRead: { execute: (args) => ArduinoController.analogRead(args.pin) },
-  servoWrite: { execute: (args) => ArduinoController.servoWrite(args.pin, args.angle) },
-  stopEffects: { execute: ArduinoController.stopEffects },
-  resetArduino: { execute: ArduinoController.reset },
-  getStatus: { execute: ArduinoController.getStatus }
+// The firmware command behind each hardware function, for hiding functions
+// no connected board's firmware supports
+const FUNCTION_COMMANDS = {
+  ledOn: COMMANDS.LED_ON,
+  ledOff: COMMANDS.LED_OFF,
+  ledBlink: COMMANDS.LED_BLINK,
+  ledFade: COMMANDS.LED_FADE,
+  ledMorse: COMMANDS.LED_MORSE,
+  ledPattern: COMMANDS.LED_PATTERN,
+  setPinMode: COMMANDS.PIN_MODE,
+  digitalWrite: COMMANDS.DIGITAL_WRITE,
+  digitalRead: COMMANDS.DIGITAL_READ,
+  analogWrite: COMMANDS.ANALOG_WRITE,
+  analogRead: COMMANDS.ANALOG_READ,
+  servoWrite: COMMANDS.SERVO_WRITE,
+  stopEffects: COMMANDS.STOP_EFFECTS,
+  resetArduino: COMMANDS.RESET,
+  getStatus: COMMANDS.STATUS
 };
 
-// API Routes
+// Whether some board's firmware can run the function. Boards that have not
+// finished the handshake count as capable.
+function supportedByFirmware(name) {
+  const command = FUNCTION_COMMANDS[name];
+  if (!command || boards.size === 0) return true;
+  return Array.from(boards.values()).some(board => {
+    const { capabilities } = board.state.arduino;
+    return !capabilities || capabilities.includes(command);
+  });
+}
 
-// Arduino setup and management endpoints
-app.get('/api/arduino/detect', async (_, res) => {
-  try {
-    const boards = await detectArduinoBoards();
-    res.json({ success: true, boards });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+// Hardware functions take an optional target board. The parameter is added
+// at request time so its description names the boards connected right now.
+function getFunctionDeclarations() {
+  const known = Array.from(boards.values()).map(describeBoard);
+  const defaultBoard = getDefaultBoard();
+  const boardParameter = {
+    type: 'string',
+    description: `Target board ID or name. Connected boards: ${known.join(', ') || 'none'}. ` +
+      `Omit to use the default board${defaultBoard ? ` (${defaultBoard.id})` : ''}.`
+  };
+
+  // Pin parameters follow the connected boards' capability profiles
+  const profiledBoards = Array.from(boards.values()).map(board => ({ label: describeBoard(board), profile: board.profile }));
+  const pinSchemas = {};
+  ['digital', 'analog', 'pwm', 'servo'].forEach(kind => {
+    pinSchemas[kind] = buildPinSchema(kind, profiledBoards);
+  });
+
+  return functionDeclarations.map(declaration => {
+    if (BOARDLESS_FUNCTIONS.includes(declaration.name)) return declaration;
+
+    const kind = PIN_PARAMETER_KINDS[declaration.name];
+    const properties = { ...(kind && { pin: pinSchemas[kind] }), ...declaration.parameters.properties, board: boardParameter };
+
+    // The model has no clock; relative and absolute times need the server's
+    const description = declaration.name === 'scheduleAction'
+      ? `${declaration.description}. Server local time now: ${new Date().toString()}`
+      : declaration.description;
+
+    return {
+      ...declaration,
+      description,
+      parameters: { ...declaration.parameters, properties }
+    };
+  });
+}
+
+// API tokens; every request and WebSocket connection needs one unless
+// AUTH_DISABLED=true
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ANONYMOUS = { id: null, name: 'anonymous', scope: 'admin' };
+const tokenStore = new TokenStore();
+
+// Scope each WebSocket message needs; anything not listed needs operate
+const WS_SCOPES = {
+  get_system_state: 'read',
+  list_boards: 'read',
+  list_rules: 'read',
+  list_schedules: 'read',
+  list_macros: 'read',
+  list_scripts: 'read',
+  get_approval_policies: 'read',
+  detect_arduino: 'read',
+  subscribe_sensors: 'read',
+  unsubscribe_sensors: 'read',
+  set_api_key: 'admin',
+  set_llm_provider: 'admin',
+  set_approval_policy: 'admin',
+  upload_firmware: 'admin',
+  verify_firmware: 'admin',
+  // Scripts run code on the server
+  run_script: 'admin'
+};
+
+function authenticate(secret) {
+  return AUTH_DISABLED ? ANONYMOUS : tokenStore.verify(secret);
+}
+
+// Runs before a WebSocket connection is accepted; browsers pass the token
+// as ?token= because they cannot set headers on WebSockets
+function authorizeWebSocket({ req }, done) {
+  const auth = authenticate(tokenFromRequest(req, { allowQuery: true }));
+  if (!auth) {
+    console.warn(`🔒 Rejected WebSocket connection from ${req.socket.remoteAddress}: missing or invalid token`);
+    return done(false, 401, 'A valid API token is required');
   }
+  req.auth = auth;
+  done(true);
+}
+
+tokenStore.on('revoked', token => {
+  console.log(`🔒 Revoked token ${token.id} ("${token.name}")`);
+  connectedClients.forEach(client => {
+    if (client.auth.id === token.id) client.close(4001, 'Token revoked');
+  });
 });
 
-app.post('/api/arduino/connect', async (req, res) => {
-  try {
-    const { port } = req.body;
-    await initializeArduino(port);
-    res.json({ success: true, message: 'Arduino connected successfully' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+// Express middleware
+app.use(express.static('public'));
+app.use(express.json());
+
+// Everything below the static files needs a token, except the health check
+app.use((req, res, next) => {
+  if (req.path === '/health') return next();
+  const auth = authenticate(tokenFromRequest(req));
+  if (!auth) {
+    return res.status(401).json({ success: false, error: 'A valid API token is required (Authorization: Bearer <token>)' });
   }
+  const required = requiredScope(req);
+  if (!hasScope(auth.scope, required)) {
+    return res.status(403).json({ success: false, error: `This request needs a token with the ${required} scope` });
+  }
+  req.auth = auth;
+  next();
 });
 
-app.post('/api/arduino/upload', async (req, res) => {
-  try {
-    const { port, boardType = 'arduino:avr:uno' } = req.body;
-    await uploadFirmware(port, boardType);
-    res.json({ success: true, message: 'Firmware uploaded successfully' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Commands sent while handling a request are audited as coming from REST
+app.use((req, _, next) => {
+  auditLog.run({ type: 'rest', method: req.method, path: req.path, ip: req.ip, token: req.auth ? req.auth.name : null }, next);
 });
 
-app.get('/api/system/state', (_, res) => {
-  res.json({ success: true, state: systemState });
+// Chat sessions, persisted in data/chat-sessions/
+const chatSessions = new ChatSessions({
+  summarize: summarizeChat,
+  ttl: (parseFloat(process.env.CHAT_SESSION_TTL_HOURS) || 168) * 60 * 60 * 1000,
+  maxSessions: parseInt(process.env.CHAT_MAX_SESSIONS) || 50,
+  maxHistoryChars: parseInt(process.env.CHAT_HISTORY_CHARS) || 40000
 });
 
-// Chat endpoint for AI interaction
-app.post('/chat', async (req, res) => {
-  const { message, sessionId = 'default' } = req.body;
+// Ask the session's LLM to condense older messages; the store falls back
+// to a plain outline when this fails or no LLM is configured
+async function summarizeChat(transcript, sessionId) {
+  const llm = sessionLlms.get(sessionId) || defaultLlm;
+  if (!llm) return null;
+  const reply = await llm.provider.generate({
+    history: [{
+      role: 'user',
+      text: 'Summarize this conversation with an Arduino assistant in a few sentences. Keep what the user wanted, ' +
+        'which pins and boards were used, and the current state of the hardware.\n\n' + transcript
+    }],
+    tools: []
+  });
+  return reply.text;
+}
 
-  // Validate input
-  if (!message || typeof message !== 'string' || message.trim().length === 0) {
-    return res.status(400).json({ error: 'Message is required and must be a non-empty string' });
-  }
+chatSessions.on('removed', ({ id, reason }) => {
+  sessionLlms.delete(id);
+  lastTurnCalls.delete(id);
+  if (reason !== 'deleted') console.log(`💬 Chat session ${id} ${reason}`);
+});
 
-  if (!currentApiKey || !genAI) {
-    return res.status(500).json({ error: 'Google API key not configured. Please set your API key in the web interface.' });
-  }
+chatSessions.on('summarized', ({ id, entries }) => {
+  console.log(`💬 Summarized ${entries} older message(s) of chat session ${id}`);
+});
 
-  if (!systemState.arduino.connected) {
-    return res.status(503).json({ error: 'Arduino not connected. Please connect Arduino first.' });
-  }
+chatSessions.load()
+  .then(list => console.log(`💬 Loaded ${list.length} chat session(s)`))
+  .catch(error => console.error('❌ Failed to load chat sessions:', error.message));
 
-  try {
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-2.0-flash',
-      tools: [{ functionDeclarations }]
-    });
+// Understands simple commands when no LLM is configured or reachable
+const offlineParser = new OfflineIntentParser();
 
-    // Get or create chat session
-    let chat = chatSessions.get(sessionId);
-    if (!chat) {
-      chat = model.startChat();
-      chatSessions.set(sessionId, chat);
-    }
-
-    let result = await chat.sendMessage(message);
-    let response = result.response;
-    let functionsCalled = [];
-
-    // Handle function calls - keep processing until no more function calls
-    while (response.functionCalls() && response.functionCalls().length > 0) {
-      const functionCalls = response.functionCalls();
-      const functionResponses = [];
-
-      // Execute all function calls
-      for (const functionCall of functionCalls) {
-        const functionName = functionCall.name;
-        const functionToCall = functions[functionName];
-
-        if (functionToCall) {
-          try {
-            const args = functionCall.args || {};
-            const functionResult = await functionToCall.execute(args);
-            functionResponses.push({
-              functionResponse: {
-                name: functionName,
-                response: { result: functionResult }
-              }
-            });
-            functionsCalled.push({ name: functionName, args });
-          } catch (error) {
-            functionResponses.push({
-              functionResponse: {
-                name: functionName,
-                response: { error: error.toString() }
-              }
-            });
-          }
-        }
-      }
+// Replayable function calls of each session's last turn that made any,
+// for saveMacro without steps
+const lastTurnCalls = new Map();
 
-      // Send all function responses back to the model
-      if (functionResponses.length > 0) {
-        result = await chat.sendMessage(functionResponses);
-        response = result.response;
-      } else {
-        break;
-      }
+// Map function names to ArduinoController methods for AI execution
+const functions = {
+  ledOn: { execute: (args) => ArduinoController.ledOn(args.board) },
+  ledOff: { execute: (args) => ArduinoController.ledOff(args.board) },
+  ledBlink: { execute: (args) => ArduinoController.ledBlink(args.rate, args.board) },
+  ledFade: { execute: (args) => ArduinoController.ledFade(args.speed, args.board) },
+  ledMorse: { execute: (args) => ArduinoController.ledMorse(args.text, args.board) },
+  ledPattern: { execute: (args) => ArduinoController.ledPattern(args.pattern, args.board) },
+  setPinMode: { execute: (args) => ArduinoController.setPinMode(args.pin, args.mode, args.board) },
+  digitalWrite: { execute: (args) => ArduinoController.digitalWrite(args.pin, args.value, args.board) },
+  digitalRead: { execute: (args) => ArduinoController.digitalRead(args.pin, args.board) },
+  analogWrite: { execute: (args) => ArduinoController.analogWrite(args.pin, args.value, args.board) },
+  analogRead: { execute: (args) => ArduinoController.analogRead(args.pin, args.board) },
+  servoWrite: { execute: (args) => ArduinoController.servoWrite(args.pin, args.angle, args.board) },
+  stopEffects: { execute: (args) => ArduinoController.stopEffects(args.board) },
+  resetArduino: { execute: (args) => ArduinoController.reset(args.board) },
+  getStatus: { execute: (args) => ArduinoController.getStatus(args.board) },
+  releasePin: { execute: (args) => ArduinoController.releasePin(args.pin, Boolean(args.force), args.board) },
+  listPinAllocations: { execute: (args) => ArduinoController.listPinAllocations(args.board) },
+  listBoards: { execute: () => ArduinoController.listBoards() },
+  createRule: { execute: (args) => rulesEngine.create(args) },
+  listRules: { execute: () => rulesEngine.list() },
+  deleteRule: { execute: (args) => rulesEngine.remove(args.id) },
+  scheduleAction: { execute: (args) => scheduler.create(args) },
+  listSchedules: { execute: () => scheduler.list() },
+  cancelSchedule: { execute: (args) => scheduler.cancel(args.id) },
+  runMacro: {
+    execute: (args) => {
+      const params = Object.fromEntries((args.params || []).map(param => [param.name, param.value]));
+      return macros.run(args.name, params, { board: args.board });
     }
+  },
+  saveMacro: { execute: (args, context) => saveMacroFromChat(args, context) },
+  listMacros: { execute: () => macros.list() },
+  deleteMacro: { execute: (args) => macros.remove(args.name) }
+};
 
-    res.json({
-      response: response.text(),
-      functionsCalled: functionsCalled,
-      systemState: systemState
-    });
-  } catch (error) {
+// The calls a rule, schedule or macro function would make later
+function wrappedCalls(name, args = {}, context = {}) {
+  const fromSteps = (steps = []) => steps
+    .filter(step => step.function)
+    .map(step => ({ name: step.function, args: step.args || {} }));
+
+  switch (name) {
+    case 'createRule':
+      return fromSteps(args.actions);
+    case 'scheduleAction':
+      return fromSteps([args]);
+    case 'saveMacro':
+      return args.steps && args.steps.length > 0 ? fromSteps(args.steps) : (lastTurnCalls.get(context.sessionId) || []);
+    case 'runMacro':
+      return fromSteps(macros.get(args.name).steps);
+    default:
+      return [];
+  }
+}
+
+// Human approval for function calls the AI makes
+const approvals = new Approvals({
+  functionNames: Object.keys(functions),
+  hasApprovers: () => connectedClients.size > 0,
+  wrappedCalls
+});
+
+approvals.on('requested', approval => {
+  console.log(`✋ Approval needed for ${approval.function}(${JSON.stringify(approval.args)}) [${approval.id}]`);
+  broadcast({
+    type: 'approval_request',
+    data: approval
+  });
+});
+
+approvals.on('resolved', approval => {
+  console.log(`${approval.approved ? '✅' : '🚫'} ${approval.function} ${approval.approved ? 'approved' : 'denied'}: ${approval.reason}`);
+  broadcast({
+    type: 'approval_resolved',
+    data: approval
+  });
+});
+
+approvals.on('changed', policies => {
+  broadcast({
+    type: 'approval_policies',
+    data: policies
+  });
+});
+
+approvals.load()
+  .then(policies => {
+    const confirmed = Object.keys(policies.functions).filter(name => policies.functions[name] !== 'auto');
+    console.log(`✋ Approval policies loaded${confirmed.length > 0 ? ` (not automatic: ${confirmed.join(', ')})` : ''}`);
+  })
+  .catch(error => console.error('❌ Failed to load approval policies:', error.message));
+
+// Audit log of every command sent to a board, with its origin
+const AUDIT_BACKGROUND_READS = process.env.AUDIT_BACKGROUND_READS === 'true';
+const auditLog = new AuditLog({
+  maxBytes: (parseInt(process.env.AUDIT_MAX_MB) || 20) * 1024 * 1024
+});
+
+// Installation safety limits, checked in sendCommand
+const safetyPolicy = new SafetyPolicy();
+
+safetyPolicy.on('violation', violation => {
+  console.warn(`🛡️ ${violation.message} [${violation.boardId}, ${violation.command}]`);
+  broadcast({
+    type: 'safety_violation',
+    data: violation
+  });
+});
+
+safetyPolicy.on('changed', policy => {
+  broadcast({
+    type: 'safety_policy',
+    data: policy
+  });
+});
+
+safetyPolicy.load()
+  .then(policy => console.log(`🛡️ Safety policy loaded${Object.keys(policy).length === 0 ? ' (no limits set)' : ''}`))
+  .catch(error => console.error('❌ Failed to load the safety policy:', error.message));
+
+// Rules, schedules and macros can call any hardware function (rules and
+// schedules can also run macros), but cannot manage each other
+const AUTOMATION_FUNCTIONS = [
+  'createRule', 'listRules', 'deleteRule', 'scheduleAction', 'listSchedules', 'cancelSchedule',
+  'saveMacro', 'listMacros', 'deleteMacro'
+];
+const automationActions = Object.keys(functions).filter(name => !AUTOMATION_FUNCTIONS.includes(name));
+const macroStepNames = automationActions.filter(name => name !== 'runMacro');
+
+const rulesEngine = new RulesEngine({
+  execute: (name, args, origin) => auditLog.run(origin, () => functions[name].execute(args)),
+  read: readPin,
+  resolveBoardId: (reference) => {
+    try {
+      return resolveBoard(reference).id;
+    } catch (error) {
+      return null;
+    }
+  },
+  actionNames: automationActions
+});
+
+rulesEngine.on('changed', rules => {
+  broadcast({
+    type: 'rules_updated',
+    data: rules
+  });
+});
+
+rulesEngine.on('triggered', ({ rule, event, results, success, error }) => {
+  console.log(`⚡ Rule "${rule.name}" triggered by ${event.type}${success ? '' : ` (failed: ${error})`}`);
+  broadcast({
+    type: 'rule_triggered',
+    data: { id: rule.id, name: rule.name, event, results, success, error }
+  });
+});
+
+rulesEngine.load()
+  .then(rules => console.log(`📋 Loaded ${rules.length} automation rule(s)`))
+  .catch(error => console.error('❌ Failed to load automation rules:', error.message));
+
+const scheduler = new Scheduler({
+  execute: (name, args, origin) => auditLog.run(origin, () => functions[name].execute(args)),
+  actionNames: automationActions
+});
+
+scheduler.on('changed', schedules => {
+  broadcast({
+    type: 'schedules_updated',
+    data: schedules
+  });
+});
+
+scheduler.on('ran', ({ schedule, result, success, error }) => {
+  console.log(`⏰ Schedule "${schedule.name}" ran ${schedule.function}${success ? '' : ` (failed: ${error})`}`);
+  broadcast({
+    type: 'schedule_ran',
+    data: { id: schedule.id, name: schedule.name, function: schedule.function, result, success, error, nextRun: schedule.nextRun }
+  });
+});
+
+scheduler.load()
+  .then(schedules => console.log(`⏰ Loaded ${schedules.length} schedule(s)`))
+  .catch(error => console.error('❌ Failed to load schedules:', error.message));
+
+// Sensor history: sampled pins and every other reading
+const sensorSampler = new SensorSampler({
+  read: readPin,
+  resolveBoardId: (reference) => resolveBoard(reference).id,
+  validatePin: (boardId, type, pin) => {
+    const board = boards.get(boardId);
+    if (!(type === 'analog' ? isAnalogPin : isDigitalPin)(board.profile, pin)) {
+      throw new Error(`Invalid sensor pin ${pinLabel(type, pin)}${describePinRange(board, type, pin)}`);
+    }
+  }
+});
+
+// Stream samples to clients that subscribed to the board and pin
+sensorSampler.on('sample', sample => {
+  const message = JSON.stringify({ type: 'sensor_sample', data: sample });
+  connectedClients.forEach(client => {
+    const subscriptions = client.sensorSubscriptions || [];
+    const subscribed = subscriptions.some(subscription =>
+      (!subscription.boardId || subscription.boardId === sample.boardId) &&
+      (!subscription.pin || subscription.pin === sample.pin));
+    if (subscribed && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+});
+
+sensorSampler.on('sampling', sampling => {
+  broadcast({
+    type: 'sensor_sampling',
+    data: sampling
+  });
+});
+
+sensorSampler.on('readFailed', failure => {
+  console.warn(`⚠️ Sampling ${failure.pin} on ${failure.boardId} failed ${failure.count} times in a row: ${failure.error}`);
+  broadcast({
+    type: 'sensor_read_failed',
+    data: failure
+  });
+});
+
+sensorSampler.on('readRecovered', recovery => {
+  console.log(`📈 Sampling ${recovery.pin} on ${recovery.boardId} works again after ${recovery.failures} failed reads`);
+  broadcast({
+    type: 'sensor_read_recovered',
+    data: recovery
+  });
+});
+
+// Macro steps keep the origin of whatever ran the macro
+const macros = new Macros({
+  execute: (name, args, origin) => auditLog.run({ type: 'macro', ...auditLog.origin(), ...origin }, () => functions[name].execute(args)),
+  stepNames: macroStepNames
+});
+
+macros.on('changed', list => {
+  broadcast({
+    type: 'macros_updated',
+    data: list
+  });
+});
+
+macros.on('progress', progress => {
+  if (progress.status !== 'step') {
+    console.log(`🎬 Macro "${progress.macro}" ${progress.status}${progress.error ? `: ${progress.error}` : ''}`);
+  }
+  broadcast({
+    type: 'macro_progress',
+    data: progress
+  });
+});
+
+macros.load()
+  .then(list => console.log(`🎬 Loaded ${list.length} macro(s)`))
+  .catch(error => console.error('❌ Failed to load macros:', error.message));
+
+// "Save what you just did": without steps, use the session's last turn
+function saveMacroFromChat(args, context = {}) {
+  let steps = args.steps;
+  if (!steps || steps.length === 0) {
+    steps = (lastTurnCalls.get(context.sessionId) || []).map(call => ({ function: call.name, args: call.args }));
+    if (steps.length === 0) {
+      throw new Error('Nothing to save: no hardware functions were called in the previous turn');
+    }
+  }
+  return macros.saveMacro({ name: args.name, description: args.description, steps });
+}
+
+// User scripts, each in its own worker thread
+const scriptRunner = new ScriptRunner({
+  execute: (name, args, origin) => auditLog.run(origin, () => functions[name].execute(args)),
+  read: readPin,
+  resolveBoardId: (reference) => resolveBoard(reference).id
+});
+
+sensorSampler.on('sample', sample => scriptRunner.handleSample(sample));
+
+scriptRunner.on('changed', scripts => {
+  broadcast({
+    type: 'scripts_updated',
+    data: scripts
+  });
+});
+
+scriptRunner.on('log', entry => {
+  broadcast({
+    type: 'script_log',
+    data: entry
+  });
+});
+
+scriptRunner.on('status', status => {
+  console.log(`📜 Script "${status.script}" ${status.status}${status.error ? `: ${status.error}` : ''}`);
+  broadcast({
+    type: 'script_status',
+    data: status
+  });
+});
+
+sensorSampler.load()
+  .then(sampling => console.log(`📈 Sampling ${sampling.length} sensor pin(s)`))
+  .catch(error => console.error('❌ Failed to load sensor sampling:', error.message));
+
+// Optional MQTT bridge with Home Assistant discovery, enabled by MQTT_URL
+let mqttBridge = null;
+if (process.env.MQTT_URL) {
+  try {
+    mqttBridge = new MqttBridge({
+      url: process.env.MQTT_URL,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      prefix: process.env.MQTT_TOPIC_PREFIX,
+      discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX,
+      switches: parsePinList(process.env.MQTT_SWITCH_PINS, 'digital'),
+      servos: parsePinList(process.env.MQTT_SERVO_PINS, 'digital'),
+      sensors: parsePinList(process.env.MQTT_SENSOR_PINS, 'analog'),
+      sensorInterval: parseInt(process.env.MQTT_SENSOR_INTERVAL) || undefined,
+      getBoards: () => Array.from(boards.values()).map(board => ({
+        id: board.id,
+        name: board.state.name,
+        model: board.profile.name,
+        connected: board.state.arduino.connected,
+        hardware: board.state.hardware
+      })),
+      execute: (name, args, origin) => auditLog.run(origin, () => functions[name].execute(args)),
+      read: readPin,
+      functionNames: macroStepNames.filter(name => !BOARDLESS_FUNCTIONS.includes(name))
+    });
+  } catch (error) {
+    console.error('❌ Invalid MQTT configuration:', error.message);
+  }
+}
+
+if (mqttBridge) {
+  mqttBridge.on('connected', ({ url }) => console.log(`📡 MQTT connected to ${url}`));
+  mqttBridge.on('disconnected', ({ url }) => console.warn(`📡 MQTT disconnected from ${url}; retrying`));
+  mqttBridge.on('error', error => console.error('❌ MQTT error:', error.message));
+  mqttBridge.on('command', outcome => {
+    if (!outcome.success) console.warn(`📡 MQTT command failed on ${outcome.boardId}: ${outcome.error}`);
+  });
+  mqttBridge.start();
+}
+
+// API Routes
+
+// Arduino setup and management endpoints
+app.get('/api/arduino/detect', async (_, res) => {
+  try {
+    const boards = await detectArduinoBoards();
+    res.json({ success: true, boards });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/arduino/connect', async (req, res) => {
+  try {
+    const { port, boardId, name, profile, fqbn } = req.body || {};
+    const board = await initializeArduino(port, { boardId, name, profile, fqbn });
+    res.json({ success: true, message: 'Arduino connected successfully', boardId: board.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Board capability profiles
+app.get('/api/arduino/profiles', (_, res) => {
+  res.json({ success: true, profiles: listProfiles() });
+});
+
+// Connected boards
+app.get('/api/arduino/boards', (_, res) => {
+  res.json({ success: true, boards: listBoards() });
+});
+
+app.patch('/api/arduino/boards/:board', (req, res) => {
+  let board;
+  try {
+    board = resolveBoard(req.params.board);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  try {
+    const { name, profile } = req.body || {};
+    if (name !== undefined) {
+      board.state.name = name ? String(name).trim() : null;
+    }
+    if (profile !== undefined) {
+      const nextProfile = resolveProfile({ profile });
+      if (nextProfile !== board.profile) {
+        board.allocator.setProfile(nextProfile);
+      }
+      board.profile = nextProfile;
+      board.state.arduino.profile = board.profile.id;
+    }
+    broadcast({
+      type: 'system_state_update',
+      data: systemState
+    });
+    res.json({ success: true, board: listBoards().find(entry => entry.id === board.id) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/arduino/boards/:board', async (req, res) => {
+  try {
+    const board = await removeBoard(req.params.board);
+    res.json({ success: true, message: `Board ${board.id} disconnected` });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Pin allocations
+app.get('/api/arduino/pins', (req, res) => {
+  try {
+    res.json({ success: true, ...ArduinoController.listPinAllocations(req.query.board) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/arduino/pins/:pin/release', async (req, res) => {
+  try {
+    const { board, force } = req.body || {};
+    res.json(await ArduinoController.releasePin(parseInt(req.params.pin), Boolean(force), board));
+  } catch (error) {
+    res.status(error.code === 'PIN_CONFLICT' ? 409 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// A REST endpoint per controller method. Parameters are checked against the
+// function declarations the AI gets, then by the controller for the board;
+// the same declarations generate /api/openapi.json.
+const HARDWARE_ROUTES = [
+  { method: 'post', path: '/api/arduino/led/on', functions: ['ledOn'] },
+  { method: 'post', path: '/api/arduino/led/off', functions: ['ledOff'] },
+  { method: 'post', path: '/api/arduino/led/blink', functions: ['ledBlink'] },
+  { method: 'post', path: '/api/arduino/led/fade', functions: ['ledFade'] },
+  { method: 'post', path: '/api/arduino/led/morse', functions: ['ledMorse'] },
+  { method: 'post', path: '/api/arduino/led/pattern', functions: ['ledPattern'] },
+  { method: 'post', path: '/api/arduino/effects/stop', functions: ['stopEffects'] },
+  {
+    method: 'put',
+    path: '/api/arduino/pins/:pin',
+    functions: ['setPinMode', 'digitalWrite'],
+    operationId: 'setPin',
+    summary: 'Set the mode of a pin and/or write a digital value (0 or 1) to it'
+  },
+  { method: 'get', path: '/api/arduino/pins/:pin/digital', functions: ['digitalRead'] },
+  { method: 'put', path: '/api/arduino/pins/:pin/pwm', functions: ['analogWrite'] },
+  { method: 'put', path: '/api/arduino/pins/:pin/servo', functions: ['servoWrite'] },
+  { method: 'get', path: '/api/arduino/analog/:pin', functions: ['analogRead'] },
+  { method: 'get', path: '/api/arduino/status', functions: ['getStatus'] },
+  { method: 'post', path: '/api/arduino/reset', functions: ['resetArduino'] },
+  // Registered above with their own handlers; listed for the OpenAPI document
+  { method: 'get', path: '/api/arduino/boards', functions: ['listBoards'], custom: true },
+  { method: 'get', path: '/api/arduino/pins', functions: ['listPinAllocations'], custom: true },
+  { method: 'post', path: '/api/arduino/pins/:pin/release', functions: ['releasePin'], custom: true }
+];
+
+// Arguments from the path (pin numbers), plus the query string for GET and
+// the JSON body otherwise
+function hardwareArgs(req) {
+  const args = { ...(req.method === 'GET' ? req.query : req.body || {}) };
+  Object.entries(req.params).forEach(([name, value]) => {
+    if (!/^\d+$/.test(value)) throw new Error(`${name} must be a number`);
+    args[name] = Number(value);
+  });
+  return args;
+}
+
+function hardwareRoute(route) {
+  return async (req, res) => {
+    const results = {};
+    try {
+      const args = hardwareArgs(req);
+      const declarations = getFunctionDeclarations();
+      const routeDeclarations = route.functions.map(name => declarations.find(declaration => declaration.name === name));
+
+      // A route with several functions runs each one whose own parameters were sent
+      const selected = routeDeclarations.length === 1 ? routeDeclarations : routeDeclarations.filter(declaration =>
+        declaration.parameters.required.some(name => !(name in req.params) && args[name] !== undefined));
+      if (selected.length === 0) {
+        const names = routeDeclarations.flatMap(declaration => declaration.parameters.required.filter(name => !(name in req.params)));
+        throw new Error(`Send at least one of: ${names.join(', ')}`);
+      }
+
+      // Check everything before anything is sent to the board
+      const known = new Set(selected.flatMap(declaration => Object.keys(declaration.parameters.properties)));
+      const unknown = Object.keys(args).find(name => !known.has(name));
+      if (unknown) throw new Error(`Unknown parameter: ${unknown}`);
+      const calls = selected.map(declaration => {
+        const callArgs = {};
+        Object.keys(declaration.parameters.properties).forEach(name => {
+          if (args[name] !== undefined) callArgs[name] = args[name];
+        });
+        validateArgs(declaration.parameters, callArgs, { typeOnly: ['pin'] });
+        return { name: declaration.name, args: callArgs };
+      });
+
+      for (const call of calls) {
+        const result = await functions[call.name].execute(call.args);
+        results[call.name] = result;
+        if (result && result.success === false) {
+          return res.status(502).json({ success: false, error: result.message || `${call.name} failed on the board`, results });
+        }
+      }
+      res.json({ success: true, results });
+    } catch (error) {
+      const status = { PIN_CONFLICT: 409, SAFETY_VIOLATION: 422, UNSUPPORTED_COMMAND: 501 }[error.code] || 400;
+      // results lists the calls that already ran, if any
+      const ran = Object.keys(results).length > 0 ? results : undefined;
+      res.status(status).json({ success: false, error: error.message, code: error.code, details: error.details, results: ran });
+    }
+  };
+}
+
+HARDWARE_ROUTES.filter(route => !route.custom).forEach(route => {
+  app[route.method](route.path, hardwareRoute(route));
+});
+
+app.get('/api/openapi.json', (_, res) => {
+  res.json(buildOpenApiDocument({
+    title: 'Arduino AI Control',
+    version: packageInfo.version,
+    routes: HARDWARE_ROUTES.map(route => ({ ...route, scope: requiredScope({ method: route.method.toUpperCase(), path: route.path }) })),
+    declarations: getFunctionDeclarations()
+  }));
+});
+
+const UPLOAD_ERROR_STATUSES = { UPLOAD_IN_PROGRESS: 409, COMPILE_FAILED: 422, HANDSHAKE_FAILED: 502 };
+
+app.post('/api/arduino/upload', async (req, res) => {
+  try {
+    const { port, fqbn, boardType, boardId, name } = req.body || {};
+    const result = await uploadFirmware(port, { fqbn: fqbn || boardType, boardId, name });
+    res.json({ ...result, message: 'Firmware uploaded successfully' });
+  } catch (error) {
+    const status = UPLOAD_ERROR_STATUSES[error.code] || (error.phase ? 500 : 400);
+    res.status(status).json({ success: false, error: error.message, code: error.code, phase: error.phase });
+  }
+});
+
+// Compile the firmware for a board without uploading it
+async function verifyFirmware({ fqbn, board: reference, profile } = {}) {
+  const board = reference ? resolveBoard(reference) : null;
+  const selectedFqbn = firmwareUploader.resolveFqbn({ fqbn, profile: profile || (board ? board.profile.id : null) });
+  return firmwareUploader.verify({ fqbn: selectedFqbn });
+}
+
+app.post('/api/arduino/firmware/verify', async (req, res) => {
+  try {
+    const result = await verifyFirmware(req.body || {});
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = UPLOAD_ERROR_STATUSES[error.code] || (error.phase ? 500 : 400);
+    res.status(status).json({ success: false, error: error.message, code: error.code, phase: error.phase });
+  }
+});
+
+// The firmware each board runs, what the server expects and running uploads
+app.get('/api/arduino/firmware', (_, res) => {
+  res.json({
+    success: true,
+    expected: { firmwareVersion: EXPECTED_FIRMWARE_VERSION, protocolVersion: EXPECTED_PROTOCOL_VERSION },
+    boards: Array.from(boards.values()).map(board => ({
+      id: board.id,
+      port: board.state.arduino.port,
+      fqbn: board.profile.fqbn,
+      firmwareVersion: board.state.arduino.firmwareVersion,
+      protocolVersion: board.state.arduino.protocolVersion,
+      firmwareBoard: board.state.arduino.firmwareBoard,
+      firmwareOutdated: board.state.arduino.firmwareOutdated
+    })),
+    uploads: firmwareUploader.list()
+  });
+});
+
+// Simulated board: inspect its state and inject sensor readings
+function resolveSimulatedBoard(reference) {
+  const board = resolveBoard(reference);
+  if (!(board.port instanceof SimulatedSerialPort)) {
+    throw new Error(`Board ${describeBoard(board)} is not a simulated board`);
+  }
+  return board;
+}
+
+app.get('/api/arduino/simulator', (req, res) => {
+  try {
+    const board = resolveSimulatedBoard(req.query.board);
+    res.json({ success: true, boardId: board.id, simulator: board.port.getSnapshot() });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Drop the simulated board's connection as if its USB cable was pulled
+app.post('/api/arduino/simulator/disconnect', (req, res) => {
+  try {
+    const board = resolveSimulatedBoard((req.body || {}).board);
+    board.port.close();
+    res.json({ success: true, message: `Simulated board ${board.id} disconnected` });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/arduino/simulator/inputs', (req, res) => {
+  let board;
+  try {
+    board = resolveSimulatedBoard((req.body || {}).board);
+  } catch (error) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  try {
+    const { type = 'analog', pin, value } = req.body || {};
+    let applied;
+    if (type === 'analog') {
+      applied = board.port.setAnalogInput(pin, value);
+    } else if (type === 'digital') {
+      applied = board.port.setDigitalInput(pin, value);
+    } else {
+      return res.status(400).json({ success: false, error: 'Input type must be "analog" or "digital"' });
+    }
+    res.json({ success: true, boardId: board.id, input: { type, pin: parseInt(pin), value: applied } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// User scripts
+app.get('/api/arduino/scripts', async (_, res) => {
+  try {
+    res.json({ success: true, scripts: await scriptRunner.list(), runs: scriptRunner.listRuns() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/arduino/scripts/runs/:runId', (req, res) => {
+  try {
+    res.json({ success: true, run: scriptRunner.getRun(req.params.runId) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/arduino/scripts/runs/:runId/stop', (req, res) => {
+  try {
+    res.json({ success: true, run: scriptRunner.stopRun(req.params.runId) });
+  } catch (error) {
+    res.status(error.code === 'RUN_NOT_FOUND' ? 404 : 409).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/arduino/scripts/:name', async (req, res) => {
+  try {
+    const script = await scriptRunner.get(req.params.name);
+    res.type('application/javascript').send(script.source);
+  } catch (error) {
+    res.status(error.code === 'SCRIPT_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// Upload as plain JavaScript or as JSON { "source": "..." }
+app.put('/api/arduino/scripts/:name', express.text({ type: ['text/*', 'application/javascript'], limit: '64kb' }), async (req, res) => {
+  try {
+    const source = typeof req.body === 'string' ? req.body : (req.body || {}).source;
+    const script = await scriptRunner.save(req.params.name, source);
+    res.json({ success: true, script });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/arduino/scripts/:name', async (req, res) => {
+  try {
+    const script = await scriptRunner.remove(req.params.name);
+    res.json({ success: true, message: `Script "${script.name}" deleted` });
+  } catch (error) {
+    res.status(error.code === 'SCRIPT_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/arduino/scripts/:name/run', async (req, res) => {
+  try {
+    const { board } = req.body || {};
+    const run = await scriptRunner.start(req.params.name, { board });
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(error.code === 'SCRIPT_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// Serial transcript recording and replay
+app.get('/api/transcripts', async (_, res) => {
+  try {
+    const transcripts = await listTranscripts();
+    res.json({ success: true, recording: transcriptRecorder.getStatus(), transcripts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/transcripts/recording', async (req, res) => {
+  try {
+    const { enabled, name } = req.body || {};
+    const recording = await setTranscriptRecording(Boolean(enabled), name);
+    res.json({ success: true, recording });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/transcripts/:name', (req, res) => {
+  try {
+    res.type('application/x-ndjson');
+    res.sendFile(getTranscriptPath(req.params.name), error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Transcript not found' });
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/transcripts/:name/replay', async (req, res) => {
+  try {
+    const { speed, boardId } = req.body || {};
+    await initializeArduino(`${REPLAY_PORT_PREFIX}${req.params.name}`, { speed: parseReplaySpeed(speed), boardId });
+    res.json({ success: true, message: `Replaying transcript ${req.params.name}` });
+  } catch (error) {
+    const status = { ENOENT: 404, INVALID_SPEED: 400 }[error.code] || 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Automation rules
+app.get('/api/rules', (_, res) => {
+  res.json({ success: true, rules: rulesEngine.list() });
+});
+
+app.post('/api/rules', async (req, res) => {
+  try {
+    const rule = await rulesEngine.create(req.body || {});
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/rules/:id', (req, res) => {
+  try {
+    res.json({ success: true, rule: rulesEngine.get(req.params.id) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/rules/:id', async (req, res) => {
+  try {
+    const rule = await rulesEngine.update(req.params.id, req.body || {});
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(error.code === 'RULE_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const rule = await rulesEngine.remove(req.params.id);
+    res.json({ success: true, message: `Rule ${rule.id} deleted` });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Scheduled actions
+app.get('/api/schedules', (_, res) => {
+  res.json({ success: true, schedules: scheduler.list() });
+});
+
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const schedule = await scheduler.create(req.body || {});
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  try {
+    res.json({ success: true, schedule: scheduler.get(req.params.id) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await scheduler.cancel(req.params.id);
+    res.json({ success: true, message: `Schedule ${schedule.id} cancelled` });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Audit log: filter with from, to, origin, sessionId, client, board, command,
+// pin and success; format=jsonl downloads every match, oldest first
+app.get('/api/audit', async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (format !== 'json' && format !== 'jsonl') {
+    return res.status(400).json({ success: false, error: 'Format must be "json" or "jsonl"' });
+  }
+  try {
+    if (format === 'jsonl') {
+      const entries = await auditLog.query(req.query, { unlimited: req.query.limit === undefined });
+      res.attachment('audit.jsonl');
+      res.type('application/x-ndjson');
+      return res.send(entries.reverse().map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : ''));
+    }
+    const entries = await auditLog.query(req.query);
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Safety policy
+app.get('/api/safety', (_, res) => {
+  res.json({ success: true, policy: safetyPolicy.get(), violations: safetyPolicy.listViolations() });
+});
+
+app.put('/api/safety', async (req, res) => {
+  try {
+    res.json({ success: true, policy: await safetyPolicy.update(req.body || {}) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Approval policies and pending approvals
+app.get('/api/approvals', (_, res) => {
+  res.json({ success: true, policies: approvals.listPolicies(), pending: approvals.listPending() });
+});
+
+app.put('/api/approvals/policies', async (req, res) => {
+  try {
+    const { default: defaultPolicy, timeout, functions } = req.body || {};
+    const policies = await approvals.setPolicies({ default: defaultPolicy, timeout, functions });
+    res.json({ success: true, policies });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/approvals/:id', (req, res) => {
+  const { approved, reason } = req.body || {};
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'approved must be true or false' });
+  }
+  try {
+    res.json({ success: true, approval: approvals.respond(req.params.id, approved, { by: `api (${req.auth.name})`, reason }) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// API tokens
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, token: req.auth, authDisabled: AUTH_DISABLED });
+});
+
+app.get('/api/auth/tokens', (_, res) => {
+  res.json({ success: true, tokens: tokenStore.list() });
+});
+
+app.post('/api/auth/tokens', async (req, res) => {
+  try {
+    const { name, scope } = req.body || {};
+    const token = await tokenStore.create({ name, scope });
+    console.log(`🔑 Created ${token.scope} token ${token.id} ("${token.name}")`);
+    res.status(201).json({ success: true, token });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try {
+    res.json({ success: true, token: await tokenStore.revoke(req.params.id) });
+  } catch (error) {
+    res.status(error.code === 'TOKEN_NOT_FOUND' ? 404 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Chat sessions
+app.get('/api/chat/sessions', async (_, res) => {
+  try {
+    await chatSessions.prune();
+    res.json({ success: true, sessions: chatSessions.list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/chat/sessions/:id', (req, res) => {
+  try {
+    res.json({ success: true, session: chatSessions.exportSession(req.params.id) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Download the transcript, including function calls, as JSON or Markdown
+app.get('/api/chat/sessions/:id/export', (req, res) => {
+  const format = req.query.format || 'json';
+  try {
+    const exported = chatSessions.exportSession(req.params.id, format);
+    const file = `chat-${req.params.id.replace(/[^\w-]/g, '_')}.${format === 'markdown' ? 'md' : 'json'}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+    if (format === 'markdown') {
+      res.type('text/markdown').send(exported);
+    } else {
+      res.json(exported);
+    }
+  } catch (error) {
+    res.status(error.code === 'SESSION_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/chat/sessions/:id', async (req, res) => {
+  try {
+    const session = await chatSessions.rename(req.params.id, (req.body || {}).title);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(error.code === 'SESSION_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/chat/sessions/:id', async (req, res) => {
+  if (activeTurns.has(req.params.id)) {
+    return res.status(409).json({ success: false, error: `Session "${req.params.id}" is still answering a message` });
+  }
+  try {
+    await chatSessions.remove(req.params.id);
+    res.json({ success: true, message: `Chat session "${req.params.id}" deleted` });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Macros
+app.get('/api/macros', (_, res) => {
+  res.json({ success: true, macros: macros.list() });
+});
+
+app.get('/api/macros/runs', (_, res) => {
+  res.json({ success: true, runs: macros.listRuns() });
+});
+
+app.post('/api/macros/runs/:runId/abort', (req, res) => {
+  try {
+    res.json({ success: true, run: macros.abort(req.params.runId) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/macros/:name', (req, res) => {
+  try {
+    res.json({ success: true, macro: macros.get(req.params.name) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/macros/:name', async (req, res) => {
+  try {
+    const macro = await macros.saveMacro({ ...(req.body || {}), name: req.params.name });
+    res.json({ success: true, macro });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/macros/:name', async (req, res) => {
+  try {
+    const macro = await macros.remove(req.params.name);
+    res.json({ success: true, message: `Macro "${macro.name}" deleted` });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Runs the macro to the end; abort it from another request or the WebSocket
+app.post('/api/macros/:name/run', async (req, res) => {
+  try {
+    const { params, board } = req.body || {};
+    const result = await macros.run(req.params.name, params, { board });
+    res.json(result);
+  } catch (error) {
+    res.status(error.code === 'MACRO_NOT_FOUND' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// Sensor sampling and history
+app.get('/api/sensors', (_, res) => {
+  res.json({ success: true, series: sensorSampler.listSeries(), sampling: sensorSampler.listSampling() });
+});
+
+app.post('/api/sensors/sampling', async (req, res) => {
+  try {
+    const { board, pin, interval } = req.body || {};
+    const sampling = await sensorSampler.startSampling({ board, pin, interval });
+    res.json({ success: true, sampling });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/sensors/sampling/:pin', async (req, res) => {
+  try {
+    const sampling = await sensorSampler.stopSampling({ board: req.query.board, pin: req.params.pin });
+    res.json({ success: true, sampling });
+  } catch (error) {
+    res.status(error.code === 'NOT_SAMPLED' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// ?from=&to= (ISO time or ms), ?last=ms, ?bucket=ms or ?points=n to
+// downsample, ?format=csv to download
+app.get('/api/sensors/:pin/history', (req, res) => {
+  try {
+    const { board, from, to, last, bucket, points, format = 'json' } = req.query;
+    if (last && !(Number(last) >= 0)) throw new Error('last must be a number of ms');
+    const history = sensorSampler.history({
+      board,
+      pin: req.params.pin,
+      from: last ? Date.now() - Number(last) : parseTime(from, 'from'),
+      to: parseTime(to, 'to'),
+      bucket: bucket ? Number(bucket) : undefined,
+      points: points ? Number(points) : undefined
+    });
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`${history.boardId}-${history.pin}.csv`);
+      return res.send(historyToCsv(history));
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({ success: false, error: 'Format must be "json" or "csv"' });
+    }
+    res.json({ success: true, ...history });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/mqtt', (_, res) => {
+  res.json({ success: true, mqtt: mqttBridge ? mqttBridge.status() : { enabled: false } });
+});
+
+app.get('/api/system/state', (_, res) => {
+  res.json({ success: true, state: systemState });
+});
+
+// Chat endpoint for AI interaction
+// Turns in progress keyed by chat session ID; cancel() aborts one
+const activeTurns = new Map();
+let turnCounter = 0;
+
+// Plans from dry-run turns, waiting to be executed
+const MAX_PLANS = 20;
+const chatPlans = new Map();
+let planCounter = 0;
+
+// Functions a dry run may call for real because they change nothing
+const DRY_RUN_READ_ONLY = ['listBoards', 'listPinAllocations', 'listRules', 'listSchedules', 'listMacros'];
+
+function createDryRun() {
+  return new DryRun({
+    boards: Array.from(boards.values())
+      .filter(board => board.state.arduino.connected)
+      .map(board => ({ id: board.id, profile: board.profile, hardware: board.state.hardware })),
+    resolveBoardId: (reference) => resolveBoard(reference).id,
+    checkSafety: (boardId, command, params) => safetyPolicy.check(boardId, command, params, { dryRun: true }),
+    readOnly: Object.fromEntries(DRY_RUN_READ_ONLY.map(name => [name, (args) => functions[name].execute(args)]))
+  });
+}
+
+function savePlan(sessionId, message, dryRun) {
+  const plan = {
+    id: `plan${++planCounter}`,
+    sessionId,
+    message,
+    steps: dryRun.plan,
+    calls: dryRun.calls(),
+    diff: dryRun.diff(),
+    createdAt: new Date().toISOString(),
+    executedAt: null
+  };
+  chatPlans.set(plan.id, plan);
+  if (chatPlans.size > MAX_PLANS) chatPlans.delete(chatPlans.keys().next().value);
+  return plan;
+}
+
+function getPlan(planId) {
+  const plan = chatPlans.get(planId);
+  if (!plan) {
+    throw Object.assign(new Error(`Unknown plan: ${planId}`), { code: 'PLAN_NOT_FOUND' });
+  }
+  return plan;
+}
+
+/**
+ * Run a dry-run plan's calls against the real boards, in order and without
+ * asking the model again. Approval policies apply as in the chat, wrapped
+ * calls included. Stops at the first failure.
+ */
+async function executePlan(planId) {
+  const plan = getPlan(planId);
+  if (plan.executedAt) {
+    throw Object.assign(new Error(`Plan ${planId} was already executed at ${plan.executedAt}`), { code: 'PLAN_EXECUTED' });
+  }
+  plan.executedAt = new Date().toISOString();
+  console.log(`📋 Executing ${plan.id} (${plan.calls.length} call(s))`);
+
+  const results = [];
+  let failed = false;
+  for (const call of plan.calls) {
+    if (failed) {
+      results.push({ ...call, skipped: true });
+      continue;
+    }
+    try {
+      await approvals.check(call.name, call.args, { sessionId: plan.sessionId });
+      const origin = { type: 'plan', planId: plan.id, sessionId: plan.sessionId, prompt: plan.message };
+      results.push({ ...call, result: await auditLog.run(origin, () => functions[call.name].execute(call.args, { sessionId: plan.sessionId })) });
+    } catch (error) {
+      failed = true;
+      results.push({ ...call, error: error.message, ...(error.code && { code: error.code }) });
+    }
+  }
+
+  const replayable = results.filter(entry => entry.result && macroStepNames.includes(entry.name)).map(({ name, args }) => ({ name, args }));
+  if (replayable.length > 0) {
+    lastTurnCalls.set(plan.sessionId, replayable);
+  }
+
+  return { planId: plan.id, completed: !failed, results };
+}
+
+/**
+ * Run one chat turn: the session's LLM, or the offline parser when there is
+ * none or the LLM call fails before anything ran. With hooks.dryRun the
+ * function calls are simulated, the session's history is left as it was,
+ * and the result carries the plan to execute later.
+ * @param {string} sessionId
+ * @param {string} message
+ * @param {Object} [hooks] - dryRun flag; onStarted(turnId), onText, onToolCallStarted, onToolCallFinished and onFallback(error) callbacks
+ * @returns {Promise<Object>} { turnId, response, functionsCalled, offline?, llmError?, plan? }
+ */
+async function runChatTurn(sessionId, message, hooks = {}) {
+  if (activeTurns.has(sessionId)) {
+    throw Object.assign(new Error(`Session "${sessionId}" is still answering the previous message`), { code: 'TURN_IN_PROGRESS' });
+  }
+
+  const turnId = hooks.turnId || `turn${++turnCounter}`;
+  const via = auditLog.origin() || { type: 'system' };
+  const controller = new AbortController();
+  activeTurns.set(sessionId, { turnId, controller, owner: hooks.owner || null });
+
+  try {
+    if (hooks.onStarted) hooks.onStarted(turnId);
+
+    // Sessions keep their history when they switch provider or model, and
+    // each turn sees the boards connected right now
+    const session = await chatSessions.open(sessionId);
+    const historyLength = session.history.length;
+    const dryRun = hooks.dryRun ? createDryRun() : null;
+    const chat = new ChatSession(offlineParser, dryRun ? session.history.slice() : session.history);
+
+    const turn = {
+      tools: getFunctionDeclarations().filter(declaration => supportedByFirmware(declaration.name)),
+      callFunction: async (name, args) => {
+        if (!functions[name]) throw new Error(`Unknown function: ${name}`);
+        if (dryRun) return dryRun.execute(name, args);
+        await approvals.check(name, args, { sessionId, turnId, signal: controller.signal });
+        return auditLog.run({ type: 'chat', via: via.type, sessionId, turnId, prompt: message }, () => functions[name].execute(args, { sessionId }));
+      },
+      onText: hooks.onText,
+      onToolCallStarted: hooks.onToolCallStarted,
+      onToolCallFinished: hooks.onToolCallFinished,
+      signal: controller.signal
+    };
+
+    let reply = null;
+    let llmError = null;
+    const llm = sessionLlms.get(sessionId) || defaultLlm;
+    if (llm) {
+      chat.provider = llm.provider;
+      try {
+        reply = await chat.send(message, turn);
+      } catch (error) {
+        if (error.code === 'CHAT_CANCELLED' || error.functionsCalled.length > 0) throw error;
+        console.error('⚠️ LLM call failed, using the offline parser:', error.message);
+        llmError = error.message;
+        if (hooks.onFallback) hooks.onFallback(error);
+      }
+    }
+    if (!reply) {
+      chat.provider = offlineParser;
+      reply = await chat.send(message, turn);
+    }
+
+    const result = {
+      turnId,
+      response: reply.text,
+      functionsCalled: reply.functionsCalled,
+      ...(chat.provider === offlineParser && { offline: true }),
+      ...(llmError && { llmError })
+    };
+
+    if (dryRun) {
+      const plan = savePlan(sessionId, message, dryRun);
+      console.log(`📋 Dry run planned ${plan.calls.length} call(s) as ${plan.id}`);
+      return { ...result, dryRun: true, plan };
+    }
+
+    const replayable = reply.functionsCalled.filter(call => macroStepNames.includes(call.name));
+    if (replayable.length > 0) {
+      lastTurnCalls.set(sessionId, replayable);
+    }
+
+    try {
+      await chatSessions.recordTurn(sessionId, historyLength);
+    } catch (error) {
+      console.error(`❌ Failed to save chat session ${sessionId}:`, error.message);
+    }
+
+    return result;
+  } finally {
+    activeTurns.delete(sessionId);
+  }
+}
+
+// Stop a session's turn after the function call in progress
+function cancelChatTurn(sessionId) {
+  const active = activeTurns.get(sessionId);
+  if (!active) {
+    throw Object.assign(new Error(`Session "${sessionId}" has no turn in progress`), { code: 'TURN_NOT_FOUND' });
+  }
+  active.controller.abort();
+  return active.turnId;
+}
+
+app.post('/chat', async (req, res) => {
+  const { message, sessionId = 'default', dryRun = false } = req.body || {};
+
+  // Validate input
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message is required and must be a non-empty string' });
+  }
+
+  if (!systemState.arduino.connected) {
+    return res.status(503).json({ error: 'Arduino not connected. Please connect Arduino first.' });
+  }
+
+  try {
+    const { turnId, response, ...result } = await runChatTurn(sessionId, message, { dryRun: dryRun === true });
+    res.json({
+      response,
+      ...result,
+      systemState: systemState
+    });
+  } catch (error) {
+    if (error.code === 'TURN_IN_PROGRESS') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'CHAT_CANCELLED') {
+      return res.status(409).json({ error: 'Chat turn cancelled', functionsCalled: error.functionsCalled });
+    }
     console.error('Chat error:', error);
     res.status(500).json({ error: 'Failed to process chat message: ' + error.message });
   }
 });
 
+app.get('/api/chat/plans/:planId', (req, res) => {
+  try {
+    res.json({ success: true, plan: getPlan(req.params.planId) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Replay a dry run's calls for real
+app.post('/api/chat/plans/:planId/execute', async (req, res) => {
+  try {
+    const result = await executePlan(req.params.planId);
+    res.json({ success: result.completed, ...result, systemState });
+  } catch (error) {
+    const status = { PLAN_NOT_FOUND: 404, PLAN_EXECUTED: 409 }[error.code] || 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // Legacy endpoints for compatibility
 app.get('/led/state', (_, res) => {
   res.json({ state: systemState.hardware.led });
@@ -1046,15 +3837,32 @@ app.get('/health', (_, res) => {
     status: 'ok',
     arduino: systemState.arduino.connected ? 'connected' : 'disconnected',
     firmware: systemState.arduino.firmwareUploaded,
-    apiKey: currentApiKey ? 'configured' : 'not_configured',
+    apiKey: defaultLlm && defaultLlm.config.apiKey ? 'configured' : 'not_configured',
+    llm: describeProviderConfig(defaultLlm && defaultLlm.config),
     setup: systemState.setup,
     timestamp: new Date().toISOString()
   });
 });
 
-// Start server
-server.listen(port, () => {
-  console.log(`🚀 Arduino AI Control Server running at http://localhost:${port}`);
-  console.log(`📱 Open your browser and navigate to the URL above`);
-  console.log(`🔌 WebSocket server ready for real-time communication`);
-});
\ No newline at end of file
+// Start server once the API tokens are loaded; without them every request
+// would be answered with 401
+tokenStore.load()
+  .then(adminToken => {
+    if (AUTH_DISABLED) console.warn('⚠️ AUTH_DISABLED=true: the API and WebSocket accept requests without a token');
+    if (adminToken) {
+      console.log('🔑 Created the first admin token (also saved to data/admin-token.txt):');
+      console.log(`   ${adminToken}`);
+    } else {
+      console.log(`🔒 Loaded ${tokenStore.list().filter(token => !token.revokedAt).length} API token(s)`);
+    }
+
+    server.listen(port, () => {
+      console.log(`🚀 Arduino AI Control Server running at http://localhost:${port}`);
+      console.log(`📱 Open your browser and navigate to the URL above`);
+      console.log(`🔌 WebSocket server ready for real-time communication`);
+    });
+  })
+  .catch(error => {
+    console.error(`❌ Failed to load API tokens from ${tokenStore.file}:`, error.message);
+    process.exit(1);
+  });
\ No newline at end of file
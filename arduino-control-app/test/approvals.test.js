@@ -0,0 +1,130 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Approvals } = require('../lib/approvals');
+
+const FUNCTION_NAMES = ['ledOn', 'servoWrite', 'scheduleAction', 'runMacro'];
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'approvals-test-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createApprovals(options = {}) {
+  return new Approvals({ functionNames: FUNCTION_NAMES, file: path.join(directory, 'approvals.json'), ...options });
+}
+
+test('runs auto calls and refuses denied ones', async () => {
+  const approvals = createApprovals();
+  await approvals.setPolicies({ functions: { servoWrite: 'deny' } });
+
+  await approvals.check('ledOn', {});
+  await assert.rejects(approvals.check('servoWrite', { pin: 9, angle: 90 }), error => {
+    assert.equal(error.code, 'APPROVAL_DENIED');
+    assert.match(error.message, /servoWrite is disabled by the approval policy/);
+    return true;
+  });
+});
+
+test('waits for an answer on confirm', async () => {
+  const approvals = createApprovals();
+  await approvals.setPolicies({ default: 'confirm' });
+
+  const requested = [];
+  approvals.on('requested', approval => requested.push(approval));
+  const resolved = [];
+  approvals.on('resolved', approval => resolved.push(approval));
+
+  const approved = approvals.check('ledOn', {}, { sessionId: 'session1' });
+  assert.equal(requested.length, 1);
+  assert.equal(requested[0].sessionId, 'session1');
+  assert.deepEqual(approvals.listPending().map(approval => approval.id), [requested[0].id]);
+
+  approvals.respond(requested[0].id, true, { by: 'tester' });
+  await approved;
+  assert.equal(resolved[0].approved, true);
+  assert.equal(resolved[0].by, 'tester');
+
+  const refused = approvals.check('ledOn', {});
+  approvals.respond(requested[1].id, false, { reason: 'Not now' });
+  await assert.rejects(refused, /The user did not approve ledOn: Not now/);
+  assert.throws(() => approvals.respond(requested[1].id, true), error => error.code === 'APPROVAL_NOT_FOUND');
+});
+
+test('denies confirm calls nobody can answer', async () => {
+  const approvals = createApprovals({ hasApprovers: () => false });
+  await approvals.setPolicies({ functions: { ledOn: 'confirm' } });
+  await assert.rejects(approvals.check('ledOn', {}), /nobody is connected to approve it/);
+});
+
+test('denies a request when the turn is cancelled, also before it was asked', async () => {
+  const approvals = createApprovals();
+  await approvals.setPolicies({ default: 'confirm' });
+
+  const controller = new AbortController();
+  const waiting = approvals.check('ledOn', {}, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(waiting, /Chat turn cancelled/);
+
+  let requested = false;
+  approvals.on('requested', () => { requested = true; });
+  await assert.rejects(approvals.check('ledOn', {}, { signal: controller.signal }), /Chat turn cancelled/);
+  assert.equal(requested, false);
+  assert.equal(approvals.listPending().length, 0);
+});
+
+test('denies a request nobody answers in time', async () => {
+  const approvals = createApprovals();
+  approvals.applyPolicies({ default: 'confirm' });
+  approvals.timeout = 20;
+  await assert.rejects(approvals.check('ledOn', {}), /No answer within 0.02s/);
+});
+
+test('applies the strictest policy among wrapped calls', async () => {
+  const macroSteps = { wave: [{ name: 'ledOn', args: {} }, { name: 'servoWrite', args: { pin: 9 } }] };
+  const approvals = createApprovals({
+    wrappedCalls: (name, args) => {
+      if (name === 'scheduleAction') return [{ name: args.function, args: args.args }];
+      if (name === 'runMacro') return macroSteps[args.name];
+      return [];
+    }
+  });
+  await approvals.setPolicies({ functions: { servoWrite: 'deny', ledOn: 'confirm' } });
+
+  assert.deepEqual(approvals.resolvePolicy('scheduleAction', { function: 'ledOn' }), { policy: 'confirm', from: 'ledOn' });
+  assert.deepEqual(approvals.resolvePolicy('runMacro', { name: 'wave' }), { policy: 'deny', from: 'servoWrite' });
+  assert.deepEqual(approvals.resolvePolicy('scheduleAction', { function: 'runMacro', args: { name: 'wave' } }), { policy: 'deny', from: 'servoWrite' });
+  assert.deepEqual(approvals.resolvePolicy('runMacro', { name: 'missing' }), { policy: 'auto', from: 'runMacro' });
+
+  await assert.rejects(approvals.check('runMacro', { name: 'wave' }), /runMacro \(it runs servoWrite\) is disabled/);
+
+  let approval = null;
+  approvals.on('requested', requested => { approval = requested; });
+  const scheduled = approvals.check('scheduleAction', { function: 'ledOn' });
+  assert.equal(approval.wraps, 'ledOn');
+  approvals.respond(approval.id, true);
+  await scheduled;
+});
+
+test('validates and stores policies', async () => {
+  const approvals = createApprovals();
+  assert.throws(() => approvals.applyPolicies({ default: 'maybe' }), /Default policy must be one of/);
+  assert.throws(() => approvals.applyPolicies({ timeout: 10 }), /Timeout must be 5000-600000 ms/);
+  assert.throws(() => approvals.applyPolicies({ functions: { format: 'deny' } }), /Unknown function: format/);
+
+  await approvals.setPolicies({ timeout: 30000, functions: { servoWrite: 'confirm' } });
+  await approvals.setPolicies({ functions: { servoWrite: null, ledOn: 'deny' } });
+
+  const reloaded = createApprovals();
+  const policies = await reloaded.load();
+  assert.equal(policies.timeout, 30000);
+  assert.equal(policies.functions.servoWrite, 'auto');
+  assert.equal(policies.functions.ledOn, 'deny');
+});
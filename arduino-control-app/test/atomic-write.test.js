@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('../lib/atomic-write');
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'atomic-write-test-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('creates missing directories and leaves no temporary file', async () => {
+  const file = path.join(directory, 'nested', 'store.json');
+  await writeFileAtomic(file, '{"ok":true}');
+  assert.equal(await fs.promises.readFile(file, 'utf8'), '{"ok":true}');
+  assert.deepEqual(await fs.promises.readdir(path.dirname(file)), ['store.json']);
+});
+
+test('concurrent writes to one file all succeed and the newest content wins', async () => {
+  const file = path.join(directory, 'store.json');
+  const writes = [];
+  for (let index = 0; index < 20; index++) {
+    writes.push(writeFileAtomic(file, JSON.stringify({ index })));
+  }
+  await Promise.all(writes);
+
+  assert.deepEqual(JSON.parse(await fs.promises.readFile(file, 'utf8')), { index: 19 });
+  assert.deepEqual(await fs.promises.readdir(directory), ['store.json']);
+});
+
+test('writes waiting for their turn are merged into one write', async () => {
+  const file = path.join(directory, 'store.json');
+  const rename = fs.promises.rename;
+  const renamed = [];
+  fs.promises.rename = async (from, to) => {
+    renamed.push(await fs.promises.readFile(from, 'utf8'));
+    return rename(from, to);
+  };
+  try {
+    const first = writeFileAtomic(file, 'first');
+    await new Promise(resolve => setImmediate(resolve));
+    await Promise.all([
+      first,
+      writeFileAtomic(file, 'second'),
+      writeFileAtomic(file, 'third')
+    ]);
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  assert.deepEqual(renamed, ['first', 'third']);
+  assert.equal(await fs.promises.readFile(file, 'utf8'), 'third');
+});
+
+test('a failed write does not block the next one', async () => {
+  const file = path.join(directory, 'store.json');
+  await fs.promises.mkdir(`${file}.tmp`);
+  await assert.rejects(writeFileAtomic(file, 'lost'));
+
+  await fs.promises.rmdir(`${file}.tmp`);
+  await writeFileAtomic(file, 'saved');
+  assert.equal(await fs.promises.readFile(file, 'utf8'), 'saved');
+});
+
+test('passes write options through', { skip: process.platform === 'win32' }, async () => {
+  const file = path.join(directory, 'tokens.json');
+  await writeFileAtomic(file, '{}', { mode: 0o600 });
+  assert.equal((await fs.promises.stat(file)).mode & 0o777, 0o600);
+});
@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenStore, hasScope, requiredScope, tokenFromRequest } = require('../lib/auth');
+
+let directory;
+let store;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+  store = createStore();
+});
+
+afterEach(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createStore() {
+  return new TokenStore({
+    file: path.join(directory, 'tokens.json'),
+    adminTokenFile: path.join(directory, 'admin-token.txt')
+  });
+}
+
+test('orders scopes read < operate < admin', () => {
+  assert.equal(hasScope('read', 'read'), true);
+  assert.equal(hasScope('read', 'operate'), false);
+  assert.equal(hasScope('operate', 'read'), true);
+  assert.equal(hasScope('operate', 'admin'), false);
+  assert.equal(hasScope('admin', 'operate'), true);
+  assert.equal(hasScope('admin', 'owner'), false);
+  assert.equal(hasScope(undefined, 'read'), false);
+});
+
+test('writes the admin token on the first run and loads it afterwards', async () => {
+  const adminToken = await store.load();
+  assert.match(adminToken, /^ard_/);
+  assert.equal(await fs.promises.readFile(store.adminTokenFile, 'utf8'), `${adminToken}\n`);
+  if (process.platform !== 'win32') {
+    assert.equal((await fs.promises.stat(store.adminTokenFile)).mode & 0o777, 0o600);
+  }
+  assert.equal(store.verify(adminToken).scope, 'admin');
+
+  // Only the hash is stored
+  assert.doesNotMatch(await fs.promises.readFile(store.file, 'utf8'), new RegExp(adminToken));
+
+  const reloaded = createStore();
+  assert.equal(await reloaded.load(), null);
+  assert.equal(reloaded.verify(adminToken).name, 'admin');
+});
+
+test('rejects a corrupt token file instead of starting empty', async () => {
+  await fs.promises.writeFile(store.file, '{"tokens": [');
+  await assert.rejects(store.load(), SyntaxError);
+  await assert.rejects(fs.promises.access(store.adminTokenFile));
+});
+
+test('rejects unknown and revoked tokens', async () => {
+  await store.load();
+  const { id, token } = await store.create({ name: 'dashboard', scope: 'read' });
+  assert.equal(store.verify(token).scope, 'read');
+  assert.equal(store.verify(`${token}x`), null);
+  assert.equal(store.verify('ard_unknown'), null);
+  assert.equal(store.verify(''), null);
+  assert.equal(store.verify(null), null);
+
+  await store.revoke(id);
+  assert.equal(store.verify(token), null);
+  assert.equal(store.isActive(id), false);
+
+  // Revocation survives a restart
+  const reloaded = createStore();
+  await reloaded.load();
+  assert.equal(reloaded.verify(token), null);
+
+  await assert.rejects(store.revoke('token99'), error => error.code === 'TOKEN_NOT_FOUND');
+  await assert.rejects(store.create({ name: 'x', scope: 'owner' }), /Scope must be one of/);
+});
+
+test('reads the token from the header, and from the query only when allowed', () => {
+  const header = { headers: { authorization: 'Bearer ard_abc' }, url: '/' };
+  const query = { headers: {}, url: '/?token=ard_def' };
+  assert.equal(tokenFromRequest(header), 'ard_abc');
+  assert.equal(tokenFromRequest(query), null);
+  assert.equal(tokenFromRequest(query, { allowQuery: true }), 'ard_def');
+  assert.equal(tokenFromRequest({ headers: { authorization: 'Basic abc' }, url: '/' }), null);
+});
+
+test('needs admin for scripts, firmware, the safety policy and tokens', () => {
+  const admin = [
+    ['PUT', '/api/arduino/scripts/blink'],
+    ['DELETE', '/api/arduino/scripts/blink'],
+    ['POST', '/api/arduino/scripts/blink/run'],
+    ['POST', '/api/arduino/upload'],
+    ['POST', '/api/arduino/firmware/verify'],
+    ['PUT', '/api/safety'],
+    ['PUT', '/api/approvals/policies'],
+    ['GET', '/api/auth/tokens'],
+    ['POST', '/api/auth/tokens'],
+    ['DELETE', '/api/auth/tokens/token2']
+  ];
+  admin.forEach(([method, requestPath]) => {
+    assert.equal(requiredScope({ method, path: requestPath }), 'admin', `${method} ${requestPath}`);
+  });
+
+  assert.equal(requiredScope({ method: 'GET', path: '/api/arduino/scripts' }), 'read');
+  assert.equal(requiredScope({ method: 'GET', path: '/api/safety' }), 'read');
+  assert.equal(requiredScope({ method: 'HEAD', path: '/api/audit' }), 'read');
+  assert.equal(requiredScope({ method: 'POST', path: '/api/rules' }), 'operate');
+  assert.equal(requiredScope({ method: 'POST', path: '/api/arduino/scripts/runs/run1/stop' }), 'operate');
+});
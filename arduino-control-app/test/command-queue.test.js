@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandQueue, MAX_FRAME_LENGTH } = require('../lib/command-queue');
+
+// A queue whose written frames are collected instead of sent
+function createQueue(options = {}) {
+  const written = [];
+  const queue = new CommandQueue({
+    write: async message => {
+      written.push(JSON.parse(message));
+    },
+    ...options
+  });
+  return { queue, written };
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('resolves a command with the response carrying its id', async () => {
+  const { queue, written } = createQueue();
+  const result = queue.enqueue('LED_ON');
+  await tick();
+
+  assert.equal(written.length, 1);
+  assert.equal(written[0].command, 'LED_ON');
+  assert.equal(queue.handleResponse({ id: written[0].id, success: true, message: 'LED turned on' }), true);
+  assert.deepEqual(await result, { id: written[0].id, success: true, message: 'LED turned on' });
+  assert.equal(queue.getStats().completed, 1);
+});
+
+test('keeps only maxInFlight commands on the wire', async () => {
+  const { queue, written } = createQueue();
+  const first = queue.enqueue('LED_ON');
+  const second = queue.enqueue('LED_OFF');
+  await tick();
+
+  assert.deepEqual(written.map(frame => frame.command), ['LED_ON']);
+  assert.equal(queue.depth, 1);
+
+  queue.handleResponse({ id: written[0].id, success: true });
+  await first;
+  await tick();
+  assert.deepEqual(written.map(frame => frame.command), ['LED_ON', 'LED_OFF']);
+
+  queue.handleResponse({ id: written[1].id, success: true });
+  await second;
+});
+
+test('serves the high lane first and the low lane last', async () => {
+  const { queue, written } = createQueue();
+  const pending = [
+    queue.enqueue('PING'),
+    queue.enqueue('STATUS'),
+    queue.enqueue('LED_ON'),
+    queue.enqueue('STOP_EFFECTS'),
+    queue.enqueue('LED_OFF', {}, { priority: 'high' })
+  ];
+
+  for (let index = 0; index < pending.length; index++) {
+    await tick();
+    const frame = written[index];
+    queue.handleResponse(frame.command === 'STATUS' ? { type: 'status', data: {} } : { id: frame.id, success: true });
+  }
+  await Promise.all(pending);
+
+  assert.deepEqual(written.map(frame => frame.command), ['PING', 'STOP_EFFECTS', 'LED_OFF', 'LED_ON', 'STATUS']);
+});
+
+test('matches an untagged status update to a STATUS command', async () => {
+  const { queue } = createQueue();
+  const status = queue.enqueue('STATUS');
+  await tick();
+
+  assert.equal(queue.handleResponse({ type: 'status', data: { led: true } }), true);
+  assert.deepEqual((await status).data, { led: true });
+  assert.equal(queue.handleResponse({ type: 'status', data: {} }), false);
+});
+
+test('times out a command without a response and moves on', async () => {
+  const { queue, written } = createQueue({ defaultTimeout: 20 });
+  const first = queue.enqueue('LED_ON');
+  const second = queue.enqueue('LED_OFF');
+
+  await assert.rejects(first, /Command timeout: LED_ON/);
+  await tick();
+  assert.equal(written[1].command, 'LED_OFF');
+  queue.handleResponse({ id: written[1].id, success: true });
+  await second;
+
+  const stats = queue.getStats();
+  assert.equal(stats.timedOut, 1);
+  assert.equal(stats.failed, 0);
+});
+
+test('resolves once written when no response is expected', async () => {
+  const { queue } = createQueue();
+  const result = await queue.enqueue('LED_ON', {}, { expectResponse: false });
+  assert.deepEqual(result, { success: true, command: 'LED_ON', params: {} });
+  assert.equal(queue.inFlight.size, 0);
+});
+
+test('reports a failed write', async () => {
+  const queue = new CommandQueue({ write: () => Promise.reject(new Error('Port is not open')) });
+  await assert.rejects(queue.enqueue('LED_ON'), /Failed to send command: Port is not open/);
+  assert.equal(queue.getStats().failed, 1);
+});
+
+test('rejects commands beyond maxDepth', async () => {
+  const { queue } = createQueue({ maxDepth: 1 });
+  const inFlight = queue.enqueue('LED_ON');
+  const waiting = queue.enqueue('LED_OFF');
+  await assert.rejects(queue.enqueue('PING'), /Command queue full \(1 commands waiting\)/);
+  assert.equal(queue.getStats().rejected, 1);
+
+  queue.rejectAll(new Error('Port closed'));
+  await assert.rejects(inFlight, /Port closed/);
+  await assert.rejects(waiting, /Port closed/);
+});
+
+test('refuses frames longer than the firmware input buffer', async () => {
+  const { queue, written } = createQueue();
+  await assert.rejects(queue.enqueue('LED_MORSE', { text: 'x'.repeat(MAX_FRAME_LENGTH) }), /Command too long/);
+  assert.equal(written.length, 0);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConnectionSupervisor } = require('../lib/connection-supervisor');
+
+const IDENTITY = { path: '/dev/ttyACM0', serialNumber: 'A1', vendorId: '2341', productId: '0043', simulated: false };
+
+// Resolves with the emitted states once `last` is reached
+function statesUntil(supervisor, last) {
+  const states = [];
+  return new Promise(resolve => {
+    supervisor.on('state', ({ state, nextRetryIn }) => {
+      states.push(nextRetryIn === undefined ? state : `${state} ${nextRetryIn}`);
+      if (state === last) resolve(states);
+    });
+  });
+}
+
+test('retries a failed reconnect with growing delays', async () => {
+  let attempts = 0;
+  const supervisor = new ConnectionSupervisor({
+    listPorts: async () => [{ path: '/dev/ttyACM0', serialNumber: 'A1' }],
+    reconnect: async () => {
+      if (++attempts < 3) throw new Error('Firmware did not answer the handshake');
+    },
+    initialDelay: 5,
+    maxDelay: 8
+  });
+
+  const states = statesUntil(supervisor, 'connected');
+  supervisor.watch('board1', IDENTITY);
+  assert.deepEqual(await states, [
+    'disconnected', 'reconnecting', 'retry_scheduled 5', 'reconnecting', 'retry_scheduled 8', 'reconnecting', 'connected'
+  ]);
+  assert.equal(supervisor.isRecovering('board1'), false);
+});
+
+test('gives up only on errors marked not to retry', async () => {
+  const supervisor = new ConnectionSupervisor({
+    listPorts: async () => [{ path: '/dev/ttyACM0' }],
+    reconnect: async () => {
+      throw Object.assign(new Error('Board was removed'), { retry: false });
+    }
+  });
+
+  const states = statesUntil(supervisor, 'failed');
+  supervisor.watch('board1', IDENTITY);
+  assert.deepEqual(await states, ['disconnected', 'reconnecting', 'failed']);
+  assert.equal(supervisor.isRecovering('board1'), false);
+});
+
+test('waits for the board to reappear, also under a new path', async () => {
+  let ports = [];
+  const reconnected = [];
+  const supervisor = new ConnectionSupervisor({
+    listPorts: async () => ports,
+    reconnect: async (boardId, portPath) => {
+      reconnected.push(portPath);
+    },
+    pollInterval: 5
+  });
+
+  const states = statesUntil(supervisor, 'connected');
+  supervisor.watch('board1', IDENTITY);
+  setTimeout(() => {
+    ports = [{ path: '/dev/ttyACM1', vendorId: '2341', productId: '0043' }];
+  }, 20);
+
+  assert.deepEqual(await states, ['disconnected', 'waiting', 'reconnecting', 'connected']);
+  assert.deepEqual(reconnected, ['/dev/ttyACM1']);
+});
+
+test('stops watching on unwatch', async () => {
+  const supervisor = new ConnectionSupervisor({ listPorts: async () => [], reconnect: async () => {}, pollInterval: 5 });
+  const states = statesUntil(supervisor, 'stopped');
+  supervisor.watch('board1', IDENTITY);
+  setTimeout(() => supervisor.unwatch('board1'), 15);
+  assert.deepEqual(await states, ['disconnected', 'waiting', 'stopped']);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime } = require('../lib/cron');
+
+test('parses lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+  assert.equal(cron.anyWeekday, false);
+});
+
+test('a range start with a step runs to the end of the field', () => {
+  assert.deepEqual([...parseCron('10/20 * * * *').minutes], [10, 30, 50]);
+});
+
+test('expands aliases and treats 7 as Sunday', () => {
+  const cron = parseCron('@daily');
+  assert.equal(cron.expression, '@daily');
+  assert.deepEqual([...cron.minutes], [0]);
+  assert.deepEqual([...cron.hours], [0]);
+  assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+});
+
+test('rejects invalid expressions with a readable message', () => {
+  assert.throws(() => parseCron('* * * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute field is outside 0-59/);
+  assert.throws(() => parseCron('* * * 0 *'), /month field is outside 1-12/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step "0"/);
+  assert.throws(() => parseCron('5-1 * * * *'), /outside/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid minute "a"/);
+  assert.throws(() => parseCron(''), /needs 5 fields/);
+});
+
+test('finds the next matching minute after the start time', () => {
+  const from = new Date(2026, 0, 5, 10, 7, 30);
+  assert.deepEqual(nextCronTime('*/15 * * * *', from), new Date(2026, 0, 5, 10, 15));
+  assert.deepEqual(nextCronTime('0 9 * * *', from), new Date(2026, 0, 6, 9, 0));
+  // Never the start minute itself
+  assert.deepEqual(nextCronTime('7 10 * * *', from), new Date(2026, 0, 6, 10, 7));
+});
+
+test('rolls over months and years', () => {
+  assert.deepEqual(nextCronTime('0 0 1 * *', new Date(2026, 0, 31, 12, 0)), new Date(2026, 1, 1, 0, 0));
+  assert.deepEqual(nextCronTime('@yearly', new Date(2026, 5, 1)), new Date(2027, 0, 1, 0, 0));
+});
+
+test('runs on a day matching either day of month or day of week', () => {
+  // 2026-01-05 is a Monday; the next Friday is the 9th, before the 15th
+  const from = new Date(2026, 0, 5, 12, 0);
+  assert.deepEqual(nextCronTime('0 8 15 * 5', from), new Date(2026, 0, 9, 8, 0));
+  assert.deepEqual(nextCronTime('0 8 * * 5', from), new Date(2026, 0, 9, 8, 0));
+  assert.deepEqual(nextCronTime('0 8 6 * *', from), new Date(2026, 0, 6, 8, 0));
+});
+
+test('returns null for an expression that never matches', () => {
+  assert.equal(nextCronTime('0 0 31 2 *', new Date(2026, 0, 1)), null);
+});
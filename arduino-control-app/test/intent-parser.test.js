@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OfflineIntentParser, parseCommand } = require('../lib/intent-parser');
+
+const PHRASES = [
+  ['turn on the led', { name: 'ledOn', args: {} }],
+  ['Please switch the LED off.', { name: 'ledOff', args: {} }],
+  ['blink fast', { name: 'ledBlink', args: { rate: 150 } }],
+  ['blink slowly', { name: 'ledBlink', args: { rate: 1000 } }],
+  ['blink every 2 seconds', { name: 'ledBlink', args: { rate: 2000 } }],
+  ['flash at 300 ms', { name: 'ledBlink', args: { rate: 300 } }],
+  ['fade slowly', { name: 'ledFade', args: { speed: 2 } }],
+  ['fade with speed 7', { name: 'ledFade', args: { speed: 7 } }],
+  ['stop', { name: 'stopEffects', args: {} }],
+  ['reset', { name: 'resetArduino', args: {} }],
+  ['status', { name: 'getStatus', args: {} }],
+  ['set pin 7 high', { name: 'digitalWrite', args: { pin: 7, value: 1 } }],
+  ['set pin 7 low', { name: 'digitalWrite', args: { pin: 7, value: 0 } }],
+  ['set pin 9 to output', { name: 'setPinMode', args: { pin: 9, mode: 'OUTPUT' } }],
+  ['set pin 2 to input pullup', { name: 'setPinMode', args: { pin: 2, mode: 'INPUT_PULLUP' } }],
+  ['set PWM on pin 9 to 128', { name: 'analogWrite', args: { pin: 9, value: 128 } }],
+  ['dim pin 5 to 50%', { name: 'analogWrite', args: { pin: 5, value: 127 } }],
+  ['servo on 9 to 45 degrees', { name: 'servoWrite', args: { pin: 9, angle: 45 } }],
+  ['move the servo on pin 10 to 90', { name: 'servoWrite', args: { pin: 10, angle: 90 } }],
+  ['morse SOS', { name: 'ledMorse', args: { text: 'SOS' } }],
+  ['send "hi there" in morse', { name: 'ledMorse', args: { text: 'hi there' } }],
+  ['pattern 1010', { name: 'ledPattern', args: { pattern: '1010' } }],
+  ['read A0', { name: 'analogRead', args: { pin: 0 } }],
+  ['what is analog pin 3', { name: 'analogRead', args: { pin: 3 } }],
+  ['read pin 7', { name: 'digitalRead', args: { pin: 7 } }],
+  ['release pin 9', { name: 'releasePin', args: { pin: 9 } }]
+];
+
+test('maps each phrasing onto one call', () => {
+  PHRASES.forEach(([phrase, call]) => {
+    assert.deepEqual(parseCommand(phrase), { calls: [call], unknown: [] }, phrase);
+  });
+});
+
+test('chains commands with "and", "then" and ";"', () => {
+  assert.deepEqual(parseCommand('turn on the led and then set pin 7 high; read A0, then blink fast').calls, [
+    { name: 'ledOn', args: {} },
+    { name: 'digitalWrite', args: { pin: 7, value: 1 } },
+    { name: 'analogRead', args: { pin: 0 } },
+    { name: 'ledBlink', args: { rate: 150 } }
+  ]);
+  // Separators inside quotes belong to the morse text
+  assert.deepEqual(parseCommand('morse "SOS and help" then stop').calls, [
+    { name: 'ledMorse', args: { text: 'SOS and help' } },
+    { name: 'stopEffects', args: {} }
+  ]);
+});
+
+test('picks the board named in a clause', () => {
+  assert.deepEqual(parseCommand('blink fast on the left board and servo on 9 to 45 degrees on board right').calls, [
+    { name: 'ledBlink', args: { rate: 150, board: 'left' } },
+    { name: 'servoWrite', args: { pin: 9, angle: 45, board: 'right' } }
+  ]);
+  assert.deepEqual(parseCommand('turn on the led for the Kitchen board').calls, [
+    { name: 'ledOn', args: { board: 'Kitchen' } }
+  ]);
+});
+
+test('reports clauses it does not understand', () => {
+  assert.deepEqual(parseCommand('turn on the led and make coffee'), {
+    calls: [{ name: 'ledOn', args: {} }],
+    unknown: ['make coffee']
+  });
+  assert.deepEqual(parseCommand(''), { calls: [], unknown: [] });
+});
+
+test('answers like an LLM provider: calls first, then a summary', async () => {
+  const parser = new OfflineIntentParser();
+  const user = { role: 'user', text: 'read A0 and dance' };
+
+  const first = await parser.generate({ history: [user] });
+  assert.deepEqual(first.functionCalls, [{ id: 'offline_0', name: 'analogRead', args: { pin: 0 } }]);
+
+  const model = { role: 'model', text: '', functionCalls: first.functionCalls };
+  const results = { role: 'function', results: [{ id: 'offline_0', name: 'analogRead', response: { result: { message: '512' } } }] };
+  const summary = await parser.generate({ history: [user, model, results] });
+  assert.equal(summary.text, 'A0 reads 512\nI did not understand: "dance"');
+
+  const unknown = await parser.generate({ history: [{ role: 'user', text: 'make coffee' }] });
+  assert.deepEqual(unknown.functionCalls, []);
+  assert.match(unknown.text, /only understand simple commands/);
+});
@@ -0,0 +1,120 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Macros } = require('../lib/macros');
+
+const STEP_NAMES = ['servoWrite', 'ledFade', 'digitalWrite', 'ledMorse'];
+
+let directory;
+let calls;
+let macros;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'macros-test-'));
+  calls = [];
+  macros = new Macros({
+    execute: async (name, args, origin) => {
+      calls.push({ name, args, origin });
+      return { success: true };
+    },
+    stepNames: STEP_NAMES,
+    file: path.join(directory, 'macros.json')
+  });
+});
+
+afterEach(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('fills whole placeholders with numbers and embedded ones as text', async () => {
+  await macros.saveMacro({
+    name: 'Greeting',
+    parameters: [{ name: 'angle', default: 0 }],
+    steps: [
+      { function: 'servoWrite', args: { pin: 9, angle: '{{ angle }}' } },
+      { function: 'ledMorse', args: { text: 'HI {{who}} AT {{angle}}' } }
+    ]
+  });
+
+  const result = await macros.run('greeting', { angle: '90', who: 'BOB' });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(calls.map(call => call.args), [
+    { pin: 9, angle: 90 },
+    { text: 'HI BOB AT 90' }
+  ]);
+  assert.deepEqual(calls[0].origin, { macro: 'Greeting', runId: result.runId });
+});
+
+test('uses parameter defaults and the run\'s board', async () => {
+  await macros.saveMacro({
+    name: 'Home',
+    parameters: [{ name: 'angle', default: 45 }],
+    steps: [{ function: 'servoWrite', args: { pin: 9, angle: '{{angle}}' } }]
+  });
+
+  await macros.run('Home', {}, { board: 'simulated://uno' });
+  assert.deepEqual(calls[0].args, { pin: 9, angle: 45, board: 'simulated://uno' });
+});
+
+test('turns undeclared placeholders into required parameters', async () => {
+  const saved = await macros.saveMacro({
+    name: 'Pin',
+    steps: [{ function: 'digitalWrite', args: { pin: '{{pin}}', value: 1 } }]
+  });
+  assert.deepEqual(saved.parameters, [{ name: 'pin' }]);
+
+  await assert.rejects(macros.run('Pin'), /needs parameter "pin"/);
+  await macros.run('Pin', { pin: 7 });
+  assert.deepEqual(calls[0].args, { pin: 7, value: 1 });
+});
+
+test('substitutes a wait placeholder', async () => {
+  await macros.saveMacro({
+    name: 'Pause',
+    steps: [{ wait: '{{ms}}' }, { function: 'ledFade', args: { speed: 3 } }]
+  });
+
+  const started = Date.now();
+  const result = await macros.run('Pause', { ms: '30' });
+  assert.equal(result.status, 'completed');
+  assert.ok(Date.now() - started >= 25);
+});
+
+test('fails a wait placeholder outside the allowed range', async () => {
+  await macros.saveMacro({ name: 'Pause', steps: [{ wait: '{{ms}}' }] });
+
+  for (const ms of ['-5', 'soon', '3600001']) {
+    const result = await macros.run('Pause', { ms });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'Step 1 failed: wait must be 0-3600000 ms');
+  }
+});
+
+test('rejects invalid definitions', () => {
+  assert.throws(() => macros.validate({ name: '', steps: [{ wait: 1 }] }), /1-50 characters/);
+  assert.throws(() => macros.validate({ name: 'x', steps: [] }), /at least one step/);
+  assert.throws(() => macros.validate({ name: 'x', steps: [{ function: 'eval' }] }), /Step 1: function must be one of/);
+  assert.throws(() => macros.validate({ name: 'x', steps: [{ wait: -1 }] }), /Step 1: wait must be 0-3600000 ms/);
+  assert.throws(() => macros.validate({ name: 'x', steps: [{ wait: 'soon' }] }), /wait must be/);
+});
+
+test('stores macros and loads them back', async () => {
+  await macros.saveMacro({ name: 'Fade', steps: [{ function: 'ledFade', args: { speed: 2 } }] });
+
+  const reloaded = new Macros({ execute: async () => {}, stepNames: STEP_NAMES, file: macros.file });
+  assert.deepEqual((await reloaded.load()).map(macro => macro.name), ['Fade']);
+});
+
+test('reports the failing step', async () => {
+  macros.execute = async () => {
+    throw new Error('Pin 9 is in use');
+  };
+  await macros.saveMacro({ name: 'Broken', steps: [{ wait: 0 }, { function: 'servoWrite', args: { pin: 9, angle: 0 } }] });
+
+  const result = await macros.run('Broken');
+  assert.equal(result.success, false);
+  assert.equal(result.status, 'failed');
+  assert.equal(result.error, 'Step 2 failed: Pin 9 is in use');
+});
@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTime } = require('../lib/parse-time');
+
+test('parses ISO times and ms since the epoch', () => {
+  assert.equal(parseTime('1700000000000', 'from'), 1700000000000);
+  assert.equal(parseTime(1700000000000, 'from'), 1700000000000);
+  assert.equal(parseTime('2026-01-01T00:00:00Z', 'from'), Date.UTC(2026, 0, 1));
+});
+
+test('treats a missing time as no limit and rejects invalid ones', () => {
+  assert.equal(parseTime(undefined, 'from'), null);
+  assert.equal(parseTime('', 'to'), null);
+  assert.throws(() => parseTime('yesterday', 'to'), /^Error: to must be an ISO date\/time or ms since the epoch$/);
+});
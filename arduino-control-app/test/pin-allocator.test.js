@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PinAllocator, PinConflictError } = require('../lib/pin-allocator');
+const { getProfile } = require('../lib/board-profiles');
+
+test('starts with the profile\'s serial pins reserved', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  assert.deepEqual(pins.list().map(({ pin, use, label }) => ({ pin, use, label })), [
+    { pin: 0, use: 'serial', label: 'Serial RX' },
+    { pin: 1, use: 'serial', label: 'Serial TX' }
+  ]);
+  assert.deepEqual(new PinAllocator(getProfile('leonardo')).list(), []);
+});
+
+test('allows free pins and the same use again', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  assert.equal(pins.check(9, 'servo'), null);
+  pins.claim(9, 'servo', 'servoWrite');
+  assert.equal(pins.check(9, 'servo'), null);
+  assert.equal(pins.claim(9, 'servo', 'macro').by, 'macro');
+});
+
+test('warns when switching between output and input uses', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  pins.claim(7, 'digital_output', 'digitalWrite');
+  assert.equal(pins.check(7, 'input'), 'Pin 7 is in use as digital output by digitalWrite; it is now used as input instead');
+  pins.claim(7, 'input', 'digitalRead');
+  assert.equal(pins.get(7).use, 'input');
+});
+
+test('rejects other uses of a servo or LED effect pin until released', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  pins.claim(9, 'servo', 'servoWrite');
+  pins.claim(13, 'led_effect', 'ledBlink');
+
+  assert.throws(() => pins.check(9, 'pwm'), error => {
+    assert.ok(error instanceof PinConflictError);
+    assert.equal(error.code, 'PIN_CONFLICT');
+    assert.equal(error.use, 'servo');
+    assert.equal(error.requestedUse, 'pwm');
+    assert.match(error.message, /Release it with releasePin\(9\) first/);
+    return true;
+  });
+  assert.throws(() => pins.check(13, 'input'), /Turn the LED off or stop the effect first/);
+
+  assert.equal(pins.release(9).use, 'servo');
+  assert.equal(pins.check(9, 'pwm'), null);
+  assert.equal(pins.release(9), null);
+});
+
+test('keeps serial pins unless released with force', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  assert.throws(() => pins.check(1, 'digital_output'), /would break communication with the board/);
+  assert.throws(() => pins.release(1), /pass force to release it anyway/);
+  assert.equal(pins.release(1, { force: true }).label, 'Serial TX');
+  assert.equal(pins.check(1, 'digital_output'), null);
+});
+
+test('starts over when the profile changes', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  pins.claim(9, 'servo', 'servoWrite');
+  pins.setProfile(getProfile('leonardo'));
+  assert.equal(pins.get(9), null);
+  assert.equal(pins.get(0), null);
+
+  pins.setProfile(getProfile('mega'));
+  pins.claim(44, 'pwm', 'analogWrite');
+  pins.reset();
+  assert.equal(pins.get(44), null);
+  assert.equal(pins.get(0).use, 'serial');
+});
+
+test('restores the previous allocation after a failed command', () => {
+  const pins = new PinAllocator(getProfile('uno'));
+  const claimed = pins.claim(9, 'pwm', 'analogWrite');
+  pins.restore(9, claimed, null);
+  assert.equal(pins.get(9), null);
+
+  const previous = pins.claim(7, 'digital_output', 'digitalWrite');
+  pins.restore(7, pins.claim(7, 'digital_output', 'macro'), previous);
+  assert.equal(pins.get(7), previous);
+  assert.equal(previous.by, 'digitalWrite');
+
+  // A claim made in the meantime is kept
+  const failed = pins.claim(5, 'pwm', 'analogWrite');
+  pins.claim(5, 'servo', 'servoWrite');
+  pins.restore(5, failed, null);
+  assert.equal(pins.get(5).use, 'servo');
+});
@@ -0,0 +1,145 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RulesEngine } = require('../lib/rules-engine');
+
+let directory;
+let engine;
+let calls;
+let readings;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rules-engine-test-'));
+  calls = [];
+  readings = {};
+  engine = createEngine();
+});
+
+afterEach(async () => {
+  engine.stop();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createEngine() {
+  return new RulesEngine({
+    execute: async (name, args, origin) => {
+      calls.push({ name, args, origin });
+      return { success: true };
+    },
+    read: async (board, type, pin) => ({ boardId: 'board1', value: readings[`${type}${pin}`] }),
+    resolveBoardId: (board) => board || 'board1',
+    actionNames: ['digitalWrite', 'ledBlink'],
+    file: path.join(directory, 'rules.json')
+  });
+}
+
+function whenDark(extra = {}) {
+  return engine.create({
+    name: 'Light on when dark',
+    trigger: { type: 'analog', pin: 0, below: 300, poll: 0 },
+    actions: [{ function: 'digitalWrite', args: { pin: 7, value: 1 } }],
+    ...extra
+  });
+}
+
+function triggered() {
+  return new Promise(resolve => engine.once('triggered', resolve));
+}
+
+async function stored() {
+  return JSON.parse(await fs.promises.readFile(engine.file, 'utf8')).rules;
+}
+
+test('rejects invalid rules', async () => {
+  await assert.rejects(engine.create({ trigger: { type: 'sound' }, actions: [] }), /trigger type must be one of/);
+  await assert.rejects(engine.create({ trigger: { type: 'analog', pin: 0 }, actions: [] }), /needs "above" and\/or "below"/);
+  await assert.rejects(engine.create({ trigger: { type: 'timer', every: 10 }, actions: [] }), /at least 1000 ms/);
+  await assert.rejects(whenDark({ actions: [{ function: 'resetArduino' }] }), /Action 1: function must be one of/);
+  await assert.rejects(whenDark({ conditions: [{ type: 'time', after: '25:00' }] }), /must be a time like 07:30/);
+  assert.deepEqual(engine.list(), []);
+});
+
+test('fires once when a reading enters the range', async () => {
+  const rule = await whenDark();
+
+  const fired = triggered();
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  assert.equal((await fired).success, true);
+  // Still dark, or another pin or board: no new run
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 100 });
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 1, value: 700 });
+  engine.handleEvent({ type: 'analog', boardId: 'board2', pin: 0, value: 100 });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(calls, [{
+    name: 'digitalWrite',
+    args: { pin: 7, value: 1, board: 'board1' },
+    origin: { type: 'rule', rule: rule.id }
+  }]);
+
+  // Light again, then dark again
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 800 });
+  const again = triggered();
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 250 });
+  await again;
+  assert.equal(calls.length, 2);
+  assert.equal(engine.get(rule.id).triggerCount, 2);
+});
+
+test('checks conditions and the cooldown before running', async () => {
+  await whenDark({ conditions: [{ type: 'digital', pin: 2, value: 1 }], cooldown: 60000 });
+
+  readings.digital2 = 0;
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(calls.length, 0);
+
+  readings.digital2 = 1;
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 800 });
+  const fired = triggered();
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  await fired;
+  assert.equal(calls.length, 1);
+
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 800 });
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(calls.length, 1);
+});
+
+test('reports a failing action', async () => {
+  engine.execute = async () => {
+    throw new Error('Pin 7 is in use');
+  };
+  const rule = await whenDark();
+  const fired = triggered();
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  assert.equal((await fired).error, 'Pin 7 is in use');
+  assert.equal(engine.get(rule.id).lastError, 'Pin 7 is in use');
+});
+
+test('saves definitions right away and run statistics later', async () => {
+  const rule = await whenDark();
+  assert.equal((await stored())[0].triggerCount, 0);
+
+  const fired = triggered();
+  engine.handleEvent({ type: 'analog', boardId: 'board1', pin: 0, value: 200 });
+  await fired;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal((await stored())[0].triggerCount, 0);
+  assert.ok(engine.statsTimer);
+
+  // The next definition change writes the statistics too
+  await engine.update(rule.id, { cooldown: 1000 });
+  const [saved] = await stored();
+  assert.equal(saved.triggerCount, 1);
+  assert.equal(saved.cooldown, 1000);
+  assert.equal(engine.statsTimer, null);
+
+  const reloaded = createEngine();
+  await reloaded.load();
+  reloaded.stop();
+  assert.equal(reloaded.get(rule.id).triggerCount, 1);
+});
@@ -0,0 +1,151 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SafetyPolicy, SafetyViolationError } = require('../lib/safety-policy');
+
+let directory;
+let safety;
+let now;
+
+beforeEach(async (t) => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'safety-policy-test-'));
+  safety = new SafetyPolicy({ file: path.join(directory, 'safety.json') });
+  now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+});
+
+afterEach(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function violationRule(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof SafetyViolationError);
+    assert.equal(error.code, 'SAFETY_VIOLATION');
+    return error.details.rule;
+  }
+  return null;
+}
+
+test('allows everything without a policy, and ignores commands that drive no pin', () => {
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 1, value: 1 });
+  safety.check('board1', 'SERVO_WRITE', { pin: 9, angle: 180 });
+  safety.check('board1', 'LED_ON', {});
+  safety.check('board1', 'ANALOG_READ', { pin: 0 });
+});
+
+test('only writes writablePins, with board overrides', async () => {
+  await safety.update({ writablePins: [7, 8, 9], boards: { left: { writablePins: [3] } } });
+
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+  assert.equal(violationRule(() => safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: 10 })), 'writablePins');
+  assert.equal(violationRule(() => safety.check('board1', 'PIN_MODE', { pin: 5, mode: 'OUTPUT' })), 'writablePins');
+  safety.check('board1', 'PIN_MODE', { pin: 5, mode: 'INPUT' });
+  safety.check('board1', 'LED_BLINK', { rate: 100 });
+
+  assert.deepEqual(safety.resolve('left').writablePins, [3]);
+  safety.check('left', 'DIGITAL_WRITE', { pin: 3, value: 1 });
+  assert.throws(() => safety.check('left', 'DIGITAL_WRITE', { pin: 7, value: 1 }), /pin 7 is not writable \(writable pins: 3\)/);
+
+  await safety.update({ writablePins: [] });
+  assert.throws(() => safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 }), /writable pins: none/);
+});
+
+test('merges per-pin limits of a board over the top-level ones', async () => {
+  await safety.update({
+    maxWritesPerSecond: 20,
+    pins: { 9: { servo: { min: 20, max: 160 }, maxWritesPerSecond: 5 } },
+    boards: { left: { maxWritesPerSecond: 2, pins: { 9: { servo: { max: 90 } } } } }
+  });
+
+  assert.deepEqual(safety.resolve('board1'), {
+    maxWritesPerSecond: 20,
+    pins: { 9: { servo: { min: 20, max: 160 }, maxWritesPerSecond: 5 } }
+  });
+  assert.deepEqual(safety.resolve('left'), {
+    maxWritesPerSecond: 2,
+    pins: { 9: { servo: { max: 90 }, maxWritesPerSecond: 5 } }
+  });
+});
+
+test('keeps servo angles and PWM values in range', async () => {
+  await safety.update({ pins: { 9: { servo: { min: 20, max: 160 } }, 5: { pwm: { max: 128 } } } });
+
+  safety.check('board1', 'SERVO_WRITE', { pin: 9, angle: 20 });
+  safety.check('board1', 'SERVO_WRITE', { pin: 9, angle: 160 });
+  assert.throws(() => safety.check('board1', 'SERVO_WRITE', { pin: 9, angle: 170 }),
+    /servo angle 170° on pin 9 is out of range; it must be at least 20° and at most 160°/);
+  assert.equal(violationRule(() => safety.check('board1', 'SERVO_WRITE', { pin: 9, angle: 10 })), 'servoRange');
+
+  safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: 128 });
+  assert.throws(() => safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: 200 }), /PWM value 200 on pin 5 is out of range; it must be at most 128/);
+  // Other pins are not limited
+  safety.check('board1', 'ANALOG_WRITE', { pin: 6, value: 255 });
+});
+
+test('limits writes per second for each pin', async () => {
+  await safety.update({ maxWritesPerSecond: 3, pins: { 7: { maxWritesPerSecond: 1 } } });
+
+  for (let index = 0; index < 3; index++) safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: index });
+  assert.equal(violationRule(() => safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: 3 })), 'maxWritesPerSecond');
+  // Counted per board and pin
+  safety.check('board1', 'ANALOG_WRITE', { pin: 6, value: 3 });
+  safety.check('board2', 'ANALOG_WRITE', { pin: 5, value: 3 });
+
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+  assert.throws(() => safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 }), /pin 7 allows at most 1 write\(s\) per second/);
+
+  now += 1000;
+  safety.check('board1', 'ANALOG_WRITE', { pin: 5, value: 4 });
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+});
+
+test('waits minToggleInterval between digital changes', async () => {
+  await safety.update({ pins: { 7: { minToggleInterval: 2000 } } });
+
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+  // Writing the same value again is no toggle
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+
+  now += 500;
+  assert.throws(() => safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 0 }), error => {
+    assert.equal(error.details.rule, 'minToggleInterval');
+    assert.equal(error.details.retryAfter, 1500);
+    return true;
+  });
+
+  now += 1500;
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 0 });
+});
+
+test('dry runs neither count writes nor report violations', async () => {
+  await safety.update({ maxWritesPerSecond: 1, writablePins: [7] });
+  const reported = [];
+  safety.on('violation', entry => reported.push(entry));
+
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 }, { dryRun: true });
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 }, { dryRun: true });
+  assert.throws(() => safety.check('board1', 'DIGITAL_WRITE', { pin: 8, value: 1 }, { dryRun: true }), /not writable/);
+  assert.deepEqual(reported, []);
+  assert.deepEqual(safety.listViolations(), []);
+
+  safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 });
+  assert.throws(() => safety.check('board1', 'DIGITAL_WRITE', { pin: 7, value: 1 }), /at most 1 write/);
+  assert.equal(reported.length, 1);
+  assert.equal(safety.listViolations()[0].rule, 'maxWritesPerSecond');
+});
+
+test('rejects invalid policies and keeps the previous one', async () => {
+  await safety.update({ writablePins: [7] });
+  await assert.rejects(safety.update({ writablePins: ['7'] }), /policy.writablePins must be a list of pin numbers/);
+  await assert.rejects(safety.update({ pins: { 9: { servo: { min: 100, max: 10 } } } }), /policy.pins.9.servo.min must not be above/);
+  await assert.rejects(safety.update({ boards: { left: { maxWritesPerSecond: 0 } } }), /policy.boards.left.maxWritesPerSecond must be a number of at least 1/);
+  assert.deepEqual(safety.get(), { writablePins: [7] });
+
+  const reloaded = new SafetyPolicy({ file: safety.file });
+  assert.deepEqual(await reloaded.load(), { writablePins: [7] });
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler } = require('../lib/scheduler');
+
+let directory;
+let scheduler;
+let calls;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+  calls = [];
+  scheduler = createScheduler();
+});
+
+afterEach(async () => {
+  scheduler.stop();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createScheduler() {
+  return new Scheduler({
+    execute: async (name, args, origin) => {
+      calls.push({ name, args, origin });
+      return { success: true };
+    },
+    actionNames: ['ledOn', 'servoWrite'],
+    file: path.join(directory, 'schedules.json')
+  });
+}
+
+async function stored() {
+  return JSON.parse(await fs.promises.readFile(scheduler.file, 'utf8')).schedules;
+}
+
+test('rejects invalid schedules', async () => {
+  await assert.rejects(scheduler.create({ function: 'resetArduino', delay: 1000 }), /function must be one of/);
+  await assert.rejects(scheduler.create({ function: 'ledOn', every: 10 }), /1000/);
+  assert.deepEqual(scheduler.list(), []);
+});
+
+test('keeps the run statistics of repeating schedules in memory until the next save', async () => {
+  const schedule = await scheduler.create({ function: 'servoWrite', args: { pin: 9, angle: 90 }, board: 'left', every: 60000 });
+
+  await scheduler.run(schedule.id);
+  await scheduler.run(schedule.id);
+  assert.deepEqual(calls[0], {
+    name: 'servoWrite',
+    args: { pin: 9, angle: 90, board: 'left' },
+    origin: { type: 'schedule', schedule: schedule.id }
+  });
+  assert.equal(scheduler.get(schedule.id).runCount, 2);
+  assert.equal((await stored())[0].runCount, 0);
+  assert.ok(scheduler.statsTimer);
+
+  const other = await scheduler.create({ function: 'ledOn', every: 60000 });
+  assert.equal((await stored()).find(entry => entry.id === schedule.id).runCount, 2);
+  assert.equal(scheduler.statsTimer, null);
+  await scheduler.cancel(other.id);
+});
+
+test('removes a one-shot schedule from the file once it ran', async () => {
+  const schedule = await scheduler.create({ function: 'ledOn', delay: 60000 });
+  assert.equal((await stored()).length, 1);
+
+  await scheduler.run(schedule.id);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(await stored(), []);
+
+  const reloaded = createScheduler();
+  assert.deepEqual(await reloaded.load(), []);
+  reloaded.stop();
+});
@@ -0,0 +1,149 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScriptRunner } = require('../lib/script-runner');
+
+let directory;
+let runner;
+let calls;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'script-runner-test-'));
+  calls = [];
+  runner = createRunner();
+});
+
+afterEach(async () => {
+  runner.stop();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createRunner(limits = {}) {
+  return new ScriptRunner({
+    execute: async (name, args, origin) => {
+      calls.push({ name, args, origin });
+      return { success: true, message: '1' };
+    },
+    read: async () => ({ value: 0 }),
+    resolveBoardId: (board) => board || 'board1',
+    limits,
+    dir: directory
+  });
+}
+
+// Resolves with the run once it is no longer running
+function finished(run) {
+  return new Promise(resolve => {
+    const onStatus = status => {
+      if (status.runId !== run.id || status.status === 'running') return;
+      runner.off('status', onStatus);
+      resolve(runner.getRun(run.id));
+    };
+    runner.on('status', onStatus);
+  });
+}
+
+async function runScript(name, source, options) {
+  await runner.save(name, source);
+  const run = await runner.start(name, options);
+  return finished(run);
+}
+
+test('keeps require, process and the host Function out of reach', async () => {
+  const run = await runScript('escape', `
+    console.log(typeof require, typeof process, typeof module, typeof globalThis.process);
+    const attempts = {
+      api: () => led.on.constructor.constructor('return process')(),
+      promise: () => sleep(0).constructor.constructor('return process')(),
+      global: () => this.constructor.constructor('return process')(),
+      result: async () => (await pin.write(7, 1)).constructor.constructor('return process')(),
+      error: () => { try { null.x; } catch (error) { return error.constructor.constructor('return process')(); } }
+    };
+    for (const [name, attempt] of Object.entries(attempts)) {
+      try {
+        const found = await attempt();
+        console.log(name, 'reached', typeof found);
+      } catch (error) {
+        console.log(name, 'blocked', error.name);
+      }
+    }
+  `);
+
+  assert.equal(run.status, 'finished');
+  assert.deepEqual(run.logs.map(entry => entry.message), [
+    'undefined undefined undefined undefined',
+    'api blocked EvalError',
+    'promise blocked EvalError',
+    'global blocked EvalError',
+    'result blocked EvalError',
+    'error blocked EvalError'
+  ]);
+});
+
+test('stops a script that blocks its thread', async () => {
+  runner = createRunner({ cpuTime: 200 });
+
+  const atStart = await runScript('spin', 'while (true) {}');
+  assert.equal(atStart.status, 'failed');
+  assert.match(atStart.error, /timed out/);
+
+  // After the first await only the ping watchdog notices the loop
+  const later = await runScript('spin-later', 'await sleep(10);\nwhile (true) {}');
+  assert.equal(later.status, 'failed');
+  assert.equal(later.error, 'Script blocked for more than 200 ms and was stopped');
+});
+
+test('stops a script that runs longer than maxRuntime', async () => {
+  runner = createRunner({ maxRuntime: 1000 });
+  const run = await runScript('sleepy', 'await sleep(60000);');
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'Script ran longer than 1 s and was stopped');
+});
+
+test('sends every call to the run\'s board', async () => {
+  const run = await runScript('blink', `
+    await pin.mode(7, 'OUTPUT');
+    await pin.write(7, 1);
+    await servo(9, 45);
+    console.log('read', await read.analog(0));
+  `, { board: 'left' });
+
+  assert.equal(run.status, 'finished');
+  assert.equal(run.boardId, 'left');
+  assert.deepEqual(calls.map(call => [call.name, call.args]), [
+    ['setPinMode', { pin: 7, mode: 'OUTPUT', board: 'left' }],
+    ['digitalWrite', { pin: 7, value: 1, board: 'left' }],
+    ['servoWrite', { pin: 9, angle: 45, board: 'left' }],
+    ['analogRead', { pin: 0, board: 'left' }]
+  ]);
+  assert.deepEqual(calls[0].origin, { type: 'script', script: 'blink', runId: run.id });
+  assert.equal(run.logs[0].message, 'read 1');
+});
+
+test('stops the scripts on a board when its effects are stopped or it is reset', async () => {
+  await runner.save('wait', 'await sleep(60000);');
+  const left = await runner.start('wait', { board: 'left' });
+  const right = await runner.start('wait', { board: 'right' });
+  const leftDone = finished(left);
+
+  runner.commandSent('left', 'LED_ON');
+  assert.equal(runner.getRun(left.id).status, 'running');
+
+  runner.commandSent('left', 'STOP_EFFECTS');
+  const stopped = await leftDone;
+  assert.equal(stopped.status, 'stopped');
+  assert.equal(stopped.logs[0].message, 'Stopped by STOP_EFFECTS');
+  assert.equal(runner.getRun(right.id).status, 'running');
+
+  const rightDone = finished(right);
+  runner.commandSent('right', 'RESET');
+  assert.equal((await rightDone).logs[0].message, 'Stopped by RESET');
+});
+
+test('rejects scripts with syntax errors before saving', async () => {
+  await assert.rejects(runner.save('broken', 'await ('), /Script has a syntax error/);
+  await assert.rejects(runner.save('../escape', 'led.on();'), /Script name must be/);
+  assert.deepEqual(await runner.list(), []);
+});
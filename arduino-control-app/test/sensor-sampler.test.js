@@ -0,0 +1,99 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SensorSampler, normalizePinLabel } = require('../lib/sensor-sampler');
+const { getProfile, isAnalogPin, isDigitalPin } = require('../lib/board-profiles');
+
+let directory;
+let sampler;
+
+beforeEach(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sensor-sampler-test-'));
+});
+
+afterEach(async () => {
+  if (sampler) sampler.stop();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+function createSampler(read) {
+  const uno = getProfile('uno');
+  sampler = new SensorSampler({
+    read,
+    resolveBoardId: (board) => board || 'board1',
+    validatePin: (boardId, type, pin) => {
+      if (!(type === 'analog' ? isAnalogPin : isDigitalPin)(uno, pin)) throw new Error(`No ${type} pin ${pin}`);
+    },
+    file: path.join(directory, 'sensors.json')
+  });
+  return sampler;
+}
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test('normalises pin labels', () => {
+  assert.equal(normalizePinLabel('a0'), 'A0');
+  assert.equal(normalizePinLabel('7'), 'D7');
+  assert.throws(() => normalizePinLabel('X1'), /use e.g. A0 for analog or D7 for digital/);
+});
+
+test('rejects pins the board does not have before saving', async () => {
+  createSampler(async () => ({ value: 1 }));
+  await assert.rejects(sampler.startSampling({ pin: 'A15', interval: 1000 }), /No analog pin 15/);
+  await assert.rejects(sampler.startSampling({ pin: 'D99', interval: 1000 }), /No digital pin 99/);
+  await assert.rejects(sampler.startSampling({ pin: 'A0', interval: 10 }), /at least 100 ms/);
+  assert.deepEqual(sampler.listSampling(), []);
+  await assert.rejects(fs.promises.access(sampler.file));
+
+  await sampler.startSampling({ pin: 'a1', interval: 1000 });
+  const stored = JSON.parse(await fs.promises.readFile(sampler.file, 'utf8'));
+  assert.deepEqual(stored.sampling.map(config => config.pin), ['A1']);
+});
+
+test('reports reads that keep failing, and when they work again', async () => {
+  let failing = true;
+  createSampler(async () => {
+    if (failing) throw new Error('Arduino not connected');
+    return { value: 512 };
+  });
+
+  const failed = waitFor(sampler, 'readFailed');
+  await sampler.startSampling({ pin: 'A0', interval: 100 });
+  const failure = await failed;
+  assert.equal(failure.pin, 'A0');
+  assert.equal(failure.count, 3);
+  assert.equal(failure.error, 'Arduino not connected');
+  assert.equal(sampler.listSampling()[0].failure.count >= 3, true);
+
+  // The failure is not stored with the sampling setup
+  await sampler.save();
+  const stored = JSON.parse(await fs.promises.readFile(sampler.file, 'utf8'));
+  assert.equal(stored.sampling[0].failure, undefined);
+
+  failing = false;
+  const recovery = await waitFor(sampler, 'readRecovered');
+  assert.equal(recovery.pin, 'A0');
+  assert.equal(sampler.listSampling()[0].failure, null);
+});
+
+test('counts a response without a value as a failed read', async () => {
+  createSampler(async () => ({ boardId: 'board1', value: null }));
+  const failed = waitFor(sampler, 'readFailed');
+  await sampler.startSampling({ pin: 'D7', interval: 100 });
+  assert.equal((await failed).error, 'The board did not return a reading');
+});
+
+test('keeps a bounded history per pin', () => {
+  createSampler(async () => ({ value: 0 }));
+  sampler.maxSamples = 10;
+  for (let index = 0; index < 25; index++) sampler.record('board1', 'analog', 0, index, 1000 + index);
+
+  const history = sampler.history({ pin: 'A0', from: 0, to: 2000 });
+  assert.ok(history.samples.length <= 11);
+  assert.equal(history.samples[history.samples.length - 1].value, 24);
+  assert.equal(history.aggregates.max, 24);
+});
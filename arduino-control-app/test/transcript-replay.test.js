@@ -0,0 +1,116 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ReadlineParser } = require('@serialport/parser-readline');
+const { SimulatedSerialPort } = require('../lib/simulated-board');
+const { CommandQueue } = require('../lib/command-queue');
+const { TranscriptRecorder, createReplayPort, parseReplaySpeed, getTranscriptPath, REPLAY_PORT_PREFIX } = require('../lib/transcript');
+const { ChatSession, createProvider } = require('../../shared/llm-providers');
+
+const TRANSCRIPT_NAME = `test-replay-${process.pid}`;
+
+// The controller functions the scripted model calls, as firmware commands
+const COMMANDS = {
+  ledOn: () => ['LED_ON', {}],
+  servoWrite: ({ pin, angle }) => ['SERVO_WRITE', { pin, angle }],
+  analogRead: ({ pin }) => ['ANALOG_READ', { pin }]
+};
+
+const TOOLS = Object.keys(COMMANDS).map(name => ({ name, description: name, parameters: { type: 'object', properties: {} } }));
+
+const SCRIPT = [
+  {
+    text: 'Turning the LED on and moving the servo.',
+    functionCalls: [
+      { name: 'ledOn', args: {} },
+      { name: 'servoWrite', args: { pin: 9, angle: 90 } }
+    ]
+  },
+  { functionCalls: [{ name: 'analogRead', args: { pin: 0 } }] },
+  { text: 'Done, A0 reads 512.' }
+];
+
+// Collect the lines a port produces, the way the server reads them
+function readLines(port) {
+  const lines = [];
+  port.pipe(new ReadlineParser({ delimiter: '\n' })).on('data', line => lines.push(line.trim()));
+  return lines;
+}
+
+after(async () => {
+  await fs.promises.rm(getTranscriptPath(TRANSCRIPT_NAME), { force: true });
+});
+
+test('a recorded mock chat with the simulated board replays the same frames', async () => {
+  const board = new SimulatedSerialPort({ autoOpen: false, startupDelay: 60000 });
+  board.setAnalogInput(0, 512);
+  const recorder = new TranscriptRecorder();
+  const queue = new CommandQueue({
+    write: message => new Promise((resolve, reject) => {
+      recorder.record('tx', message, board.path);
+      board.write(message + '\n', error => (error ? reject(error) : resolve()));
+    })
+  });
+
+  const received = [];
+  board.pipe(new ReadlineParser({ delimiter: '\n' })).on('data', line => {
+    received.push(line.trim());
+    recorder.record('rx', line.trim(), board.path);
+    queue.handleResponse(JSON.parse(line));
+  });
+
+  await recorder.start({ name: TRANSCRIPT_NAME, port: board.path, board: 'Simulated Uno' });
+  await new Promise(resolve => board.open(resolve));
+
+  const chat = new ChatSession(createProvider({ provider: 'mock', script: SCRIPT }));
+  const results = [];
+  const reply = await chat.send('LED on, servo to 90, then read A0', {
+    tools: TOOLS,
+    callFunction: async (name, args) => {
+      const [command, params] = COMMANDS[name](args);
+      const response = await queue.enqueue(command, params);
+      if (!response.success) throw new Error(response.message);
+      results.push(response);
+      return response.message;
+    }
+  });
+
+  assert.equal(reply.text, 'Done, A0 reads 512.');
+  assert.deepEqual(reply.functionsCalled.map(call => call.name), ['ledOn', 'servoWrite', 'analogRead']);
+  assert.deepEqual(results.map(response => response.message), ['LED turned on', 'Servo positioned', '512']);
+  assert.deepEqual(board.getSnapshot().state.servos, { 9: 90 });
+
+  await recorder.stop();
+  await new Promise(resolve => board.close(resolve));
+
+  // Recorded: the meta line, each command and its response, plus the boot message
+  const recorded = (await fs.promises.readFile(getTranscriptPath(TRANSCRIPT_NAME), 'utf8'))
+    .trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(recorded[0].direction, 'meta');
+  const sent = recorded.filter(entry => entry.direction === 'tx').map(entry => JSON.parse(entry.data));
+  assert.deepEqual(sent.map(frame => frame.command), ['LED_ON', 'SERVO_WRITE', 'ANALOG_READ']);
+  const rx = recorded.filter(entry => entry.direction === 'rx').map(entry => entry.data);
+  assert.deepEqual(rx, received);
+
+  // Replayed: the same lines, answering the recorded command ids
+  const replay = await createReplayPort(`${REPLAY_PORT_PREFIX}${TRANSCRIPT_NAME}`, { speed: 0 });
+  const replayed = readLines(replay);
+  const complete = new Promise(resolve => replay.once('replay_complete', resolve));
+  await new Promise(resolve => replay.open(resolve));
+  await complete;
+  await new Promise(resolve => setImmediate(resolve));
+  replay.close();
+
+  assert.deepEqual(replayed, rx);
+  const answered = replayed.map(line => JSON.parse(line)).filter(frame => frame.id);
+  assert.deepEqual(answered.map(frame => frame.id), sent.map(frame => frame.id));
+  assert.deepEqual(answered.map(frame => frame.message), results.map(response => response.message));
+});
+
+test('reads replay speeds sent as text and rejects invalid ones', () => {
+  assert.equal(parseReplaySpeed(undefined), 1);
+  assert.equal(parseReplaySpeed('2'), 2);
+  assert.equal(parseReplaySpeed(0), 0);
+  assert.throws(() => parseReplaySpeed('fast'), error => error.code === 'INVALID_SPEED');
+  assert.throws(() => parseReplaySpeed(-1), /at least 0/);
+});
@@ -8,7 +8,7 @@
  * TRANSPARENCY:
  * - Source code: https://github.com/luka-loehr/arduino-ai-control
  * - No user data collection or storage
- * - Users provide their own Google API keys
+ * - Users provide their own Google API keys (or another LLM provider)
  * - All communication is logged and auditable
  */
 
@@ -18,7 +18,7 @@ const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ChatSession, createProvider, normalizeProviderConfig, describeProviderConfig } = require('../shared/llm-providers');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
@@ -26,6 +26,15 @@ const path = require('path');
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Anyone can open the hosted interface, so sessions may only pick these
+// providers and OpenAI-compatible hosts (LLM_ALLOWED_HOSTS, comma-separated,
+// replaces the host list). The scripted mock is for tests only.
+const CLOUD_PROVIDERS = NODE_ENV === 'test' ? ['gemini', 'openai', 'mock'] : ['gemini', 'openai'];
+const ALLOWED_LLM_HOSTS = (process.env.LLM_ALLOWED_HOSTS || 'api.openai.com')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
 // Application state
 const connectedBridges = new Map();
 const userSessions = new Map();
@@ -126,6 +135,7 @@ async function handleWebSocketMessage(ws, message) {
             break;
             
         case 'set_api_key':
+        case 'set_llm_provider':
             handleApiKeySetup(ws, message);
             break;
             
@@ -195,11 +205,13 @@ function handleBridgeDiscovery(ws, message) {
     }));
 }
 
-// Handle API key setup
+// Handle API key and LLM provider setup. Without a provider the key is
+// a Google Gemini key; provider "openai" takes an OpenAI-compatible
+// endpoint on one of ALLOWED_LLM_HOSTS, over https.
 function handleApiKeySetup(ws, message) {
-    const { apiKey } = message;
+    const { apiKey, provider = 'gemini' } = message;
     
-    if (!apiKey || !apiKey.startsWith('AIza')) {
+    if (provider === 'gemini' && (!apiKey || !apiKey.startsWith('AIza'))) {
         ws.send(JSON.stringify({
             type: 'api_key_error',
             message: 'Invalid API key format'
@@ -207,19 +219,48 @@ function handleApiKeySetup(ws, message) {
         return;
     }
     
-    // Store API key for this session (in memory only)
+    let config;
+    try {
+        if (!CLOUD_PROVIDERS.includes(String(provider).toLowerCase())) {
+            throw new Error(`The cloud interface supports these providers: ${CLOUD_PROVIDERS.join(', ')}`);
+        }
+        config = normalizeProviderConfig({ ...message, provider });
+        if (config.baseUrl) {
+            const url = new URL(config.baseUrl);
+            if (url.protocol !== 'https:' || !ALLOWED_LLM_HOSTS.includes(url.hostname.toLowerCase())) {
+                throw new Error(`The cloud interface only reaches https://${ALLOWED_LLM_HOSTS.join(', https://')}; use the local app for other endpoints`);
+            }
+        }
+    } catch (error) {
+        ws.send(JSON.stringify({
+            type: 'api_key_error',
+            message: error.message
+        }));
+        return;
+    }
+    
+    // Store the provider for this session (in memory only)
+    const llm = createProvider(config, { require });
     userSessions.set(ws.sessionId, {
-        apiKey: apiKey,
-        genAI: new GoogleGenerativeAI(apiKey),
+        apiKey: config.apiKey,
+        llm: llm,
+        config: config,
         connectedAt: Date.now()
     });
     
+    // An ongoing chat continues with the new provider
+    const chatSession = chatSessions.get(ws.sessionId);
+    if (chatSession) {
+        chatSession.provider = llm;
+    }
+    
     ws.send(JSON.stringify({
         type: 'api_key_success',
-        message: 'API key configured successfully'
+        message: 'API key configured successfully',
+        llm: describeProviderConfig(config)
     }));
     
-    console.log(`🔑 API key configured for session: ${ws.sessionId}`);
+    console.log(`🔑 ${config.provider} (${config.model}) configured for session: ${ws.sessionId}`);
 }
 
 // Handle chat messages with AI
@@ -247,59 +288,19 @@ async function handleChatMessage(ws, message) {
         // Get or create chat session
         let chatSession = chatSessions.get(ws.sessionId);
         if (!chatSession) {
-            const model = session.genAI.getGenerativeModel({
-                model: 'gemini-2.0-flash',
-                tools: [{ functionDeclarations: getArduinoFunctionDeclarations() }]
-            });
-            chatSession = model.startChat();
+            chatSession = new ChatSession(session.llm);
             chatSessions.set(ws.sessionId, chatSession);
         }
         
-        // Send message to AI
-        const result = await chatSession.sendMessage(text);
-        let response = result.response;
-        let functionsCalled = [];
-        
-        // Handle function calls
-        while (response.functionCalls() && response.functionCalls().length > 0) {
-            const functionCalls = response.functionCalls();
-            const functionResponses = [];
-            
-            for (const functionCall of functionCalls) {
-                const functionName = functionCall.name;
-                const args = functionCall.args || {};
-                
-                try {
-                    // Execute function on Arduino via bridge
-                    const result = await executeArduinoFunction(bridgeId, functionName, args);
-                    functionResponses.push({
-                        functionResponse: {
-                            name: functionName,
-                            response: { result: result }
-                        }
-                    });
-                    functionsCalled.push({ name: functionName, args });
-                } catch (error) {
-                    functionResponses.push({
-                        functionResponse: {
-                            name: functionName,
-                            response: { error: error.message }
-                        }
-                    });
-                }
-            }
-            
-            if (functionResponses.length > 0) {
-                const nextResult = await chatSession.sendMessage(functionResponses);
-                response = nextResult.response;
-            } else {
-                break;
-            }
-        }
+        // Send message to AI; function calls run on the Arduino via the bridge
+        const { text: responseText, functionsCalled } = await chatSession.send(text, {
+            tools: getArduinoFunctionDeclarations(),
+            callFunction: (functionName, args) => executeArduinoFunction(bridgeId, functionName, args)
+        });
         
         ws.send(JSON.stringify({
             type: 'chat_response',
-            text: response.text(),
+            text: responseText,
             functionsCalled: functionsCalled
         }));
         
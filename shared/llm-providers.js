@@ -0,0 +1,466 @@
+/**
+ * LLM Providers
+ *
+ * One chat/function-calling loop over several model backends:
+ *   gemini  - Google Gemini through @google/generative-ai
+ *   openai  - any OpenAI-compatible /chat/completions endpoint, which also
+ *             covers local llama.cpp, Ollama and LM Studio servers
+ *   mock    - scripted replies, for tests and demos without a model
+ *
+ * Function declarations are written once in the Gemini/JSON-schema style
+ * and translated to each provider's tool format. Chat history is kept in a
+ * provider-neutral form so a session can switch provider or model and keep
+ * its context:
+ *   { role: 'user', text }
+ *   { role: 'model', text, functionCalls: [{ id, name, args }] }
+ *   { role: 'function', results: [{ id, name, response: { result } | { error } }] }
+ *
+ * Providers implement generate({ history, tools, onText, signal }). Those
+ * that can stream pass partial text to onText as it arrives; all of them
+ * stop when `signal` aborts.
+ *
+ * Shared by arduino-control-app and cloud-interface. Each installs its own
+ * packages, so they pass their `require` to createProvider() and the Gemini
+ * SDK is loaded from the app's node_modules.
+ */
+
+const PROVIDERS = {
+  gemini: { label: 'Google Gemini', defaultModel: 'gemini-2.0-flash', needsApiKey: true },
+  openai: { label: 'OpenAI-compatible', defaultModel: 'gpt-4o-mini', defaultBaseUrl: 'https://api.openai.com/v1', needsApiKey: false },
+  mock: { label: 'Scripted mock', defaultModel: 'mock', needsApiKey: false }
+};
+
+// Stop a model that keeps calling functions without ever answering
+const MAX_FUNCTION_ROUNDS = 10;
+const REQUEST_TIMEOUT = 60000;
+
+let callCounter = 0;
+
+// Abort on the caller's signal or after REQUEST_TIMEOUT, whichever is first
+function requestSignal(signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`No answer within ${REQUEST_TIMEOUT / 1000} s`)), REQUEST_TIMEOUT);
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  controller.signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  return {
+    signal: controller.signal,
+    done: () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    // Small local models sometimes return broken JSON; call without arguments
+    return {};
+  }
+}
+
+function nextCallId() {
+  return `call_${Date.now().toString(36)}${(++callCounter).toString(36)}`;
+}
+
+// JSON schema for OpenAI-style tools: lower-case types, no Gemini-only keys
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'nullable' || (key === 'format' && value === 'enum')) return;
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]));
+    } else {
+      converted[key] = typeof value === 'object' ? toJsonSchema(value) : value;
+    }
+  });
+  return converted;
+}
+
+function toGeminiTools(declarations) {
+  return declarations.length > 0 ? [{ functionDeclarations: declarations }] : undefined;
+}
+
+function toOpenAITools(declarations) {
+  return declarations.map(declaration => ({
+    type: 'function',
+    function: {
+      name: declaration.name,
+      description: declaration.description,
+      parameters: toJsonSchema(declaration.parameters || { type: 'object', properties: {} })
+    }
+  }));
+}
+
+class GeminiProvider {
+  constructor({ apiKey, model }, loadModule) {
+    // Loaded lazily so the other providers work without the SDK installed
+    const { GoogleGenerativeAI } = loadModule('@google/generative-ai');
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = model;
+  }
+
+  toContents(history) {
+    return history.map(entry => {
+      if (entry.role === 'user') {
+        return { role: 'user', parts: [{ text: entry.text }] };
+      }
+      if (entry.role === 'model') {
+        const parts = (entry.functionCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args } }));
+        if (entry.text) parts.unshift({ text: entry.text });
+        return { role: 'model', parts };
+      }
+      return {
+        role: 'function',
+        parts: entry.results.map(result => ({ functionResponse: { name: result.name, response: result.response } }))
+      };
+    });
+  }
+
+  async generate({ history, tools, onText, signal }) {
+    const model = this.genAI.getGenerativeModel({ model: this.model, tools: toGeminiTools(tools) });
+    const request = { contents: this.toContents(history) };
+
+    let response;
+    if (onText) {
+      const result = await model.generateContentStream(request, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) onText(text);
+      }
+      response = await result.response;
+    } else {
+      ({ response } = await model.generateContent(request, { signal }));
+    }
+
+    const calls = response.functionCalls() || [];
+    return {
+      text: response.text(),
+      functionCalls: calls.map(call => ({ id: nextCallId(), name: call.name, args: call.args || {} }))
+    };
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor({ apiKey, model, baseUrl }) {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  toMessages(history) {
+    return history.flatMap(entry => {
+      if (entry.role === 'user') {
+        return [{ role: 'user', content: entry.text }];
+      }
+      if (entry.role === 'model') {
+        const calls = entry.functionCalls || [];
+        return [{
+          role: 'assistant',
+          content: entry.text || null,
+          ...(calls.length > 0 && {
+            tool_calls: calls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+            }))
+          })
+        }];
+      }
+      return entry.results.map(result => ({
+        role: 'tool',
+        tool_call_id: result.id,
+        content: JSON.stringify(result.response)
+      }));
+    });
+  }
+
+  async generate({ history, tools, onText, signal }) {
+    const body = {
+      model: this.model,
+      messages: this.toMessages(history),
+      ...(tools.length > 0 && { tools: toOpenAITools(tools) }),
+      ...(onText && { stream: true })
+    };
+
+    const request = requestSignal(signal);
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+        },
+        body: JSON.stringify(body),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 300);
+        throw new Error(`${this.baseUrl} answered ${response.status}${detail ? `: ${detail}` : ''}`);
+      }
+
+      const message = onText ? await this.readStream(response, onText) : await this.readMessage(response);
+      return {
+        text: message.content || '',
+        functionCalls: (message.tool_calls || []).map(call => ({
+          id: call.id || nextCallId(),
+          name: call.function.name,
+          args: parseArguments(call.function.arguments)
+        }))
+      };
+    } finally {
+      request.done();
+    }
+  }
+
+  async readMessage(response) {
+    const data = await response.json();
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+    if (!message) throw new Error(`${this.baseUrl} returned no message`);
+    return message;
+  }
+
+  // Server-sent events: text deltas, and tool calls assembled piece by piece
+  async readStream(response, onText) {
+    const message = { content: '', tool_calls: [] };
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.startsWith('data:') || data === '[DONE]') return;
+
+        const choice = (JSON.parse(data).choices || [])[0];
+        const delta = (choice && choice.delta) || {};
+        if (delta.content) {
+          message.content += delta.content;
+          onText(delta.content);
+        }
+        (delta.tool_calls || []).forEach(part => {
+          const index = part.index || 0;
+          const call = message.tool_calls[index] || (message.tool_calls[index] = { id: null, function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function && part.function.name) call.function.name += part.function.name;
+          if (part.function && part.function.arguments) call.function.arguments += part.function.arguments;
+        });
+      });
+    }
+
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    return message;
+  }
+}
+
+/**
+ * Replies from a script instead of a model. Each entry answers one model
+ * turn: { text } or { functionCalls: [{ name, args }] }. `script` can also
+ * be a function (history, tools) => reply. Once the script runs out the
+ * mock echoes the last user message.
+ */
+class MockProvider {
+  constructor({ script = [] }) {
+    this.script = script;
+    this.position = 0;
+  }
+
+  async generate({ history, tools }) {
+    let reply;
+    if (typeof this.script === 'function') {
+      reply = await this.script(history, tools);
+    } else if (this.position < this.script.length) {
+      reply = this.script[this.position++];
+    } else {
+      const lastUser = [...history].reverse().find(entry => entry.role === 'user');
+      reply = { text: `Mock reply to: ${lastUser ? lastUser.text : ''}` };
+    }
+
+    return {
+      text: reply.text || '',
+      functionCalls: (reply.functionCalls || []).map(call => ({ id: nextCallId(), name: call.name, args: call.args || {} }))
+    };
+  }
+}
+
+/**
+ * Check a provider configuration and fill in defaults.
+ * @param {Object} config - { provider, model, apiKey, baseUrl, script }
+ * @returns {Object} normalised configuration
+ */
+function normalizeProviderConfig(config = {}) {
+  const provider = String(config.provider || 'gemini').toLowerCase();
+  const details = PROVIDERS[provider];
+  if (!details) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const apiKey = typeof config.apiKey === 'string' && config.apiKey.trim() ? config.apiKey.trim() : null;
+  if (details.needsApiKey && !apiKey) {
+    throw new Error(`${details.label} needs an API key`);
+  }
+
+  const normalized = {
+    provider,
+    model: typeof config.model === 'string' && config.model.trim() ? config.model.trim() : details.defaultModel,
+    apiKey
+  };
+
+  if (provider === 'openai') {
+    normalized.baseUrl = config.baseUrl || details.defaultBaseUrl;
+    if (!/^https?:\/\//.test(normalized.baseUrl)) {
+      throw new Error(`Base URL "${normalized.baseUrl}" must start with http:// or https://`);
+    }
+  }
+  if (provider === 'mock') {
+    normalized.script = config.script || [];
+  }
+  return normalized;
+}
+
+/**
+ * @param {Object} config - see normalizeProviderConfig()
+ * @param {Object} [options]
+ * @param {Function} [options.require] - the app's require, for the provider SDKs
+ * @returns {Object} a provider with generate()
+ */
+function createProvider(config, { require: loadModule = require } = {}) {
+  const normalized = normalizeProviderConfig(config);
+  switch (normalized.provider) {
+    case 'gemini':
+      return new GeminiProvider(normalized, loadModule);
+    case 'openai':
+      return new OpenAICompatibleProvider(normalized);
+    case 'mock':
+      return new MockProvider(normalized);
+  }
+}
+
+// Configuration safe to show to clients: no API key, no mock script
+function describeProviderConfig(config) {
+  if (!config) return null;
+  return {
+    provider: config.provider,
+    label: PROVIDERS[config.provider].label,
+    model: config.model,
+    apiKey: config.apiKey ? 'configured' : 'not_configured',
+    ...(config.baseUrl && { baseUrl: config.baseUrl })
+  };
+}
+
+class ChatSession {
+  /**
+   * @param {Object} provider - from createProvider()
+   * @param {Object[]} [history] - neutral history to continue from
+   */
+  constructor(provider, history = []) {
+    this.provider = provider;
+    this.history = history;
+  }
+
+  /**
+   * Send a user message and run function calls until the model answers.
+   * @param {string} message
+   * @param {Object} options
+   * @param {Object[]} options.tools - function declarations
+   * @param {Function} options.callFunction - async (name, args) => result; throw to report an error to the model
+   * @param {Function} [options.onText] - (text) => void for each piece of model text, streamed where the provider can
+   * @param {Function} [options.onToolCallStarted] - ({ id, name, args }) => void before a function runs
+   * @param {Function} [options.onToolCallFinished] - ({ id, name, args, result | error }) => void after it ran
+   * @param {AbortSignal} [options.signal] - cancels the turn between steps and aborts the model request
+   * @returns {Promise<{ text: string, functionsCalled: Object[] }>} functionsCalled lists the calls that succeeded;
+   *   a thrown error carries the same list, and code CHAT_CANCELLED when the turn was cancelled
+   */
+  async send(message, options) {
+    const start = this.history.length;
+    const functionsCalled = [];
+    try {
+      return await this.runTurn(message, options, functionsCalled);
+    } catch (error) {
+      // Drop the unfinished turn so the history stays valid for the next one;
+      // the error lists what already ran so callers do not repeat it
+      this.history.length = start;
+      const failure = options.signal && options.signal.aborted
+        ? Object.assign(new Error('Chat turn cancelled'), { code: 'CHAT_CANCELLED' })
+        : error;
+      failure.functionsCalled = functionsCalled;
+      throw failure;
+    }
+  }
+
+  async runTurn(message, { tools, callFunction, onText, onToolCallStarted, onToolCallFinished, signal }, functionsCalled) {
+    const checkCancelled = () => {
+      if (signal && signal.aborted) throw new Error('Chat turn cancelled');
+    };
+
+    this.history.push({ role: 'user', text: message });
+
+    for (let round = 0; ; round++) {
+      checkCancelled();
+
+      // Providers that cannot stream hand their text over in one piece
+      let streamed = false;
+      const reply = await this.provider.generate({
+        history: this.history,
+        tools,
+        signal,
+        onText: onText && (text => {
+          streamed = true;
+          onText(text);
+        })
+      });
+      checkCancelled();
+      if (onText && !streamed && reply.text) onText(reply.text);
+
+      this.history.push({ role: 'model', text: reply.text, functionCalls: reply.functionCalls });
+
+      if (reply.functionCalls.length === 0) {
+        return { text: reply.text, functionsCalled };
+      }
+      if (round >= MAX_FUNCTION_ROUNDS) {
+        throw new Error(`Model kept calling functions for ${MAX_FUNCTION_ROUNDS} rounds without answering`);
+      }
+
+      const results = [];
+      for (const call of reply.functionCalls) {
+        checkCancelled();
+        if (onToolCallStarted) onToolCallStarted(call);
+        let response;
+        try {
+          response = { result: await callFunction(call.name, call.args) };
+          functionsCalled.push({ name: call.name, args: call.args });
+        } catch (error) {
+          // Structured errors (e.g. safety violations) keep their code and details
+          response = { error: error.message, ...(error.code && { code: error.code }), ...(error.details && { details: error.details }) };
+        }
+        results.push({ id: call.id, name: call.name, response });
+        if (onToolCallFinished) onToolCallFinished({ ...call, ...response });
+      }
+      this.history.push({ role: 'function', results });
+    }
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  ChatSession,
+  createProvider,
+  normalizeProviderConfig,
+  describeProviderConfig,
+  toOpenAITools,
+  toJsonSchema
+};
@@ -3,12 +3,18 @@
 // Arduino AI Control System - Function Test Script
 
 const WebSocket = require('ws');
+const fs = require('fs');
+const path = require('path');
 
 console.log('🧪 Arduino AI Control System - Function Test');
 console.log('============================================\n');
 
 // Test configuration
 const SERVER_URL = 'ws://localhost:3000';
+const ADMIN_TOKEN_FILE = path.join(__dirname, 'arduino-control-app', 'data', 'admin-token.txt');
+// API token: ARDUINO_API_TOKEN, or the admin token created on the server's first run
+const API_TOKEN = process.env.ARDUINO_API_TOKEN ||
+    (fs.existsSync(ADMIN_TOKEN_FILE) ? fs.readFileSync(ADMIN_TOKEN_FILE, 'utf8').trim() : '');
 const TEST_DELAY = 2000; // 2 seconds between tests
 
 let ws;
@@ -118,7 +124,7 @@ const testCases = [
 function connectWebSocket() {
     console.log('🔗 Connecting to Arduino AI Control Server...');
     
-    ws = new WebSocket(SERVER_URL);
+    ws = new WebSocket(SERVER_URL, { headers: { Authorization: `Bearer ${API_TOKEN}` } });
     
     ws.on('open', () => {
         console.log('✅ Connected to server');